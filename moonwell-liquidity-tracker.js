@@ -1,482 +1,758 @@
-import { createMoonwellClient } from "@moonwell-fi/moonwell-sdk";
+import { realpathSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+// Loaded before the modules below read their settings from process.env
 import "dotenv/config";
+import { checkAlertThresholds, processAndAlert } from "./src/alerts.js";
+import { describePoolStatus, startApiServer } from "./src/api.js";
+import { memoryCache } from "./src/cache.js";
+import {
+  INCIDENT_CHANNEL_TYPES,
+  previewNotification,
+  sendNotification,
+} from "./src/channels.js";
+import {
+  API_CONFIG,
+  CHART_CONFIG,
+  DAEMON_CONFIG,
+  DISCORD_BOT_CONFIG,
+  DIGEST_PERIODS,
+  HOUR_MS,
+  RETRY_CONFIG,
+  THRESHOLD_UNITS,
+  config,
+  getAlertThreshold,
+  getBreachedTier,
+  loadConfig,
+  setConfig,
+} from "./src/config.js";
+import { buildDigest, sendDueDigests } from "./src/digest.js";
+import { fetchMoonwellData } from "./src/fetch.js";
+import { loadHistory } from "./src/history.js";
+import { registerDiscordCommands } from "./src/interactions.js";
+import {
+  createAlertMessage,
+  createErrorAlert,
+  createLiquidityAlert,
+  describeRetryHistory,
+} from "./src/messages.js";
+import { calculatePoolMetrics, emptyMetrics } from "./src/metrics.js";
+import {
+  incrementCounter,
+  setGauge,
+  startMetricsServer,
+} from "./src/prometheus.js";
+import { simulateWithdrawal } from "./src/simulation.js";
+import { formatApy, formatNumber, matchPools } from "./src/utils.js";
 
 // ============================================================================
-// Configuration
-// ============================================================================
-
-const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
-const BASE_CHAIN_ID = 8453;
-
-const THRESHOLDS = {
-  USD_COIN_CORE: 4_500_000,
-  FLAGSHIP_USDC: 29_000_000,
-};
-
-const DISCORD_CONFIG = {
-  ALERT_COLOR: 0xff0000,
-  WARNING_COLOR: 0xffa500,
-  FOOTER_TEXT: "Moonwell Base Network",
-};
-
-const RETRY_CONFIG = {
-  MAX_RETRIES: 3,
-  RETRY_DELAY_MS: 2000,
-};
-
-const MARKET_SYMBOLS = {
-  USDC_MARKET: "USDC",
-  VAULT_TOKEN: "mwUSDC",
-};
-
-if (!DISCORD_WEBHOOK_URL) {
-  console.error(
-    "❌ ERROR: DISCORD_WEBHOOK_URL environment variable is not set"
-  );
-  console.error(
-    "Please set it in your .env file or as an environment variable"
-  );
-  process.exit(1);
-}
-
-// ============================================================================
-// Moonwell Client
+// Main
 // ============================================================================
 
-const moonwellClient = createMoonwellClient({
-  networks: {
-    base: {
-      rpcUrls: ["https://mainnet.base.org"],
-    },
-  },
-});
-
-// ============================================================================
-// Utility Functions
-// ============================================================================
+const USAGE = `Usage: node moonwell-liquidity-tracker.js [command] [options]
+
+Commands:
+  check       Check liquidity and send alerts on state changes (default)
+  status      Print every pool's liquidity without sending anything
+  report      Send a status report of every pool, whatever its thresholds
+  digest      Send a liquidity digest now: --period daily (default) or weekly
+  test-alert  Send a synthetic alert: --type liquidity (default) or error
+  simulate    Simulate a withdrawal: --pool <pool id> --amount <USD>
+  serve       Serve the status API and dashboard without checking on a
+              schedule or sending alerts
+  register-commands
+              Register the Discord slash commands (see DISCORD_* in .env)
+
+Options:
+  --daemon    Keep checking on an interval (check only); also serves the
+              status API and dashboard unless API_PORT=0
+  --dry-run   Print notifications instead of sending them; alert state and
+              history are left untouched
+  --json      Print the result as JSON on stdout (logs go to stderr)
+  -h, --help  Show this help`;
 
 /**
- * Format a number as USD currency string
- * @param {number} value - The value to format
- * @param {number} decimals - Number of decimal places
- * @returns {string} Formatted number string
+ * Fetch every pool once, with the run's deadline, and count fetch failures
+ * @returns {Promise<{results: Array, errors: Array}>}
  */
-function formatNumber(value, decimals = 2) {
-  if (!value) return "0";
-  const num = parseFloat(value);
-  return num.toLocaleString("en-US", {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
+async function fetchRunData() {
+  const data = await fetchMoonwellData(config, {
+    deadline: Date.now() + RETRY_CONFIG.RUN_DEADLINE_MS,
   });
+  data.errors.forEach((err) =>
+    incrementCounter("moonwell_fetch_failures_total", { source: err.source })
+  );
+  return data;
 }
 
 /**
- * Format APY percentage
- * @param {number} apy - APY as decimal (e.g., 0.065 for 6.5%)
- * @returns {string} Formatted APY string
+ * Run a single liquidity check, then send any digest that is due
+ * @param {{dryRun?: boolean}} [options] - Command line options
+ * @returns {Promise<Object>} Pools, alert state changes, alerts, digests and fetch errors
  */
-function formatApy(apy) {
-  return `${apy.toFixed(2)}%`;
-}
+async function runCheck({ dryRun = false } = {}) {
+  console.log(`[${new Date().toISOString()}] Starting liquidity check...`);
 
-// ============================================================================
-// Data Fetching
-// ============================================================================
+  const data = await fetchRunData();
+  const { checks, transitions, alerts } = await processAndAlert(data, {
+    dryRun,
+  });
+  const digests = await sendDueDigests(checks, { dryRun });
 
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  setGauge("moonwell_last_check_timestamp_seconds", {}, Date.now() / 1000);
+  console.log(`[${new Date().toISOString()}] Check complete!\n`);
+
+  return {
+    timestamp: new Date().toISOString(),
+    dryRun,
+    pools: checks.map(describePoolStatus),
+    transitions: transitions.map(({ type, condition }) => ({
+      type,
+      key: condition.key,
+      pool: condition.check.pool.id,
+      severity: condition.severity,
+      label: condition.label,
+      explanation: condition.explanation,
+    })),
+    alerts,
+    digests,
+    errors: data.errors,
+  };
 }
 
 /**
- * Fetch USDC market data with retry logic
- * @param {number} attempt - Current attempt number
- * @returns {Promise<Object|null>}
+ * Print a table of every pool's liquidity. Nothing is sent and no alert
+ * state or history is written.
+ * @returns {Promise<Object>} Pools and fetch errors
  */
-async function fetchMarketData(attempt = 1) {
-  try {
-    const markets = await moonwellClient.getMarkets({ chainId: BASE_CHAIN_ID });
-    console.log(`Found ${markets.length} markets on Base`);
-
-    const usdcMarket = markets.find(
-      (m) => m.underlyingToken?.symbol === MARKET_SYMBOLS.USDC_MARKET
-    );
+async function runStatus() {
+  const data = await fetchRunData();
+  const checks = checkAlertThresholds(data.results, {
+    quiet: true,
+    history: await loadHistory(),
+  });
 
-    if (usdcMarket) {
-      console.log("✓ Found USDC market");
-      return usdcMarket;
-    } else {
-      console.log("✗ USDC market not found");
-      return null;
+  const rows = checks.map(
+    ({ pool, provider, metrics, hasData, dataIssues }) => {
+      const inTokens = pool.thresholdUnit === THRESHOLD_UNITS.TOKEN;
+      const format = (value) =>
+        inTokens
+          ? `${formatNumber(value, 4)} ${metrics.tokenSymbol}`
+          : `$${formatNumber(value)}`;
+      const liquidity = inTokens
+        ? metrics.availableLiquidityTokens
+        : metrics.availableLiquidity;
+      const threshold = getAlertThreshold(pool);
+      const tier = getBreachedTier(pool, liquidity);
+      const status = tier
+        ? `⚠️ BELOW${pool.thresholds ? ` (${tier.severity})` : ""}`
+        : "✓";
+
+      if (!hasData) {
+        const reason = dataIssues.length > 0 ? "suspect data" : "no data";
+        return [pool.id, pool.chain, "—", "—", "—", "—", "—", reason];
+      }
+      return [
+        pool.id,
+        pool.chain,
+        format(liquidity),
+        threshold === null ? "—" : format(threshold),
+        `${(metrics.utilization * 100).toFixed(1)}%`,
+        formatApy(metrics.apy),
+        provider,
+        threshold === null ? "" : status,
+      ];
     }
-  } catch (error) {
-    console.error(
-      `Error fetching markets (attempt ${attempt}):`,
-      error.message
+  );
+  const header = [
+    "Pool",
+    "Chain",
+    "Available",
+    "Threshold",
+    "Util",
+    "APY",
+    "Source",
+    "Status",
+  ];
+  const widths = header.map((_, column) =>
+    Math.max(...[header, ...rows].map((row) => row[column].length))
+  );
+  const printRow = (row) =>
+    console.log(
+      row
+        .map((cell, column) =>
+          // Right-align the numbers
+          column >= 2 && column <= 5
+            ? cell.padStart(widths[column])
+            : cell.padEnd(widths[column])
+        )
+        .join("  ")
+        .trimEnd()
     );
 
-    if (attempt < RETRY_CONFIG.MAX_RETRIES) {
-      console.log(`Retrying in ${RETRY_CONFIG.RETRY_DELAY_MS}ms...`);
-      await sleep(RETRY_CONFIG.RETRY_DELAY_MS);
-      return fetchMarketData(attempt + 1);
-    }
+  console.log();
+  printRow(header);
+  printRow(widths.map((width) => "-".repeat(width)));
+  rows.forEach(printRow);
+  checks
+    .filter(({ dataIssues }) => dataIssues.length > 0)
+    .forEach(({ pool, dataIssues }) =>
+      console.log(`🧐 ${pool.id}: ${dataIssues.join("; ")}`)
+    );
+  data.errors.forEach((err) => console.log(`⚠️  ${err.source}: ${err.error}`));
 
-    throw error;
-  }
+  return {
+    timestamp: new Date().toISOString(),
+    pools: checks.map(describePoolStatus),
+    errors: data.errors,
+  };
 }
 
 /**
- * Fetch vault data with retry logic
- * @param {number} attempt - Current attempt number
- * @returns {Promise<Object|null>}
+ * Send a report of every pool to the channels, whether or not anything is
+ * alerting. Alert state and history are left untouched.
+ * @param {{dryRun?: boolean}} [options] - Command line options
+ * @returns {Promise<Object>} The report message and the channels notified
  */
-async function fetchVaultData(attempt = 1) {
-  try {
-    const vaults = await moonwellClient.getMorphoVaults({
-      chainId: BASE_CHAIN_ID,
-    });
-    console.log(`Found ${vaults.length} vaults on Base`);
-
-    const mwusdcVault = vaults.find(
-      (v) => v.vaultToken?.symbol === MARKET_SYMBOLS.VAULT_TOKEN
-    );
-
-    if (mwusdcVault) {
-      console.log("✓ Found mwUSDC vault");
-      return mwusdcVault;
-    } else {
-      console.log("✗ mwUSDC vault not found");
-      return null;
-    }
-  } catch (error) {
-    console.error(`Error fetching vaults (attempt ${attempt}):`, error.message);
+async function runReport({ dryRun = false } = {}) {
+  const data = await fetchRunData();
+  const checks = checkAlertThresholds(data.results);
+
+  const report = createAlertMessage({
+    kind: "report",
+    title: "📊 Moonwell Liquidity Report",
+    description: `Current liquidity of ${checks.length} pools.`,
+    pools: checks.map(({ pool, metrics, hasData, belowThreshold }) => {
+      const inTokens = pool.thresholdUnit === THRESHOLD_UNITS.TOKEN;
+      const value = getAlertThreshold(pool);
+      const threshold = inTokens
+        ? `${formatNumber(value, 4)} ${metrics.tokenSymbol}`
+        : `$${formatNumber(value)}`;
+      const hasThreshold = value !== null;
+
+      return {
+        id: pool.id,
+        name: pool.name,
+        severity: "info",
+        metrics,
+        hasData,
+        lines:
+          hasData && hasThreshold
+            ? [
+                belowThreshold
+                  ? `⚠️ Below the ${threshold} threshold`
+                  : `✓ Above the ${threshold} threshold`,
+              ]
+            : [],
+        conditions: [],
+      };
+    }),
+    errors: data.errors.map((err) => ({
+      ...err,
+      retries: describeRetryHistory(err.attempts),
+    })),
+  });
 
-    if (attempt < RETRY_CONFIG.MAX_RETRIES) {
-      console.log(`Retrying in ${RETRY_CONFIG.RETRY_DELAY_MS}ms...`);
-      await sleep(RETRY_CONFIG.RETRY_DELAY_MS);
-      return fetchVaultData(attempt + 1);
-    }
+  console.log("📊 REPORT: Sending status report");
+  const delivered = dryRun
+    ? previewNotification(config.channels, report)
+    : await sendNotification(config.channels, report);
 
-    throw error;
-  }
+  return { dryRun, delivered, report };
 }
 
 /**
- * Fetch USDC market and vault data from Moonwell
- * @returns {Promise<{usdcMarket: Object|null, mwusdcVault: Object|null, errors: Array}>}
+ * Send a digest of every pool built from the stored history, right away.
+ * The digest schedule is left untouched.
+ * @param {{period?: string, dryRun?: boolean}} [options] - Command line options
+ * @returns {Promise<Object>} The digest message and the channels notified
  */
-async function fetchMoonwellData() {
-  console.log("Fetching Moonwell data...");
-
-  let usdcMarket = null;
-  let mwusdcVault = null;
-  const errors = [];
-
-  try {
-    usdcMarket = await fetchMarketData();
-  } catch (error) {
-    errors.push({ source: "USDC Market", error: error.message });
+async function runDigest({ period = "daily", dryRun = false } = {}) {
+  if (!DIGEST_PERIODS[period]) {
+    console.error(
+      `❌ ERROR: --period must be one of ${Object.keys(DIGEST_PERIODS).join(
+        ", "
+      )}`
+    );
+    process.exit(1);
   }
 
-  try {
-    mwusdcVault = await fetchVaultData();
-  } catch (error) {
-    errors.push({ source: "mwUSDC Vault", error: error.message });
-  }
+  const data = await fetchRunData();
+  const checks = checkAlertThresholds(data.results, { quiet: true });
+  const digest = await buildDigest(period, checks);
 
-  return { usdcMarket, mwusdcVault, errors };
-}
+  console.log(`🗓️  DIGEST: Sending the ${period} digest`);
+  const delivered = dryRun
+    ? previewNotification(config.channels, digest)
+    : await sendNotification(config.channels, digest);
 
-// ============================================================================
-// Metrics Calculation
-// ============================================================================
+  return { dryRun, delivered, digest };
+}
 
 /**
- * Calculate metrics for USD Coin Core market
- * @param {Object|null} usdcMarket - USDC market data
- * @returns {Object} Calculated metrics
+ * Synthetic liquidity alert for the configured pools: each is shown 20%
+ * below its threshold (or at $1,000,000 without one), with a chart of the
+ * last 24 hours sliding below it
+ * @returns {Object} Alert message
  */
-function calculateUsdcMetrics(usdcMarket) {
-  if (!usdcMarket) {
-    return {
-      totalSupply: 0,
-      totalBorrows: 0,
-      availableLiquidity: 0,
-      apy: 0,
+function createTestLiquidityAlert() {
+  const now = Date.now();
+  const from = now - CHART_CONFIG.WINDOW_MS;
+  const breaches = config.pools.map((pool) => {
+    const threshold = getAlertThreshold(pool) || 1_250_000;
+    const availableLiquidity = threshold * 0.8;
+    const totalSupply = availableLiquidity * 10;
+    const metrics = {
+      ...emptyMetrics(),
+      totalSupply,
+      totalBorrows: totalSupply - availableLiquidity,
+      availableLiquidity,
+      utilization: 0.9,
+      apy: 6.5,
     };
-  }
-
-  return {
-    totalSupply: usdcMarket.totalSupplyUsd || 0,
-    totalBorrows: usdcMarket.totalBorrowsUsd || 0,
-    availableLiquidity: usdcMarket.cash?.value || 0,
-    apy: usdcMarket.totalSupplyApr || usdcMarket.baseSupplyApy || 0,
-  };
-}
 
-/**
- * Calculate metrics for Moonwell Flagship USDC vault
- * @param {Object|null} vault - Vault data
- * @returns {Object} Calculated metrics
- */
-function calculateVaultMetrics(vault) {
-  if (!vault) {
     return {
-      totalSupply: 0,
-      totalBorrows: 0,
-      availableLiquidity: 0,
-      apy: 0,
+      type: "breach",
+      condition: {
+        key: `test:${pool.id}`,
+        check: { pool, metrics, hasData: true },
+        severity: "critical",
+        label: "Liquidity below threshold",
+        explanation: `Available liquidity $${formatNumber(
+          availableLiquidity
+        )} is below the $${formatNumber(threshold)} threshold (simulated)`,
+      },
     };
-  }
-
-  const vaultLiquidity = vault.totalLiquidityUsd || 0;
-  let totalSupplied = 0;
-  let totalMarketLiquidity = 0;
-  let vaultApy = 0;
-
-  if (vault.markets && vault.markets.length > 0) {
-    vault.markets.forEach((market) => {
-      const allocation = market.allocation || 0;
-      const marketApy = market.marketApy || 0;
-      vaultApy += allocation * marketApy;
-
-      totalSupplied += market.totalSuppliedUsd || 0;
-      totalMarketLiquidity += market.marketLiquidityUsd || 0;
-    });
-  } else {
-    vaultApy = vault.totalApy || vault.baseApy || 0;
-  }
+  });
 
-  const idleCash = vaultLiquidity - totalSupplied;
-  const availableLiquidity = Math.min(
-    vaultLiquidity,
-    idleCash + totalMarketLiquidity
-  );
+  const alert = createLiquidityAlert(breaches);
+  alert.pools.forEach((section, index) => {
+    const threshold = getAlertThreshold(config.pools[index]) || 1_250_000;
+    section.chart = {
+      from,
+      to: now,
+      unit: THRESHOLD_UNITS.USD,
+      threshold,
+      points: Array.from({ length: 25 }, (_, hour) => [
+        from + hour * HOUR_MS,
+        threshold * (1.3 - 0.5 * (hour / 24) ** 2),
+      ]),
+    };
+  });
 
   return {
-    totalSupply: vaultLiquidity,
-    totalBorrows: totalSupplied,
-    availableLiquidity,
-    apy: vaultApy,
+    ...alert,
+    title: "🧪 TEST: Moonwell Liquidity Alert",
+    description: "This is a test message with simulated liquidity data.",
   };
 }
 
-// ============================================================================
-// Discord Message Formatting
-// ============================================================================
-
 /**
- * Create a Discord embed field for a liquidity pool
- * @param {string} name - Field name/title
- * @param {Object} metrics - Pool metrics
- * @param {boolean} hasData - Whether data is available
- * @returns {Object} Discord embed field
+ * Synthetic data fetch warning, as sent when every provider failed
+ * @returns {Object} Alert message
  */
-function createDiscordField(name, metrics, hasData) {
-  if (!hasData) {
-    return {
-      name,
-      value: "⚠️ Data unavailable",
-      inline: false,
-    };
-  }
+function createTestErrorAlert() {
+  const attempts = (provider, errorClass, start) =>
+    [1, 2].map((attempt) => ({
+      provider,
+      attempt,
+      errorClass,
+      elapsedMs: start + (attempt - 1) * 1500,
+    }));
 
   return {
-    name,
-    value: [
-      `**Total Supply:** $${formatNumber(metrics.totalSupply)}`,
-      `**Total Borrow:** $${formatNumber(metrics.totalBorrows)}`,
-      `**Available Liquidity:** $${formatNumber(metrics.availableLiquidity)}`,
-      `**APY:** ${formatApy(metrics.apy)}`,
-    ].join("\n"),
-    inline: false,
+    ...createErrorAlert([
+      {
+        source: "Markets on base",
+        error: "sdk: request timed out; rpc: request timed out",
+        attempts: [
+          ...attempts("sdk", "timeout", 0),
+          ...attempts("rpc", "timeout", 3000),
+        ],
+      },
+      {
+        source: "Vaults on base",
+        error: "sdk: HTTP 429 Too Many Requests; rpc: fetch failed",
+        attempts: [
+          ...attempts("sdk", "rate-limit", 0),
+          ...attempts("rpc", "network", 3000),
+        ],
+      },
+    ]),
+    title: "🧪 TEST: Moonwell Data Fetch Warning",
   };
 }
 
 /**
- * Create Discord embed for liquidity alert
- * @param {Object} usdcMetrics - USD Coin Core metrics
- * @param {Object} vaultMetrics - Flagship USDC metrics
- * @param {boolean} hasUsdcData - Whether USDC market data is available
- * @param {boolean} hasVaultData - Whether vault data is available
- * @returns {Object} Discord embed object
+ * Send a synthetic alert through the real formatters and channels.
+ * Incident channels are skipped so a test never pages anyone.
+ * @param {{type?: string, dryRun?: boolean}} options - Command line options
+ * @returns {Promise<Object>} The test message and the channels notified
  */
-function createAlertEmbed(
-  usdcMetrics,
-  vaultMetrics,
-  hasUsdcData,
-  hasVaultData
-) {
-  const fields = [
-    createDiscordField("🏦 USD Coin Core", usdcMetrics, hasUsdcData),
-    createDiscordField("🏛️ Moonwell Flagship USDC", vaultMetrics, hasVaultData),
-  ];
-
-  return {
-    title: "🚨 Moonwell Liquidity Alert",
-    color: DISCORD_CONFIG.ALERT_COLOR,
-    fields,
-    timestamp: new Date().toISOString(),
-    footer: {
-      text: DISCORD_CONFIG.FOOTER_TEXT,
-    },
+async function runTestAlert({ type = "liquidity", dryRun = false }) {
+  const builders = {
+    liquidity: createTestLiquidityAlert,
+    error: createTestErrorAlert,
   };
+  if (!builders[type]) {
+    console.error(
+      `❌ ERROR: --type must be one of ${Object.keys(builders).join(", ")}`
+    );
+    process.exit(1);
+  }
+
+  const alert = builders[type]();
+  const channels = config.channels.filter(
+    (channel) => !INCIDENT_CHANNEL_TYPES.includes(channel.type)
+  );
+
+  console.log(`🧪 Sending a test ${type} alert`);
+  const delivered = dryRun
+    ? previewNotification(channels, alert)
+    : await sendNotification(channels, alert);
+
+  return { dryRun, delivered, alert };
 }
 
 /**
- * Create Discord embed for data fetch errors
- * @param {Array} errors - Array of error objects
- * @returns {Object} Discord embed object
+ * Print what a withdrawal of `--amount` USD from `--pool` would do right
+ * now. Exits with code 2 when it could not be withdrawn in full.
+ * @param {{pool?: string, amount?: string}} values - Command line options
+ * @returns {Promise<Object>} The pool and the simulation
  */
-function createErrorEmbed(errors) {
-  const errorFields = errors.map((err) => ({
-    name: `⚠️ ${err.source}`,
-    value: `Failed to fetch data: ${err.error}`,
-    inline: false,
-  }));
+async function runSimulate(values) {
+  const amount = Number(String(values.amount).replace(/[,_]/g, ""));
+  if (!values.pool || !(amount > 0)) {
+    console.error(
+      "❌ ERROR: Usage: node moonwell-liquidity-tracker.js simulate --pool <pool id> --amount <USD>"
+    );
+    process.exit(1);
+  }
 
-  return {
-    title: "⚠️ Moonwell Data Fetch Warning",
-    description: `Failed to retrieve data from Moonwell API after ${RETRY_CONFIG.MAX_RETRIES} attempts. This may be a temporary issue.`,
-    color: DISCORD_CONFIG.WARNING_COLOR,
-    fields: errorFields,
-    timestamp: new Date().toISOString(),
-    footer: {
-      text: DISCORD_CONFIG.FOOTER_TEXT,
-    },
-  };
-}
+  // A configured pool is fetched on its own; anything else needs discovery
+  const configured = matchPools(config.pools, values.pool);
+  const data = await fetchMoonwellData(
+    configured.length === 1
+      ? { ...config, pools: configured, discovery: undefined }
+      : config,
+    { deadline: Date.now() + RETRY_CONFIG.RUN_DEADLINE_MS }
+  );
 
-// ============================================================================
-// Alert Logic
-// ============================================================================
+  const matches = matchPools(
+    data.results.map(({ pool }) => pool),
+    values.pool
+  );
+  if (matches.length !== 1) {
+    console.error(
+      matches.length === 0
+        ? `❌ ERROR: No pool matches "${values.pool}"`
+        : `❌ ERROR: "${values.pool}" matches several pools: ${matches
+            .map((pool) => pool.id)
+            .join(", ")}`
+    );
+    process.exit(1);
+  }
 
-/**
- * Check if alert should be sent based on thresholds
- * @param {Object} usdcMetrics - USD Coin Core metrics
- * @param {Object} vaultMetrics - Flagship USDC metrics
- * @returns {{shouldAlert: boolean, usdcBelowThreshold: boolean, vaultBelowThreshold: boolean}}
- */
-function checkAlertThresholds(usdcMetrics, vaultMetrics) {
-  const usdcBelowThreshold =
-    usdcMetrics.availableLiquidity < THRESHOLDS.USD_COIN_CORE;
-  const vaultBelowThreshold =
-    vaultMetrics.availableLiquidity < THRESHOLDS.FLAGSHIP_USDC;
+  const { pool, data: poolData } = data.results.find(
+    (result) => result.pool === matches[0]
+  );
+  if (!poolData) {
+    console.error(`❌ ERROR: Could not fetch data for ${pool.name}`);
+    process.exit(1);
+  }
+
+  const metrics = calculatePoolMetrics(pool, poolData);
+  const simulation = simulateWithdrawal(pool, metrics, amount);
+  const percent = (value) =>
+    value === null ? "unknown" : `${(value * 100).toFixed(1)}%`;
 
   console.log(
-    `USD Coin Core: $${formatNumber(usdcMetrics.availableLiquidity)} ` +
-      `(threshold: $${formatNumber(THRESHOLDS.USD_COIN_CORE)}) ` +
-      `${usdcBelowThreshold ? "⚠️ BELOW" : "✓"}`
+    `\n💸 Withdrawing $${formatNumber(amount)} from ${pool.name} right now`
   );
+  console.log(`Max withdrawable: $${formatNumber(simulation.maxWithdrawable)}`);
   console.log(
-    `Flagship USDC: $${formatNumber(vaultMetrics.availableLiquidity)} ` +
-      `(threshold: $${formatNumber(THRESHOLDS.FLAGSHIP_USDC)}) ` +
-      `${vaultBelowThreshold ? "⚠️ BELOW" : "✓"}`
+    simulation.fullyWithdrawable
+      ? `✅ The full $${formatNumber(amount)} can be withdrawn`
+      : `❌ Only $${formatNumber(simulation.withdrawable)} of $${formatNumber(
+          amount
+        )} can be withdrawn`
   );
 
-  return {
-    shouldAlert: usdcBelowThreshold || vaultBelowThreshold,
-    usdcBelowThreshold,
-    vaultBelowThreshold,
-  };
+  if (simulation.steps.length > 0) {
+    console.log(
+      simulation.withdrawOrder === "unknown"
+        ? "Pulled from (in the order the provider lists the markets; it does not give the vault's withdraw queue):"
+        : "Pulled from:"
+    );
+    simulation.steps.forEach((step, index) => {
+      const utilization =
+        step.utilizationBefore === undefined
+          ? ""
+          : ` (utilization ${percent(step.utilizationBefore)} → ${percent(
+              step.utilizationAfter
+            )})`;
+      console.log(
+        `  ${index + 1}. ${step.name}: $${formatNumber(
+          step.pulled
+        )}${utilization}`
+      );
+    });
+  }
+
+  console.log(
+    `Utilization: ${percent(simulation.utilizationBefore)} → ${percent(
+      simulation.utilizationAfter
+    )}`
+  );
+  console.log(
+    `APY: ${formatApy(simulation.apyBefore)} → ${formatApy(
+      simulation.apyAfter
+    )} (assuming borrow rates stay the same)`
+  );
+
+  if (!simulation.fullyWithdrawable) process.exitCode = 2;
+  return { pool: pool.id, ...simulation };
 }
 
 /**
- * Send alert to Discord webhook
- * @param {Object} embed - Discord embed object
- * @returns {Promise<boolean>} Success status
+ * Keep checking on an interval until SIGTERM/SIGINT. The next check is only
+ * scheduled once the current one has finished, so runs never overlap; a
+ * failed check is logged and the daemon carries on.
+ * @param {{dryRun?: boolean}} [options] - Command line options
+ * @returns {Promise<void>} Resolves once the daemon has shut down
  */
-async function sendDiscordAlert(embed) {
-  const response = await fetch(DISCORD_WEBHOOK_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      embeds: [embed],
-    }),
-  });
-
-  if (!response.ok) {
-    throw new Error(
-      `Discord webhook failed: ${response.status} ${response.statusText}`
-    );
+async function runDaemon(options = {}) {
+  if (!(DAEMON_CONFIG.INTERVAL_MS >= 1000)) {
+    console.error("❌ ERROR: POLL_INTERVAL_SECONDS must be at least 1");
+    process.exit(1);
   }
 
-  return true;
+  memoryCache.enabled = true;
+  const metricsServer =
+    DAEMON_CONFIG.METRICS_PORT > 0 ? await startMetricsServer() : null;
+  // The API answers from the latest check instead of fetching per request
+  let latest = null;
+  const apiServer =
+    API_CONFIG.PORT > 0
+      ? await startApiServer({ getStatus: async () => latest })
+      : null;
+
+  console.log(
+    `👀 Daemon mode: checking every ${DAEMON_CONFIG.INTERVAL_MS / 1000}s ` +
+      `(+ up to ${DAEMON_CONFIG.JITTER_MS / 1000}s jitter)`
+  );
+
+  await new Promise((resolve) => {
+    let timer = null;
+    let running = false;
+    let stopping = false;
+
+    const tick = async () => {
+      timer = null;
+      running = true;
+      const startedAt = Date.now();
+
+      try {
+        const { timestamp, pools, errors } = await runCheck(options);
+        latest = { timestamp, pools, errors };
+      } catch (error) {
+        console.error("Check failed:", error);
+      }
+
+      running = false;
+      if (stopping) {
+        resolve();
+        return;
+      }
+
+      const elapsed = Date.now() - startedAt;
+      const delay =
+        Math.max(0, DAEMON_CONFIG.INTERVAL_MS - elapsed) +
+        Math.random() * DAEMON_CONFIG.JITTER_MS;
+      timer = setTimeout(tick, delay);
+    };
+
+    const shutdown = (signal) => {
+      if (stopping) {
+        console.log(`${signal} received again, exiting immediately`);
+        process.exit(1);
+      }
+
+      stopping = true;
+      console.log(`🛑 ${signal} received, shutting down...`);
+      if (timer) clearTimeout(timer);
+      if (!running) resolve();
+      else console.log("Waiting for the current check to finish...");
+    };
+
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+    process.on("SIGINT", () => shutdown("SIGINT"));
+
+    tick();
+  });
+
+  metricsServer?.close();
+  apiServer?.close();
 }
 
 /**
- * Process data and send alert if needed
- * @param {Object} data - Moonwell market and vault data
- * @returns {Promise<boolean>} Whether alert was sent
+ * Serve the status API and dashboard until SIGTERM/SIGINT, without the
+ * daemon's checks. Pools are fetched when a request needs them, at most
+ * once per API_CACHE_SECONDS; nothing is sent and no alert state or
+ * history is written.
+ * @returns {Promise<void>} Resolves once the server has shut down
  */
-async function processAndAlert(data) {
-  const { usdcMarket, mwusdcVault, errors } = data;
-
-  // If we have data fetch errors, send a warning alert
-  if (errors.length > 0) {
-    console.log("⚠️  WARNING: Data fetch errors detected");
-
-    // Only send error alert if we couldn't fetch ANY data
-    if (!usdcMarket && !mwusdcVault) {
-      console.log("🚨 CRITICAL: No data available, sending error alert");
-      const errorEmbed = createErrorEmbed(errors);
-      await sendDiscordAlert(errorEmbed);
-      console.log("✅ Error alert sent to Discord");
-      return true;
-    } else {
-      console.log(
-        "⚠️  Partial data available, continuing with liquidity check"
-      );
+async function runServe() {
+  let cached = null;
+  let cachedAt = 0;
+
+  const getStatus = () => {
+    if (!cached || Date.now() - cachedAt >= API_CONFIG.CACHE_MS) {
+      cachedAt = Date.now();
+      cached = (async () => {
+        const data = await fetchRunData();
+        const checks = checkAlertThresholds(data.results, {
+          quiet: true,
+          history: await loadHistory(),
+        });
+        return {
+          timestamp: new Date().toISOString(),
+          pools: checks.map(describePoolStatus),
+          errors: data.errors,
+        };
+      })();
+      // Retry on the next request rather than serving the failure
+      cached.catch(() => {
+        cached = null;
+      });
     }
-  }
-
-  const usdcMetrics = calculateUsdcMetrics(usdcMarket);
-  const vaultMetrics = calculateVaultMetrics(mwusdcVault);
+    return cached;
+  };
 
-  const { shouldAlert } = checkAlertThresholds(usdcMetrics, vaultMetrics);
+  const server = await startApiServer({ getStatus });
+  await new Promise((resolve) => {
+    const shutdown = (signal) => {
+      console.log(`🛑 ${signal} received, shutting down...`);
+      resolve();
+    };
+    process.once("SIGTERM", () => shutdown("SIGTERM"));
+    process.once("SIGINT", () => shutdown("SIGINT"));
+  });
+  await new Promise((resolve) => server.close(resolve));
+}
 
-  if (!shouldAlert) {
-    console.log("ℹ️  No alerts needed - all liquidity levels are healthy");
-    return false;
+/**
+ * Register the slash commands answered on /discord/interactions with the
+ * Discord application
+ * @returns {Promise<Object>} Names of the registered commands and where
+ */
+async function runRegisterCommands() {
+  if (!DISCORD_BOT_CONFIG.APPLICATION_ID || !DISCORD_BOT_CONFIG.BOT_TOKEN) {
+    console.error(
+      "❌ ERROR: Set DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN to register the commands"
+    );
+    process.exit(1);
   }
 
-  console.log("🚨 ALERT: Sending notification to Discord");
-
-  const embed = createAlertEmbed(
-    usdcMetrics,
-    vaultMetrics,
-    !!usdcMarket,
-    !!mwusdcVault
+  const commands = await registerDiscordCommands();
+  const scope = DISCORD_BOT_CONFIG.GUILD_ID
+    ? `server ${DISCORD_BOT_CONFIG.GUILD_ID}`
+    : "every server (may take up to an hour to show up)";
+  console.log(
+    `🤖 Registered ${commands
+      .map((command) => `/${command.name}`)
+      .join(", ")} in ${scope}`
   );
-
-  await sendDiscordAlert(embed);
-
-  console.log("✅ Alert sent to Discord successfully");
-  return true;
+  return {
+    commands: commands.map((command) => command.name),
+    guildId: DISCORD_BOT_CONFIG.GUILD_ID || null,
+  };
 }
 
-// ============================================================================
-// Main
-// ============================================================================
+const COMMANDS = {
+  check: runCheck,
+  status: runStatus,
+  report: runReport,
+  digest: runDigest,
+  "test-alert": runTestAlert,
+  simulate: runSimulate,
+  serve: runServe,
+  "register-commands": runRegisterCommands,
+};
 
+/**
+ * Parse the command line and run the command
+ * @returns {Promise<void>}
+ */
 async function main() {
+  let parsed;
   try {
-    console.log(`[${new Date().toISOString()}] Starting liquidity check...`);
+    parsed = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        daemon: { type: "boolean" },
+        "dry-run": { type: "boolean" },
+        json: { type: "boolean" },
+        type: { type: "string" },
+        period: { type: "string" },
+        pool: { type: "string" },
+        amount: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    console.error(`❌ ERROR: ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const [command = "check", ...extra] = positionals;
+  if (!COMMANDS[command] || extra.length > 0) {
+    console.error(
+      `❌ ERROR: Unknown command "${[command, ...extra].join(" ")}"\n\n${USAGE}`
+    );
+    process.exit(1);
+  }
+  if (values.daemon && (command !== "check" || values.json)) {
+    console.error(
+      "❌ ERROR: --daemon only works with check and without --json"
+    );
+    process.exit(1);
+  }
+
+  // Keep stdout clean for the JSON result
+  if (values.json) console.log = console.error;
 
-    const data = await fetchMoonwellData();
-    await processAndAlert(data);
+  setConfig(await loadConfig());
+  const options = { ...values, dryRun: Boolean(values["dry-run"]) };
 
-    console.log(`[${new Date().toISOString()}] Check complete!\n`);
+  if (values.daemon) {
+    await runDaemon(options);
+    console.log("👋 Daemon stopped");
+    return;
+  }
+
+  try {
+    const result = await COMMANDS[command](options);
+    if (values.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
   } catch (error) {
     console.error("Fatal error:", error);
     process.exit(1);
   }
 }
 
-main();
+// Only run when executed directly, not when imported
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href
+) {
+  main();
+}
@@ -0,0 +1,353 @@
+import {
+  INCIDENT_CHANNEL_TYPES,
+  previewNotification,
+  retryUndelivered,
+  sendNotification,
+} from "./channels.js";
+import { attachCharts } from "./charts.js";
+import {
+  ALERT_STATUS,
+  THRESHOLD_UNITS,
+  config,
+  getAlertThreshold,
+  getBreachedTier,
+  getThresholdTiers,
+} from "./config.js";
+import { buildHistorySample, loadHistory, saveHistory } from "./history.js";
+import {
+  createDataQualityAlert,
+  createErrorAlert,
+  createLiquidityAlert,
+  createRecoveryAlert,
+  createSuppressedSummary,
+} from "./messages.js";
+import { calculatePoolMetrics } from "./metrics.js";
+import {
+  calculatePosition,
+  evaluatePositionCoverage,
+  formatPosition,
+} from "./positions.js";
+import { recordPoolMetrics } from "./prometheus.js";
+import {
+  evaluateDataQuality,
+  findDataIssues,
+  findDataJumps,
+} from "./sanity.js";
+import {
+  evaluateAlertRules,
+  evaluateCrossChecks,
+  evaluateIlliquidMarkets,
+  evaluateTrendRules,
+  formatVaultMarket,
+} from "./rules.js";
+import {
+  applySilences,
+  getActiveSilences,
+  getHeldBackBreaches,
+  getSilencedRecoveries,
+  recordSuppressed,
+  takeEndedSilences,
+} from "./silences.js";
+import { evaluatePositionWithdrawals } from "./simulation.js";
+import {
+  evaluateAlertTransitions,
+  loadAlertState,
+  saveAlertState,
+} from "./state.js";
+import { formatNumber } from "./utils.js";
+
+// ============================================================================
+// Alert Logic
+// ============================================================================
+
+/**
+ * Check every pool's available liquidity against its threshold (the least
+ * severe tier of a tiered pool). Pools without a threshold (e.g. discovered
+ * pools) are reported but never alert. Readings that fail the data sanity
+ * checks count as no data, with their problems in `dataIssues`. A reading
+ * that jumped since the last sample may be a real drain, so it still
+ * counts, with the jumps in `dataJumps` until a reading confirms it.
+ * @param {Array<{pool: Object, data: Object|null}>} results - Fetched pool data
+ * @param {{quiet?: boolean, history?: Array, now?: number}} [options] - Skip logging each pool's status; previous samples to check readings for implausible jumps against
+ * @returns {Array<{pool: Object, data: Object|null, provider?: string, endpoint?: string, crossCheck?: Object|null, metrics: Object, hasData: boolean, dataIssues: Array<string>, dataJumps: Array<string>, belowThreshold: boolean}>} Metrics include our `position` when wallet balances were read
+ */
+function checkAlertThresholds(
+  results,
+  { quiet = false, history = [], now = Date.now() } = {}
+) {
+  return results.map((result) => {
+    const { pool, data, provider, endpoint, crossCheck } = result;
+    const metrics = calculatePoolMetrics(pool, data);
+    const dataIssues = data ? findDataIssues(pool, data, metrics) : [];
+    const hasData = !!data && dataIssues.length === 0;
+    const dataJumps = hasData ? findDataJumps(pool, metrics, history, now) : [];
+    if (hasData && result.walletShares) {
+      metrics.position = calculatePosition(metrics, result.walletShares);
+    }
+    const inTokens = pool.thresholdUnit === THRESHOLD_UNITS.TOKEN;
+    const liquidity = inTokens
+      ? metrics.availableLiquidityTokens
+      : metrics.availableLiquidity;
+    const threshold = getAlertThreshold(pool);
+    const hasThreshold = threshold !== null;
+    const belowThreshold = hasData && hasThreshold && liquidity < threshold;
+
+    const format = (value) =>
+      inTokens
+        ? `${formatNumber(value, 4)} ${metrics.tokenSymbol}`
+        : `$${formatNumber(value)}`;
+
+    let status = "⚠️ data unavailable";
+    if (dataIssues.length > 0) {
+      status = `⚠️ suspicious data ignored: ${dataIssues.join("; ")}`;
+    } else if (hasData && hasThreshold) {
+      status =
+        `${format(liquidity)} (threshold: ${format(threshold)}) ` +
+        `${belowThreshold ? "⚠️ BELOW" : "✓"}`;
+    } else if (hasData) {
+      status = `${format(liquidity)} (no threshold)`;
+    }
+    if (dataJumps.length > 0) {
+      status += ` 🧐 unconfirmed: ${dataJumps.join("; ")}`;
+    }
+    if (!quiet) {
+      console.log(`${pool.name}: ${status}`);
+      if (metrics.position?.balance > 0) {
+        console.log(`   👛 Our position: ${formatPosition(metrics.position)}`);
+      }
+      (metrics.markets || []).forEach((market) =>
+        console.log(
+          `   ↳ ${formatVaultMarket(market)}, market liquidity $${formatNumber(
+            market.liquidity
+          )}`
+        )
+      );
+    }
+
+    return {
+      pool,
+      data,
+      provider,
+      endpoint,
+      crossCheck,
+      metrics,
+      hasData,
+      dataIssues,
+      dataJumps,
+      belowThreshold,
+    };
+  });
+}
+
+/**
+ * Turn a pool check into its liquidity threshold alert condition, at the
+ * severity of the worst tier breached. The condition key is the pool id so
+ * existing alert state carries over, and a move to a worse tier escalates
+ * the ongoing breach. A reading that jumped is alerted on, marked as
+ * unconfirmed.
+ * @param {Object} check - Pool check ({pool, metrics, hasData, dataJumps, belowThreshold})
+ * @returns {Object} Alert condition
+ */
+function createThresholdCondition(check) {
+  const { pool, metrics } = check;
+  const inTokens = pool.thresholdUnit === THRESHOLD_UNITS.TOKEN;
+  const format = (value) =>
+    inTokens
+      ? `${formatNumber(value, 4)} ${metrics.tokenSymbol}`
+      : `$${formatNumber(value)}`;
+  const liquidity = inTokens
+    ? metrics.availableLiquidityTokens
+    : metrics.availableLiquidity;
+  // Untriggered, the condition has the severity it would first alert at
+  const tier = getBreachedTier(pool, liquidity) || getThresholdTiers(pool)[0];
+  const tierName = pool.thresholds ? ` ${tier.severity}` : "";
+
+  return {
+    key: pool.id,
+    check,
+    severity: tier.severity,
+    label: "Liquidity below threshold",
+    hasData: check.hasData,
+    triggered: check.belowThreshold,
+    explanation: `Available liquidity ${format(
+      liquidity
+    )} is below the ${format(tier.value)}${tierName} threshold${
+      check.dataJumps?.length > 0
+        ? ` (unconfirmed reading: ${check.dataJumps.join("; ")})`
+        : ""
+    }`,
+  };
+}
+
+/**
+ * Process data and send alert if needed, holding back what silences and
+ * quiet hours cover from everything but incident channels' resolves; held
+ * back breaches still breached open their incidents once the silence ends.
+ * A dry run prints the alerts instead of sending them
+ * and leaves alert state and history untouched.
+ * @param {{results: Array, errors: Array}} data - Fetched pool data and errors
+ * @param {{dryRun?: boolean}} [options] - Run options
+ * @returns {Promise<{checks: Array, transitions: Array, alerts: Array}>} Pool checks, alert state changes and the alert messages sent
+ */
+async function processAndAlert(data, { dryRun = false } = {}) {
+  const { results, errors } = data;
+  const alerts = [];
+  // Incident channel messages that could not be delivered, kept in the
+  // alert state so only those channels are retried
+  const undelivered = [];
+  const notify = async (alert, channels = config.channels) => {
+    alerts.push(alert);
+    if (dryRun) previewNotification(channels, alert);
+    else await sendNotification(channels, alert, { undelivered });
+  };
+  const incidentChannels = config.channels.filter(({ type }) =>
+    INCIDENT_CHANNEL_TYPES.includes(type)
+  );
+
+  // If we have data fetch errors, send a warning alert
+  if (errors.length > 0) {
+    console.log("⚠️  WARNING: Data fetch errors detected");
+
+    // Only send error alert if we couldn't fetch ANY data
+    if (results.every(({ data }) => !data)) {
+      console.log("🚨 CRITICAL: No data available, sending error alert");
+      await notify(createErrorAlert(errors));
+      console.log("✅ Error alert sent");
+      return { checks: [], transitions: [], alerts };
+    } else {
+      console.log(
+        "⚠️  Partial data available, continuing with liquidity check"
+      );
+    }
+  }
+
+  const now = Date.now();
+  const history = await loadHistory();
+  const checks = checkAlertThresholds(results, { history, now });
+  recordPoolMetrics(checks);
+
+  const conditions = [
+    ...checks
+      .filter(({ pool }) => getAlertThreshold(pool) !== null)
+      .map(createThresholdCondition),
+    ...evaluateTrendRules(checks, history, now),
+    ...evaluateAlertRules(checks),
+    ...evaluateIlliquidMarkets(checks),
+    ...evaluatePositionWithdrawals(checks),
+    ...evaluatePositionCoverage(checks),
+    ...evaluateCrossChecks(checks),
+    ...evaluateDataQuality(checks),
+  ];
+  if (!dryRun) await saveHistory(history, buildHistorySample(checks, now));
+
+  const state = await loadAlertState();
+  if (!dryRun) {
+    undelivered.push(
+      ...(await retryUndelivered(config.channels, state.undelivered))
+    );
+  }
+  const { nextState, transitions } = evaluateAlertTransitions(
+    state,
+    conditions,
+    now
+  );
+
+  // Silenced conditions still move through their alert states, so nothing
+  // floods in once a silence ends; their notifications are held back and
+  // summarized when it does
+  const silences = await getActiveSilences(now);
+  const { notified, suppressed } = applySilences(transitions, silences);
+  const { state: keptState, ended } = takeEndedSilences(
+    recordSuppressed(nextState, suppressed, now),
+    silences
+  );
+  // Incidents are not left behind by a silence: breaches it held back open
+  // theirs when it ends, unless another silence holds them back in turn
+  const handover = applySilences(
+    getHeldBackBreaches(ended, conditions, nextState),
+    silences
+  );
+  const finalState = recordSuppressed(keptState, handover.suppressed, now);
+  const silencedRecoveries = getSilencedRecoveries(suppressed, finalState);
+
+  if (transitions.length === 0 && ended.length === 0) {
+    console.log("ℹ️  No alerts needed - no alert state changes since last run");
+    if (!dryRun) await saveAlertState({ ...finalState, undelivered });
+    return { checks, transitions, alerts };
+  }
+
+  const silencedBy = new Map(
+    suppressed.map(({ transition, silence }) => [transition, silence])
+  );
+  transitions.forEach((transition) => {
+    const { condition, type } = transition;
+    const silence = silencedBy.get(transition);
+    console.log(
+      `${type === "recovery" ? "✅" : "🚨"} ${type}: ${
+        condition.check.pool.name
+      } — ${condition.label}${silence ? ` (silenced: ${silence.reason})` : ""}`
+    );
+  });
+
+  const breaches = notified.filter((t) => t.type !== "recovery");
+  const recoveries = notified.filter((t) => t.type === "recovery");
+
+  // Suspect readings get a message of their own, so a data quality
+  // warning never reads as a liquidity alert
+  const dataQuality = breaches.filter((t) => t.condition.dataQuality);
+  const liquidity = breaches.filter((t) => !t.condition.dataQuality);
+
+  if (liquidity.length > 0) {
+    console.log("🚨 ALERT: Sending notifications");
+    const alert = createLiquidityAlert(liquidity);
+    await attachCharts(alert.pools, checks, now);
+    await notify(alert);
+  }
+
+  if (dataQuality.length > 0) {
+    console.log("🧐 DATA QUALITY: Sending suspicious data warning");
+    await notify(createDataQualityAlert(dataQuality));
+  }
+
+  if (recoveries.length > 0) {
+    console.log("✅ RECOVERED: Sending recovery notifications");
+    await notify(createRecoveryAlert(recoveries));
+  }
+
+  // Closing an incident is never noise, so silenced recoveries still reach
+  // the incident channels
+  if (silencedRecoveries.length > 0 && incidentChannels.length > 0) {
+    console.log("✅ RESOLVED: Closing the incidents of silenced recoveries");
+    await notify(createRecoveryAlert(silencedRecoveries), incidentChannels);
+  }
+
+  const breached = new Set(
+    Object.keys(finalState.pools).filter(
+      (key) => finalState.pools[key].status === ALERT_STATUS.BREACHED
+    )
+  );
+  for (const record of ended) {
+    console.log(
+      `🔕 SUPPRESSED: Sending what "${record.silence.reason}" held back`
+    );
+    await notify(
+      createSuppressedSummary(
+        record,
+        Math.min(record.silence.until, now),
+        breached
+      )
+    );
+  }
+
+  if (handover.notified.length > 0 && incidentChannels.length > 0) {
+    console.log("🚨 INCIDENTS: Opening the incidents silences held back");
+    await notify(createLiquidityAlert(handover.notified), incidentChannels);
+  }
+
+  // Only persist once notifications went out, so a failed webhook call is
+  // retried on the next run instead of being silently marked as notified.
+  if (!dryRun) await saveAlertState({ ...finalState, undelivered });
+  return { checks, transitions, alerts };
+}
+
+export { checkAlertThresholds, processAndAlert };
@@ -0,0 +1,308 @@
+import { readFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import {
+  ALERT_STATUS,
+  API_CONFIG,
+  DISCORD_BOT_CONFIG,
+  THRESHOLD_UNITS,
+  getAlertThreshold,
+  getThresholdTiers,
+} from "./config.js";
+import { loadSamplesSince } from "./history.js";
+import { handleDiscordInteraction } from "./interactions.js";
+import { getActiveSilences } from "./silences.js";
+import { loadAlertState } from "./state.js";
+
+// ============================================================================
+// Status API
+// ============================================================================
+
+const DASHBOARD_URL = new URL("./dashboard.html", import.meta.url);
+
+// Interaction payloads are small; anything larger is not from Discord
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Machine-readable summary of a pool check, used for --json output and the
+ * status API
+ * @param {Object} check - Pool check from checkAlertThresholds
+ * @returns {Object}
+ */
+function describePoolStatus(check) {
+  const {
+    pool,
+    provider,
+    endpoint,
+    metrics,
+    hasData,
+    dataIssues,
+    dataJumps,
+    belowThreshold,
+  } = check;
+  return {
+    id: pool.id,
+    name: pool.name,
+    chain: pool.chain,
+    type: pool.type,
+    provider: provider || null,
+    endpoint: endpoint || null,
+    hasData,
+    dataIssues,
+    dataJumps,
+    threshold: getAlertThreshold(pool),
+    thresholds: Object.fromEntries(
+      getThresholdTiers(pool).map(({ severity, value }) => [severity, value])
+    ),
+    thresholdUnit: pool.thresholdUnit || THRESHOLD_UNITS.USD,
+    belowThreshold,
+    metrics: hasData ? metrics : null,
+  };
+}
+
+/**
+ * Parse a time query parameter
+ * @param {string} value - Unix milliseconds or an ISO 8601 date
+ * @returns {number} Milliseconds, NaN when unparseable
+ */
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * GET /api/pools: the latest status of every pool
+ * @param {function(): Promise<Object|null>} getStatus - Latest status
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function getPools(getStatus) {
+  const status = await getStatus();
+  if (!status) {
+    return { status: 503, body: { error: "No check has completed yet" } };
+  }
+  return { status: 200, body: status };
+}
+
+/**
+ * GET /api/history: stored samples between `from` and `to`, the last 24
+ * hours by default. With `pool`, each sample is flattened to that pool's
+ * values.
+ * @param {URLSearchParams} params - Query parameters (pool, from, to)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function getHistory(params, now) {
+  const to = params.has("to") ? parseTime(params.get("to")) : now;
+  const from = params.has("from")
+    ? parseTime(params.get("from"))
+    : to - API_CONFIG.HISTORY_WINDOW_MS;
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+    return {
+      status: 400,
+      body: {
+        error:
+          "from and to must be Unix milliseconds or ISO dates, from before to",
+      },
+    };
+  }
+
+  const samples = (await loadSamplesSince(from)).filter(
+    (sample) => sample.timestamp <= to
+  );
+  const pool = params.get("pool");
+  if (!pool) return { status: 200, body: { from, to, samples } };
+
+  return {
+    status: 200,
+    body: {
+      pool,
+      from,
+      to,
+      samples: samples
+        .filter((sample) => sample.pools[pool])
+        .map((sample) => ({
+          timestamp: sample.timestamp,
+          resolution: sample.resolution,
+          ...sample.pools[pool],
+        })),
+    },
+  };
+}
+
+/**
+ * GET /api/alerts: conditions currently breached, or recovered on the last
+ * check, breached first, and the silences in effect
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function getAlerts() {
+  const state = await loadAlertState();
+  const alerts = Object.entries(state.pools)
+    .filter(([, entry]) => entry.status !== ALERT_STATUS.OK)
+    .map(([key, entry]) => ({ key, pool: key.split(":")[0], ...entry }))
+    .sort(
+      (a, b) =>
+        (b.status === ALERT_STATUS.BREACHED) -
+          (a.status === ALERT_STATUS.BREACHED) || b.since - a.since
+    );
+  return {
+    status: 200,
+    body: { alerts, silences: await getActiveSilences() },
+  };
+}
+
+/**
+ * Parse a request path
+ * @param {string} path - Path and query, as on the request line
+ * @returns {URL|null} Request URL, null when it does not parse
+ */
+function parseRequestUrl(path) {
+  try {
+    return new URL(path, "http://localhost");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a request body. Reading stops at MAX_BODY_BYTES; the rest is left
+ * unread, and the server closes the connection after answering.
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Buffer|null>} Body, null when it exceeds MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off("data", onData);
+        req.pause();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.once("end", () => resolve(Buffer.concat(chunks)));
+    req.once("error", reject);
+  });
+}
+
+/**
+ * POST /discord/interactions: Discord slash commands, when the application
+ * public key is set
+ * @param {Object} req - HTTP request
+ * @param {Object} options - Endpoint options ({getStatus, publicKey})
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleInteractionRequest(req, options) {
+  if (!options.publicKey) {
+    return {
+      status: 404,
+      body: { error: "Discord interactions are not configured" },
+    };
+  }
+  if (req.method !== "POST") {
+    return { status: 405, body: { error: "Method not allowed" } };
+  }
+
+  const body = await readBody(req);
+  if (!body) return { status: 413, body: { error: "Body too large" } };
+  return handleDiscordInteraction(req.headers, body, options);
+}
+
+/**
+ * Answer one API request
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {function(): Promise<Object|null>} getStatus - Latest status
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleApiRequest(method, url, getStatus) {
+  if (method !== "GET") {
+    return { status: 405, body: { error: "Method not allowed" } };
+  }
+  switch (url.pathname) {
+    case "/api/pools":
+      return getPools(getStatus);
+    case "/api/history":
+      return getHistory(url.searchParams, Date.now());
+    case "/api/alerts":
+      return getAlerts();
+    default:
+      return { status: 404, body: { error: "Not found" } };
+  }
+}
+
+/**
+ * Start the read-only status API, with the dashboard at / and the Discord
+ * interactions endpoint when a public key is set
+ * @param {Object} options - Server options
+ * @param {function(): Promise<Object|null>} options.getStatus - Latest status of every pool, as --json prints it, or null before the first check
+ * @param {number} [options.port] - Port, API_PORT by default
+ * @param {string} [options.host] - Host, API_HOST by default
+ * @param {string} [options.publicKey] - Discord application public key, DISCORD_PUBLIC_KEY by default
+ * @returns {Promise<Object>} Listening HTTP server
+ */
+function startApiServer({
+  getStatus,
+  port = API_CONFIG.PORT,
+  host = API_CONFIG.HOST,
+  publicKey = DISCORD_BOT_CONFIG.PUBLIC_KEY,
+}) {
+  let dashboard = null;
+
+  const server = createServer(async (req, res) => {
+    const url = parseRequestUrl(req.url);
+
+    let response;
+    try {
+      if (!url) {
+        response = { status: 400, body: { error: "Invalid request URL" } };
+      } else if (
+        req.method === "GET" &&
+        (url.pathname === "/" || url.pathname === "/index.html")
+      ) {
+        dashboard ??= await readFile(DASHBOARD_URL);
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(dashboard);
+        return;
+      } else {
+        response =
+          url.pathname === "/discord/interactions"
+            ? await handleInteractionRequest(req, { getStatus, publicKey })
+            : await handleApiRequest(req.method, url, getStatus);
+      }
+    } catch (error) {
+      console.error(`❌ API ${url.pathname} failed:`, error.message);
+      response = { status: 500, body: { error: error.message } };
+    }
+
+    // A body left unread (too large, or never read) would hold the
+    // connection open; answer, then close it
+    const unread = !req.complete;
+    res.writeHead(response.status, {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store",
+      ...(unread && { Connection: "close" }),
+    });
+    res.end(JSON.stringify(response.body), () => {
+      if (unread) req.destroy();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      console.log(
+        `🌐 Status API and dashboard on http://${host}:${
+          server.address().port
+        }/`
+      );
+      if (publicKey)
+        console.log("🤖 Discord interactions on /discord/interactions");
+      resolve(server);
+    });
+  });
+}
+
+export { describePoolStatus, startApiServer };
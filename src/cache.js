@@ -0,0 +1,15 @@
+// ============================================================================
+// Daemon Cache
+// ============================================================================
+
+// In daemon mode alert state and history stay in memory between checks
+// instead of being re-read from disk every run. Files are still written so a
+// restart picks up where the daemon left off.
+const memoryCache = {
+  enabled: false,
+  alertState: null,
+  history: null,
+  lastCompactionAt: 0,
+};
+
+export { memoryCache };
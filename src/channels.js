@@ -0,0 +1,506 @@
+import { renderLiquidityChart } from "./charts.js";
+import {
+  formatDiscordMessage,
+  formatPlainText,
+  formatSlackMessage,
+  formatTelegramMessage,
+  selectDiscordCharts,
+} from "./formatting.js";
+import {
+  LIQUIDITY_ALERT_TITLES,
+  createAlertMessage,
+  describeMetrics,
+  maxSeverity,
+} from "./messages.js";
+import { incrementCounter } from "./prometheus.js";
+
+// ============================================================================
+// Notification Channels
+// ============================================================================
+
+/**
+ * POST a JSON body and throw on a non-2xx response
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {string} label - Name used in the error message
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Response>}
+ */
+async function postJson(url, body, label, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `${label} failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  return response;
+}
+
+/**
+ * POST a multipart form and throw on a non-2xx response
+ * @param {string} url - Endpoint URL
+ * @param {FormData} form - Request body
+ * @param {string} label - Name used in the error message
+ * @returns {Promise<Response>}
+ */
+async function postForm(url, form, label) {
+  const response = await fetch(url, { method: "POST", body: form });
+
+  if (!response.ok) {
+    throw new Error(
+      `${label} failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Send alert to Discord webhook. Liquidity charts are uploaded as
+ * attachments alongside the message, unless the channel sets
+ * `charts: false`.
+ * @param {Object} channel - Discord channel config
+ * @param {Object} alert - Alert message
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendDiscordAlert(channel, alert) {
+  const charts = channel.charts === false ? [] : selectDiscordCharts(alert);
+  const message = formatDiscordMessage(alert, {
+    charts,
+    mentions: channel.mentions,
+  });
+
+  if (charts.length === 0) {
+    await postJson(channel.webhookUrl, message, "Discord webhook");
+    return true;
+  }
+
+  const form = new FormData();
+  form.append("payload_json", JSON.stringify(message));
+  charts.forEach(({ pool, fileName }, index) =>
+    form.append(
+      `files[${index}]`,
+      new Blob([renderLiquidityChart(pool.chart)], { type: "image/png" }),
+      fileName
+    )
+  );
+  await postForm(channel.webhookUrl, form, "Discord webhook");
+  return true;
+}
+
+/**
+ * Send alert to a Slack incoming webhook
+ * @param {Object} channel - Slack channel config
+ * @param {Object} alert - Alert message
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendSlackAlert(channel, alert) {
+  await postJson(
+    channel.webhookUrl,
+    formatSlackMessage(alert),
+    "Slack webhook"
+  );
+  return true;
+}
+
+/**
+ * Send alert to a Telegram chat through the Bot API
+ * @param {Object} channel - Telegram channel config
+ * @param {Object} alert - Alert message
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendTelegramAlert(channel, alert) {
+  const apiUrl = channel.apiUrl || "https://api.telegram.org";
+  await postJson(
+    `${apiUrl}/bot${channel.botToken}/sendMessage`,
+    {
+      chat_id: channel.chatId,
+      text: formatTelegramMessage(alert),
+      parse_mode: "MarkdownV2",
+      disable_web_page_preview: true,
+    },
+    "Telegram sendMessage"
+  );
+  return true;
+}
+
+/**
+ * Send the alert message as JSON to a generic webhook
+ * @param {Object} channel - Webhook channel config
+ * @param {Object} alert - Alert message
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendWebhookAlert(channel, alert) {
+  await postJson(
+    channel.url,
+    { source: "moonwell-liquidity-tracker", ...alert },
+    "Webhook",
+    channel.headers
+  );
+  return true;
+}
+
+/**
+ * Send alert by email over SMTP
+ * @param {Object} channel - Email channel config
+ * @param {Object} alert - Alert message
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendEmailAlert(channel, alert) {
+  // Loaded on demand so nodemailer is only needed when email is configured
+  const { createTransport } = await import("nodemailer");
+  const transport = createTransport({
+    host: channel.host,
+    port: channel.port || 587,
+    secure: channel.secure ?? channel.port === 465,
+    ...(channel.user && { auth: { user: channel.user, pass: channel.pass } }),
+  });
+
+  await transport.sendMail({
+    from: channel.from,
+    to: channel.to,
+    subject: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+    text: formatPlainText(alert),
+  });
+  return true;
+}
+
+/**
+ * Stable incident key for an alert condition. Liquidity threshold conditions
+ * are keyed by pool id, so each pool has one incident for its threshold.
+ * @param {string} conditionKey - Alert condition key
+ * @returns {string} Incident dedup key / alias
+ */
+function incidentKey(conditionKey) {
+  return `moonwell-liquidity-tracker:${conditionKey}`;
+}
+
+/**
+ * Open or resolve a PagerDuty incident (Events API v2) per alert condition.
+ * Fetch error messages are not incidents and are skipped.
+ * @param {Object} channel - PagerDuty channel config
+ * @param {Object} alert - Alert message
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendPagerDutyAlert(channel, alert) {
+  const eventsUrl =
+    channel.eventsUrl || "https://events.pagerduty.com/v2/enqueue";
+
+  for (const pool of alert.pools) {
+    for (const condition of pool.conditions) {
+      const event =
+        alert.kind === "recovery"
+          ? { event_action: "resolve" }
+          : {
+              event_action: "trigger",
+              payload: {
+                summary: `${pool.name}: ${condition.line}`.slice(0, 1024),
+                source: "moonwell-liquidity-tracker",
+                severity: condition.severity,
+                timestamp: alert.timestamp,
+                custom_details: Object.fromEntries(
+                  describeMetrics(pool.metrics)
+                ),
+              },
+            };
+
+      await postJson(
+        eventsUrl,
+        {
+          routing_key: channel.routingKey,
+          dedup_key: incidentKey(condition.key),
+          ...event,
+        },
+        "PagerDuty event"
+      );
+    }
+  }
+  return true;
+}
+
+/**
+ * Open or close an Opsgenie alert per alert condition, using the condition
+ * key as the alias. Fetch error messages are skipped.
+ * @param {Object} channel - Opsgenie channel config
+ * @param {Object} alert - Alert message
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendOpsgenieAlert(channel, alert) {
+  const apiUrl = channel.apiUrl || "https://api.opsgenie.com";
+  const headers = { Authorization: `GenieKey ${channel.apiKey}` };
+  const priorities = { critical: "P1", warning: "P3", info: "P5" };
+
+  for (const pool of alert.pools) {
+    for (const condition of pool.conditions) {
+      const alias = incidentKey(condition.key);
+
+      if (alert.kind === "recovery") {
+        await postJson(
+          `${apiUrl}/v2/alerts/${encodeURIComponent(
+            alias
+          )}/close?identifierType=alias`,
+          { source: "moonwell-liquidity-tracker", note: condition.line },
+          "Opsgenie close",
+          headers
+        );
+        continue;
+      }
+
+      await postJson(
+        `${apiUrl}/v2/alerts`,
+        {
+          message: `${pool.name}: ${condition.line}`.slice(0, 130),
+          alias,
+          description: condition.line,
+          priority: priorities[condition.severity],
+          source: "moonwell-liquidity-tracker",
+          details: Object.fromEntries(describeMetrics(pool.metrics)),
+        },
+        "Opsgenie alert",
+        headers
+      );
+    }
+  }
+  return true;
+}
+
+const CHANNEL_SENDERS = {
+  discord: sendDiscordAlert,
+  slack: sendSlackAlert,
+  telegram: sendTelegramAlert,
+  webhook: sendWebhookAlert,
+  email: sendEmailAlert,
+  pagerduty: sendPagerDutyAlert,
+  opsgenie: sendOpsgenieAlert,
+};
+
+// Incident channels open and resolve incidents per alert condition; data
+// fetch warnings, reports and digests have no condition to resolve later,
+// so they never receive one. Suspicious data is a warning for people to
+// look at, not a page, so data quality conditions never reach them either.
+const INCIDENT_CHANNEL_TYPES = ["pagerduty", "opsgenie"];
+
+/**
+ * Narrow an alert message down to what a channel's routes accept
+ * @param {Object} alert - Alert message
+ * @param {Object} channel - Channel config
+ * @returns {Object|null} Routed alert message, or null if nothing matches
+ */
+function routeAlert(alert, channel) {
+  const { pools, severities } = channel.routes || {};
+  const incidents = INCIDENT_CHANNEL_TYPES.includes(channel.type);
+  const accepts = (id, { severity, dataQuality }) =>
+    (!pools || pools.includes(id)) &&
+    (!severities || severities.includes(severity)) &&
+    !(incidents && dataQuality);
+
+  // Fetch errors are not tied to a pool, so only severity routing applies
+  if (alert.kind === "error") {
+    if (incidents) return null;
+    return !severities || severities.includes(alert.severity) ? alert : null;
+  }
+
+  // Reports and digests have no conditions: they list every pool the
+  // channel follows
+  if (alert.kind === "report" || alert.kind === "digest") {
+    if (incidents) return null;
+    if (severities && !severities.includes(alert.severity)) return null;
+    const reported = alert.pools.filter(
+      (pool) => !pools || pools.includes(pool.id)
+    );
+    return reported.length > 0
+      ? createAlertMessage({ ...alert, pools: reported })
+      : null;
+  }
+
+  // Route each condition on its own so a pool's warning-level trend does
+  // not ride along to a critical-only channel with its threshold breach
+  const routedPools = alert.pools
+    .map((pool) => {
+      const conditions = pool.conditions.filter((condition) =>
+        accepts(pool.id, condition)
+      );
+      return {
+        ...pool,
+        conditions,
+        lines: conditions.map((condition) => condition.line),
+        severity: conditions.reduce(
+          (worst, condition) => maxSeverity(worst, condition.severity),
+          "info"
+        ),
+      };
+    })
+    .filter((pool) => pool.conditions.length > 0);
+  if (routedPools.length === 0) return null;
+
+  const routed = createAlertMessage({ ...alert, pools: routedPools });
+  // A channel that only gets the milder tiers of an alert is titled for
+  // them; custom titles (test alerts) are kept as they are
+  if (
+    alert.kind === "alert" &&
+    alert.title === LIQUIDITY_ALERT_TITLES[alert.severity]
+  ) {
+    routed.title = LIQUIDITY_ALERT_TITLES[routed.severity];
+  }
+  return routed;
+}
+
+/**
+ * Deliver an alert message to every channel whose routes match. Throws when
+ * every targeted channel failed. With an `undelivered` queue, an incident
+ * channel that fails gets its message queued instead, for
+ * retryUndelivered to send on a later run, and so does one that still has
+ * messages queued: incidents must open and close in order.
+ * @param {Array} channels - Channel configs
+ * @param {Object} alert - Alert message
+ * @param {{undelivered?: Array<{channel: string, alert: Object}>}} [options] - Queue of incident channel messages still to deliver
+ * @returns {Promise<number>} Number of channels notified or queued for
+ */
+async function sendNotification(channels, alert, { undelivered } = {}) {
+  const targets = channels
+    .map((channel) => ({ channel, routed: routeAlert(alert, channel) }))
+    .filter(({ routed }) => routed);
+
+  let delivered = 0;
+  let lastError = null;
+
+  for (const { channel, routed } of targets) {
+    const queueable =
+      undelivered && INCIDENT_CHANNEL_TYPES.includes(channel.type);
+    // Charts are only drawn for Discord, and not worth keeping
+    const queue = () =>
+      undelivered.push({
+        channel: channel.id,
+        alert: {
+          ...routed,
+          pools: routed.pools.map(({ chart, ...pool }) => pool),
+        },
+      });
+
+    if (queueable && undelivered.some((item) => item.channel === channel.id)) {
+      console.log(`⏳ Queued for ${channel.id} behind earlier messages`);
+      queue();
+      delivered += 1;
+      continue;
+    }
+
+    try {
+      await CHANNEL_SENDERS[channel.type](channel, routed);
+      console.log(`✅ Sent to ${channel.id} (${channel.type})`);
+      incrementCounter("moonwell_alerts_sent_total", {
+        channel: channel.id,
+        channel_type: channel.type,
+        kind: alert.kind,
+      });
+      delivered += 1;
+    } catch (error) {
+      console.error(`❌ Failed to notify ${channel.id}:`, error.message);
+      incrementCounter("moonwell_alert_failures_total", {
+        channel: channel.id,
+        channel_type: channel.type,
+        kind: alert.kind,
+      });
+      if (queueable) {
+        console.log(`⏳ Queued for ${channel.id} until it is back`);
+        queue();
+        delivered += 1;
+      } else {
+        lastError = error;
+      }
+    }
+  }
+
+  if (targets.length > 0 && delivered === 0) {
+    throw lastError;
+  }
+
+  return delivered;
+}
+
+/**
+ * Send the messages queued for incident channels on earlier runs, oldest
+ * first. A channel's remaining messages stay queued behind the first that
+ * fails again; those of channels no longer configured are dropped.
+ * @param {Array} channels - Channel configs
+ * @param {Array<{channel: string, alert: Object}>} [undelivered] - Queued messages
+ * @returns {Promise<Array<{channel: string, alert: Object}>>} Messages still queued
+ */
+async function retryUndelivered(channels, undelivered = []) {
+  const remaining = [];
+
+  for (const item of undelivered) {
+    const channel = channels.find(({ id }) => id === item.channel);
+    if (!channel) continue;
+    if (remaining.some(({ channel: id }) => id === channel.id)) {
+      remaining.push(item);
+      continue;
+    }
+
+    const labels = {
+      channel: channel.id,
+      channel_type: channel.type,
+      kind: item.alert.kind,
+    };
+    try {
+      await CHANNEL_SENDERS[channel.type](channel, item.alert);
+      console.log(`✅ Sent a queued message to ${channel.id}`);
+      incrementCounter("moonwell_alerts_sent_total", labels);
+    } catch (error) {
+      console.error(`❌ Still failing to notify ${channel.id}:`, error.message);
+      incrementCounter("moonwell_alert_failures_total", labels);
+      remaining.push(item);
+    }
+  }
+  return remaining;
+}
+
+/**
+ * Print the channels an alert message would go to, and its plain text
+ * rendering, without sending anything
+ * @param {Array} channels - Channel configs
+ * @param {Object} alert - Alert message
+ * @returns {number} Number of channels that would be notified
+ */
+function previewNotification(channels, alert) {
+  const targets = channels.filter((channel) => routeAlert(alert, channel));
+  console.log(
+    `📝 Dry run: would send to ${
+      targets.map((channel) => `${channel.id} (${channel.type})`).join(", ") ||
+      "no channel"
+    }`
+  );
+  console.log(
+    formatPlainText(alert)
+      .split("\n")
+      .map((line) => `   ${line}`)
+      .join("\n")
+  );
+  const charts = selectDiscordCharts(alert);
+  if (
+    charts.length > 0 &&
+    targets.some(({ type, charts }) => type === "discord" && charts !== false)
+  ) {
+    console.log(
+      `   📈 Discord charts: ${charts
+        .map(({ fileName }) => fileName)
+        .join(", ")}`
+    );
+  }
+  return targets.length;
+}
+
+export {
+  INCIDENT_CHANNEL_TYPES,
+  sendNotification,
+  retryUndelivered,
+  previewNotification,
+};
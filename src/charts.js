@@ -0,0 +1,351 @@
+import { deflateSync } from "node:zlib";
+import { CHART_CONFIG, THRESHOLD_UNITS, getAlertThreshold } from "./config.js";
+import { loadSamplesSince } from "./history.js";
+
+// ============================================================================
+// Liquidity Charts
+// ============================================================================
+
+/**
+ * Available liquidity of a pool over the chart window, from the stored
+ * history plus the current check
+ * @param {Object} check - Pool check ({pool, metrics, hasData})
+ * @param {Array} samples - History samples, oldest first
+ * @param {number} now - End of the window in milliseconds
+ * @returns {{from: number, to: number, unit: string, threshold: number|null, points: Array<[number, number]>}|null} Chart data, or null without any point to draw
+ */
+function buildChartData(check, samples, now) {
+  const { pool, metrics, hasData } = check;
+  const unit = pool.thresholdUnit || THRESHOLD_UNITS.USD;
+  const field =
+    unit === THRESHOLD_UNITS.TOKEN
+      ? "availableLiquidityTokens"
+      : "availableLiquidity";
+  const from = now - CHART_CONFIG.WINDOW_MS;
+
+  const points = samples
+    .filter(
+      (sample) =>
+        sample.timestamp >= from &&
+        sample.timestamp < now &&
+        sample.pools[pool.id]
+    )
+    .map((sample) => [sample.timestamp, sample.pools[pool.id][field] || 0]);
+  if (hasData) points.push([now, metrics[field]]);
+  if (points.length === 0) return null;
+
+  return { from, to: now, unit, threshold: getAlertThreshold(pool), points };
+}
+
+/**
+ * Add chart data to alert message sections, for the channels that draw it
+ * @param {Array} sections - Pool sections of an alert message
+ * @param {Array} checks - Pool checks of the run
+ * @param {number} [now] - End of the chart window in milliseconds
+ * @returns {Promise<void>}
+ */
+async function attachCharts(sections, checks, now = Date.now()) {
+  if (sections.length === 0) return;
+
+  const samples = await loadSamplesSince(now - CHART_CONFIG.WINDOW_MS);
+  for (const section of sections) {
+    const check = checks.find(({ pool }) => pool.id === section.id);
+    const chart = check && buildChartData(check, samples, now);
+    if (chart) section.chart = chart;
+  }
+}
+
+// 5x7 glyphs for the axis labels, one string of rows per character
+const GLYPHS = {
+  0: "01110 10001 10011 10101 11001 10001 01110",
+  1: "00100 01100 00100 00100 00100 00100 01110",
+  2: "01110 10001 00001 00010 00100 01000 11111",
+  3: "11111 00010 00100 00010 00001 10001 01110",
+  4: "00010 00110 01010 10010 11111 00010 00010",
+  5: "11111 10000 11110 00001 00001 10001 01110",
+  6: "00110 01000 10000 11110 10001 10001 01110",
+  7: "11111 00001 00010 00100 01000 01000 01000",
+  8: "01110 10001 10001 01110 10001 10001 01110",
+  9: "01110 10001 10001 01111 00001 00010 01100",
+  $: "00100 01111 10100 01110 00101 11110 00100",
+  ".": "00000 00000 00000 00000 00000 01100 01100",
+  "-": "00000 00000 00000 11111 00000 00000 00000",
+  K: "10001 10010 10100 11000 10100 10010 10001",
+  M: "10001 11011 10101 10101 10001 10001 10001",
+  B: "11110 10001 10001 11110 10001 10001 11110",
+  h: "10000 10000 10110 11001 10001 10001 10001",
+  n: "00000 00000 10110 11001 10001 10001 10001",
+  o: "00000 00000 01110 10001 10001 10001 01110",
+  w: "00000 00000 10001 10001 10101 10101 01010",
+  " ": "00000 00000 00000 00000 00000 00000 00000",
+};
+const GLYPH_SCALE = 2;
+const GLYPH_WIDTH = 6 * GLYPH_SCALE;
+
+/**
+ * Create a blank RGB canvas
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {{width: number, height: number, pixels: Buffer}}
+ */
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels.set(CHART_CONFIG.BACKGROUND, i);
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Fill a rectangle, clipped to the canvas
+ * @param {Object} canvas - Canvas from createCanvas
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<number>} color - RGB color
+ * @returns {void}
+ */
+function fillRect(canvas, x, y, width, height, color) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(canvas.width, Math.round(x + width));
+  const bottom = Math.min(canvas.height, Math.round(y + height));
+
+  for (let row = top; row < bottom; row++) {
+    for (let column = left; column < right; column++) {
+      canvas.pixels.set(color, (row * canvas.width + column) * 3);
+    }
+  }
+}
+
+/**
+ * Draw a line `thickness` pixels wide. With `dash` set, draws `dash` pixels
+ * out of every `dash * 2`.
+ * @param {Object} canvas - Canvas from createCanvas
+ * @param {number} x0 - Start x
+ * @param {number} y0 - Start y
+ * @param {number} x1 - End x
+ * @param {number} y1 - End y
+ * @param {Array<number>} color - RGB color
+ * @param {{thickness?: number, dash?: number}} [style] - Line style
+ * @returns {void}
+ */
+function drawLine(canvas, x0, y0, x1, y1, color, style = {}) {
+  const { thickness = 1, dash = 0 } = style;
+  const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+  const offset = Math.floor(thickness / 2);
+
+  for (let step = 0; step <= steps; step++) {
+    if (dash > 0 && step % (dash * 2) >= dash) continue;
+    const x = x0 + ((x1 - x0) * step) / steps;
+    const y = y0 + ((y1 - y0) * step) / steps;
+    fillRect(canvas, x - offset, y - offset, thickness, thickness, color);
+  }
+}
+
+/**
+ * Draw text with the built-in glyphs. Characters without a glyph are left
+ * blank.
+ * @param {Object} canvas - Canvas from createCanvas
+ * @param {string} text - Text to draw
+ * @param {number} x - Anchor x
+ * @param {number} y - Top edge
+ * @param {Array<number>} color - RGB color
+ * @param {string} [align] - "left", "center" or "right" of the anchor
+ * @returns {void}
+ */
+function drawText(canvas, text, x, y, color, align = "left") {
+  const width = text.length * GLYPH_WIDTH - GLYPH_SCALE;
+  let left = x;
+  if (align === "center") left = x - width / 2;
+  if (align === "right") left = x - width;
+
+  [...text].forEach((char, index) => {
+    const rows = (GLYPHS[char] || GLYPHS[" "]).split(" ");
+    rows.forEach((row, rowIndex) => {
+      [...row].forEach((bit, columnIndex) => {
+        if (bit !== "1") return;
+        fillRect(
+          canvas,
+          left + index * GLYPH_WIDTH + columnIndex * GLYPH_SCALE,
+          y + rowIndex * GLYPH_SCALE,
+          GLYPH_SCALE,
+          GLYPH_SCALE,
+          color
+        );
+      });
+    });
+  });
+}
+
+/**
+ * Short axis label for an amount, e.g. "$4.2M" or "16.0K"
+ * @param {number} value - Amount
+ * @param {string} unit - Threshold unit ("usd" or "token")
+ * @returns {string}
+ */
+function formatAxisValue(value, unit) {
+  const prefix = unit === THRESHOLD_UNITS.TOKEN ? "" : "$";
+  const scales = [
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "K"],
+  ];
+  const [divisor, suffix] = scales.find(
+    ([scale]) => Math.abs(value) >= scale
+  ) || [1, ""];
+  return `${prefix}${(value / divisor).toFixed(
+    divisor === 1 ? 0 : 1
+  )}${suffix}`;
+}
+
+/**
+ * Render available liquidity against the threshold as a PNG line chart.
+ * Stretches below the threshold are drawn in red.
+ * @param {Object} chart - Chart data from buildChartData
+ * @returns {Buffer} PNG image
+ */
+function renderLiquidityChart(chart) {
+  const { WIDTH, HEIGHT } = CHART_CONFIG;
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const plot = { left: 100, top: 20, right: WIDTH - 24, bottom: HEIGHT - 40 };
+
+  const values = chart.points.map(([, value]) => value);
+  if (chart.threshold !== null) values.push(chart.threshold);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const padding = (high - low) * 0.15 || high * 0.1 || 1;
+  const yMin = Math.max(0, low - padding);
+  const yMax = high + padding;
+
+  const toX = (timestamp) =>
+    plot.left +
+    ((timestamp - chart.from) / (chart.to - chart.from)) *
+      (plot.right - plot.left);
+  const toY = (value) =>
+    plot.bottom - ((value - yMin) / (yMax - yMin)) * (plot.bottom - plot.top);
+
+  // Horizontal grid with the amounts, vertical grid every 6 hours
+  for (let line = 0; line <= 4; line++) {
+    const value = yMin + ((yMax - yMin) * line) / 4;
+    const y = Math.round(toY(value));
+    drawLine(canvas, plot.left, y, plot.right, y, CHART_CONFIG.GRID);
+    drawText(
+      canvas,
+      formatAxisValue(value, chart.unit),
+      plot.left - 10,
+      y - 7,
+      CHART_CONFIG.LABEL,
+      "right"
+    );
+  }
+  for (let line = 0; line <= 4; line++) {
+    const x = Math.round(plot.left + ((plot.right - plot.left) * line) / 4);
+    const hoursAgo = Math.round(
+      (((chart.to - chart.from) / 3_600_000) * (4 - line)) / 4
+    );
+    drawLine(canvas, x, plot.top, x, plot.bottom, CHART_CONFIG.GRID);
+    drawText(
+      canvas,
+      hoursAgo === 0 ? "now" : `-${hoursAgo}h`,
+      x,
+      plot.bottom + 12,
+      CHART_CONFIG.LABEL,
+      "center"
+    );
+  }
+
+  if (chart.threshold !== null) {
+    const y = Math.round(toY(chart.threshold));
+    drawLine(canvas, plot.left, y, plot.right, y, CHART_CONFIG.THRESHOLD, {
+      thickness: 2,
+      dash: 8,
+    });
+  }
+
+  const below = (value) => chart.threshold !== null && value < chart.threshold;
+  const points = chart.points.map(([timestamp, value]) => ({
+    x: Math.round(toX(timestamp)),
+    y: Math.round(toY(value)),
+    color: below(value) ? CHART_CONFIG.BELOW_THRESHOLD : CHART_CONFIG.LIQUIDITY,
+  }));
+  if (points.length === 1) {
+    fillRect(canvas, points[0].x - 3, points[0].y - 3, 7, 7, points[0].color);
+  }
+  points.slice(1).forEach((point, index) => {
+    const previous = points[index];
+    drawLine(canvas, previous.x, previous.y, point.x, point.y, point.color, {
+      thickness: 3,
+    });
+  });
+
+  return encodePng(canvas);
+}
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let crc = n;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as used by PNG chunks
+ * @param {Buffer} buffer - Data
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ * @param {string} type - Chunk type, e.g. "IHDR"
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a canvas as an 8-bit RGB PNG
+ * @param {Object} canvas - Canvas from createCanvas
+ * @returns {Buffer} PNG image
+ */
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+
+  // Each row starts with its filter type (0: none)
+  const stride = width * 3;
+  const rows = Buffer.alloc((stride + 1) * height);
+  for (let row = 0; row < height; row++) {
+    pixels.copy(rows, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(rows)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+export { buildChartData, attachCharts, renderLiquidityChart };
@@ -0,0 +1,42 @@
+import { createMoonwellClient } from "@moonwell-fi/moonwell-sdk";
+
+// ============================================================================
+// Moonwell Client
+// ============================================================================
+
+// One SDK client per RPC endpoint, so the tracker rather than the SDK picks
+// which endpoint serves each request
+const moonwellClients = new Map();
+
+// Swapped out by the test suite for clients serving recorded responses
+let clientFactory = createMoonwellClient;
+
+/**
+ * Create SDK clients with a different factory. Clients created so far are
+ * dropped.
+ * @param {function(Object): Object} factory - Takes createMoonwellClient's options
+ * @returns {void}
+ */
+function setMoonwellClientFactory(factory) {
+  clientFactory = factory;
+  moonwellClients.clear();
+}
+
+/**
+ * Get (or create) the Moonwell SDK client bound to a single RPC endpoint
+ * @param {string} chain - Chain name from config
+ * @param {string} url - RPC endpoint URL
+ * @returns {Object} Moonwell client
+ */
+function getMoonwellClient(chain, url) {
+  const key = `${chain}:${url}`;
+  if (!moonwellClients.has(key)) {
+    moonwellClients.set(
+      key,
+      clientFactory({ networks: { [chain]: { rpcUrls: [url] } } })
+    );
+  }
+  return moonwellClients.get(key);
+}
+
+export { getMoonwellClient, setMoonwellClientFactory };
@@ -0,0 +1,1401 @@
+import { readFile } from "node:fs/promises";
+import { formatApy, formatNumber } from "./utils.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const CONFIG_PATH = process.env.MOONWELL_CONFIG || "moonwell.config.json";
+
+const SUPPORTED_CHAINS = {
+  base: 8453,
+  optimism: 10,
+  moonbeam: 1284,
+};
+
+const POOL_TYPES = {
+  CORE_MARKET: "core-market",
+  MORPHO_VAULT: "morpho-vault",
+};
+
+const THRESHOLD_UNITS = {
+  USD: "usd",
+  TOKEN: "token",
+};
+
+const DISCORD_CONFIG = {
+  ALERT_COLOR: 0xff0000,
+  WARNING_COLOR: 0xffa500,
+  INFO_COLOR: 0xf1c40f,
+  RECOVERED_COLOR: 0x00ff00,
+  REPORT_COLOR: 0x3498db,
+  DIGEST_COLOR: 0x9b59b6,
+  FOOTER_TEXT: "Moonwell Liquidity Tracker",
+  MAX_FIELDS: 25,
+  // Discord rejects the whole message when a field value is longer
+  MAX_FIELD_LENGTH: 1024,
+  // ...or when the titles, descriptions, fields and footers of its embeds
+  // add up to more
+  MAX_MESSAGE_LENGTH: 6000,
+  // Discord allows 10 embeds per message; further pools go without a chart
+  MAX_CHARTS: 4,
+};
+
+const RETRY_CONFIG = {
+  MAX_ATTEMPTS: 4,
+  MAX_DELAY_MS: 20_000,
+  // All fetching in a run (every chain, provider and retry) must finish
+  // within this, so a slow outage cannot stall the run indefinitely
+  RUN_DEADLINE_MS: Number(process.env.RUN_DEADLINE_SECONDS ?? 120) * 1000,
+  // A provider that fails this many fetches in a row on a chain is skipped
+  // until the cooldown has passed (only matters in daemon mode)
+  BREAKER_THRESHOLD: 3,
+  BREAKER_COOLDOWN_MS: 5 * 60 * 1000,
+};
+
+// How each class of error is retried. Delays grow exponentially from
+// `baseDelayMs` with random jitter; errors that asking again cannot fix
+// fail straight away.
+const RETRY_POLICIES = {
+  "rate-limit": { retry: true, baseDelayMs: 5000 },
+  timeout: { retry: true, baseDelayMs: 2000 },
+  network: { retry: true, baseDelayMs: 1000 },
+  server: { retry: true, baseDelayMs: 2000 },
+  unknown: { retry: true, baseDelayMs: 2000 },
+  schema: { retry: false },
+  config: { retry: false },
+  "circuit-open": { retry: false },
+  deadline: { retry: false },
+};
+
+const DATA_PROVIDER_NAMES = ["sdk", "rpc"];
+
+const DEFAULT_DATA_SOURCES = {
+  // Tried in order; a provider is only used when the ones before it failed
+  providers: ["sdk", "rpc"],
+  crossCheck: {
+    enabled: false,
+    tolerancePercent: 5,
+  },
+  // Readings that fail these checks are ignored and raise a data quality
+  // warning instead of a liquidity alert
+  sanity: {
+    enabled: true,
+    // Supply APYs above this are taken for a bad reading
+    maxApyPercent: 1000,
+    // Available liquidity or total supply moving more than this since a
+    // sample within the window is taken for a bad reading
+    maxJumpPercent: 90,
+    jumpWindowMinutes: 30,
+  },
+};
+
+// Slack allowed in consistency checks (supply against borrows and cash,
+// vault allocations adding up to 100%), as a share
+const DATA_CONSISTENCY_TOLERANCE = 0.02;
+
+const RPC_CONFIG = {
+  TIMEOUT_MS: 15_000,
+  // Calls per JSON-RPC batch request; public endpoints reject large batches
+  BATCH_SIZE: 50,
+  PROBE_TIMEOUT_MS: 5_000,
+  // Endpoint health is re-probed at most this often (every run when not
+  // in daemon mode)
+  PROBE_INTERVAL_MS: 30_000,
+  // An endpoint that failed is tried last for this long
+  ERROR_COOLDOWN_MS: 30_000,
+  RATE_LIMIT_COOLDOWN_MS: 120_000,
+  // Defaults for the per-chain `maxBlockLag` and `maxBlockAgeSeconds`
+  MAX_BLOCK_LAG: 10,
+  MAX_BLOCK_AGE_SECONDS: 300,
+};
+
+// Function selectors for the contract reads made by the RPC provider
+const SELECTORS = {
+  // Comptroller
+  getAllMarkets: "0xb0772d0b", // getAllMarkets()
+  oracle: "0x7dc0d1d0", // oracle()
+  mintGuardianPaused: "0x731f0c2b", // mintGuardianPaused(address)
+  // Price oracle
+  getUnderlyingPrice: "0xfc57d4df", // getUnderlyingPrice(address)
+  // mToken
+  underlying: "0x6f307dc3", // underlying()
+  getCash: "0x3b1d21a2", // getCash()
+  totalBorrowsCurrent: "0x73acee98", // totalBorrowsCurrent()
+  totalReserves: "0x8f840ddd", // totalReserves()
+  exchangeRateStored: "0x182df0f5", // exchangeRateStored()
+  supplyRatePerTimestamp: "0xd3bd2c72", // supplyRatePerTimestamp()
+  // ERC-20
+  symbol: "0x95d89b41", // symbol()
+  name: "0x06fdde03", // name()
+  decimals: "0x313ce567", // decimals()
+  totalSupply: "0x18160ddd", // totalSupply()
+  balanceOf: "0x70a08231", // balanceOf(address)
+  // MetaMorpho vault
+  asset: "0x38d52e0f", // asset()
+  totalAssets: "0x01e1d114", // totalAssets()
+  withdrawQueueLength: "0x33f91ebb", // withdrawQueueLength()
+  withdrawQueue: "0x62518ddf", // withdrawQueue(uint256)
+  // Morpho Blue
+  market: "0x5c60e39a", // market(bytes32)
+  position: "0x93c52062", // position(bytes32,address)
+  idToMarketParams: "0x2c3c9157", // idToMarketParams(bytes32)
+  // Morpho interest rate model
+  borrowRateView: "0x8c00bf6b", // borrowRateView((address,address,address,address,uint256),(uint128,uint128,uint128,uint128,uint128,uint128))
+};
+
+// Markets without an `underlying()` hold the chain's native asset
+const NATIVE_SYMBOLS = {
+  base: "ETH",
+  optimism: "ETH",
+  moonbeam: "GLMR",
+};
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// When a vault's position in one of its markets counts as illiquid. Vault
+// pools with a threshold use these unless they set `illiquidMarket`.
+const ILLIQUID_MARKET_DEFAULTS = {
+  // Less than this share of the vault's position can be withdrawn
+  minWithdrawablePercent: 10,
+  // Markets holding less than this share of the vault are ignored
+  minAllocationPercent: 1,
+};
+
+// Markets listed per vault in alert messages, largest allocations first
+const MAX_LISTED_VAULT_MARKETS = 5;
+
+// Breaches listed per pool in a digest, most recent first
+const MAX_LISTED_BREACHES = 5;
+
+// Held-back notifications listed per pool when a silence ends, latest first
+const MAX_LISTED_SUPPRESSED = 5;
+
+const ALERT_STATE_CONFIG = {
+  FILE_PATH: process.env.ALERT_STATE_FILE || ".alert-state.json",
+  // Pools muted from Discord, kept apart so a mute set while a check is
+  // running is not overwritten when the check saves its alert state
+  MUTES_FILE_PATH: process.env.MUTES_FILE || ".mutes.json",
+  // Re-send an alert for a breach that is still ongoing after this long.
+  // Set ALERT_RENOTIFY_MINUTES=0 to only notify on state transitions.
+  RENOTIFY_INTERVAL_MS:
+    Number(process.env.ALERT_RENOTIFY_MINUTES ?? 240) * 60 * 1000,
+};
+
+const HISTORY_CONFIG = {
+  FILE_PATH: process.env.HISTORY_FILE || ".liquidity-history.ndjson",
+  // Every sample is kept for this long, then compacted to hourly aggregates
+  RAW_RETENTION_MS:
+    Number(process.env.HISTORY_RAW_RETENTION_DAYS ?? 7) * 24 * 60 * 60 * 1000,
+  // Hourly aggregates are dropped after this long
+  RETENTION_MS:
+    Number(process.env.HISTORY_RETENTION_DAYS ?? 90) * 24 * 60 * 60 * 1000,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DAEMON_CONFIG = {
+  INTERVAL_MS: Number(process.env.POLL_INTERVAL_SECONDS ?? 60) * 1000,
+  // Prometheus /metrics endpoint; set METRICS_PORT=0 to disable
+  METRICS_PORT: Number(process.env.METRICS_PORT ?? 9464),
+  METRICS_HOST: process.env.METRICS_HOST || "0.0.0.0",
+  // Random delay added to each interval so several instances (or a restart
+  // loop) do not hit the RPC endpoints in lockstep
+  JITTER_MS: Number(process.env.POLL_JITTER_SECONDS ?? 5) * 1000,
+};
+
+// Read-only status API and dashboard, served by the daemon and `serve`
+const API_CONFIG = {
+  // Set API_PORT=0 to keep the daemon from serving it
+  PORT: Number(process.env.API_PORT ?? 8080),
+  HOST: process.env.API_HOST || "0.0.0.0",
+  // `serve` fetches pools on request, at most this often
+  CACHE_MS: Number(process.env.API_CACHE_SECONDS ?? 60) * 1000,
+  // History returned when a request does not say `from`
+  HISTORY_WINDOW_MS: 24 * HOUR_MS,
+};
+
+// Discord slash commands, answered on the status API server
+const DISCORD_BOT_CONFIG = {
+  // The application's public key; without it the endpoint is off
+  PUBLIC_KEY: process.env.DISCORD_PUBLIC_KEY || "",
+  // Only needed to register the commands
+  APPLICATION_ID: process.env.DISCORD_APPLICATION_ID || "",
+  BOT_TOKEN: process.env.DISCORD_BOT_TOKEN || "",
+  // Register the commands in one server, where they show up at once,
+  // instead of globally
+  GUILD_ID: process.env.DISCORD_GUILD_ID || "",
+  API_URL: "https://discord.com/api/v10",
+  // Discord gives up on an interaction after 3 seconds, so a slower answer
+  // is deferred and sent as an edit of the deferred reply
+  DEFER_AFTER_MS: 2000,
+  MAX_MUTE_MS: 7 * 24 * HOUR_MS,
+  // A signed request older (or newer) than this is a replay and rejected
+  MAX_SIGNATURE_AGE_MS: 5 * 60 * 1000,
+};
+
+// Digest periods and how much history each one summarizes. A period is
+// sent once per window, at `hourUtc` (and on `weekday` for weekly ones).
+const DIGEST_PERIODS = {
+  daily: { label: "Daily", windowMs: 24 * HOUR_MS },
+  weekly: { label: "Weekly", windowMs: 7 * 24 * HOUR_MS },
+};
+
+const DIGEST_DEFAULTS = {
+  HOUR_UTC: 9,
+  WEEKDAY: "monday",
+};
+
+// Indexed like Date#getUTCDay()
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Liquidity charts attached to Discord alerts and digests. Colors are RGB.
+const CHART_CONFIG = {
+  WINDOW_MS: 24 * HOUR_MS,
+  WIDTH: 800,
+  HEIGHT: 300,
+  BACKGROUND: [0x2b, 0x2d, 0x31],
+  GRID: [0x40, 0x44, 0x4b],
+  LABEL: [0xb5, 0xba, 0xc1],
+  LIQUIDITY: [0x58, 0x65, 0xf2],
+  BELOW_THRESHOLD: [0xed, 0x42, 0x45],
+  THRESHOLD: [0xfe, 0xe7, 0x5c],
+};
+
+// Trend rule types and the parameters each one requires
+const TREND_RULE_PARAMS = {
+  "drop-percent": ["percent", "windowMinutes"],
+  "outflow-rate": ["usdPerHour", "windowMinutes"],
+  "utilization-spike": ["points", "windowMinutes"],
+};
+
+// Metrics that alert rules can reference. Utilization is expressed in
+// percent so rules read the same way as the alert output.
+const RULE_METRICS = {
+  availableLiquidity: {
+    read: (metrics) => metrics.availableLiquidity,
+    format: (value) => `$${formatNumber(value)}`,
+  },
+  availableLiquidityTokens: {
+    read: (metrics) => metrics.availableLiquidityTokens,
+    format: (value) => formatNumber(value, 4),
+  },
+  totalSupply: {
+    read: (metrics) => metrics.totalSupply,
+    format: (value) => `$${formatNumber(value)}`,
+  },
+  totalBorrows: {
+    read: (metrics) => metrics.totalBorrows,
+    format: (value) => `$${formatNumber(value)}`,
+  },
+  utilization: {
+    read: (metrics) => metrics.utilization * 100,
+    format: (value) => `${value.toFixed(1)}%`,
+  },
+  apy: {
+    read: (metrics) => metrics.apy,
+    format: (value) => formatApy(value),
+  },
+};
+
+const RULE_OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+// Ordered from least to most severe
+const SEVERITIES = ["info", "warning", "critical"];
+
+// Notification channel types and the settings each one requires
+const CHANNEL_FIELDS = {
+  discord: ["webhookUrl"],
+  slack: ["webhookUrl"],
+  telegram: ["botToken", "chatId"],
+  webhook: ["url"],
+  email: ["host", "from", "to"],
+  pagerduty: ["routingKey"],
+  opsgenie: ["apiKey"],
+};
+
+// Used when the config file declares no channels, matching the original
+// single Discord webhook setup
+const DEFAULT_CHANNELS = [
+  { id: "discord", type: "discord", webhookUrl: "${DISCORD_WEBHOOK_URL}" },
+];
+
+// Prometheus metric names with their type and help text
+const PROMETHEUS_METRICS = {
+  moonwell_pool_available_liquidity_usd: {
+    type: "gauge",
+    help: "Liquidity that can be withdrawn or borrowed right now, in USD",
+  },
+  moonwell_pool_available_liquidity_tokens: {
+    type: "gauge",
+    help: "Liquidity that can be withdrawn or borrowed right now, in underlying tokens",
+  },
+  moonwell_pool_total_supply_usd: {
+    type: "gauge",
+    help: "Total supplied to the market or deposited in the vault, in USD",
+  },
+  moonwell_pool_total_borrows_usd: {
+    type: "gauge",
+    help: "Total borrowed from the market, or allocated to markets for vaults, in USD",
+  },
+  moonwell_pool_utilization_ratio: {
+    type: "gauge",
+    help: "Borrows divided by supply; for vaults the share of deposits that cannot be withdrawn",
+  },
+  moonwell_pool_apy_percent: {
+    type: "gauge",
+    help: "Supply APY in percent",
+  },
+  moonwell_rpc_endpoint_up: {
+    type: "gauge",
+    help: "1 when the RPC endpoint answered its last health probe and is not lagging",
+  },
+  moonwell_rpc_endpoint_latency_seconds: {
+    type: "gauge",
+    help: "Response time of the RPC endpoint's last health probe",
+  },
+  moonwell_rpc_endpoint_block_lag: {
+    type: "gauge",
+    help: "Blocks the RPC endpoint is behind the most advanced endpoint on its chain",
+  },
+  moonwell_rpc_endpoint_rotations_total: {
+    type: "counter",
+    help: "Requests moved to another RPC endpoint after an error or rate limit",
+  },
+  moonwell_last_check_timestamp_seconds: {
+    type: "gauge",
+    help: "Unix time of the last completed liquidity check",
+  },
+  moonwell_fetch_failures_total: {
+    type: "counter",
+    help: "Data sources that could not be fetched after all retries",
+  },
+  moonwell_fetch_retries_total: {
+    type: "counter",
+    help: "Retried Moonwell data requests, by error class",
+  },
+  moonwell_circuit_open: {
+    type: "gauge",
+    help: "1 while a provider is skipped on a chain after repeated failures",
+  },
+  moonwell_suspect_readings_total: {
+    type: "counter",
+    help: "Pool readings ignored because they failed the data sanity checks",
+  },
+  moonwell_alerts_sent_total: {
+    type: "counter",
+    help: "Notifications delivered, by channel",
+  },
+  moonwell_alert_failures_total: {
+    type: "counter",
+    help: "Notifications that failed to deliver, by channel",
+  },
+};
+
+const ALERT_STATUS = {
+  OK: "OK",
+  BREACHED: "BREACHED",
+  RECOVERED: "RECOVERED",
+};
+
+/**
+ * Name of the environment variable that overrides a value from the config file
+ * @param {string} prefix - Variable prefix (e.g., "THRESHOLD")
+ * @param {string} id - Pool id or chain name
+ * @returns {string} Environment variable name (e.g., "THRESHOLD_USD_COIN_CORE")
+ */
+function envOverrideName(prefix, id) {
+  return `${prefix}_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+}
+
+/**
+ * Apply environment variable overrides on top of the parsed config file.
+ * Supports `<CHAIN>_RPC_URLS` (comma separated), `THRESHOLD_<POOL_ID>` and
+ * `DATA_PROVIDERS` (comma separated, e.g. "rpc,sdk").
+ * @param {Object} config - Parsed config file
+ * @returns {Object} Config with overrides applied
+ */
+function applyEnvOverrides(config) {
+  const chains = { ...config.chains };
+  for (const name of Object.keys(chains)) {
+    const rpcUrls = process.env[`${name.toUpperCase()}_RPC_URLS`];
+    if (rpcUrls) {
+      chains[name] = {
+        ...chains[name],
+        rpcUrls: rpcUrls.split(",").map((url) => url.trim()),
+      };
+    }
+  }
+
+  const pools = (config.pools || []).map((pool) =>
+    typeof pool?.id === "string" ? applyThresholdOverride(pool) : pool
+  );
+
+  const channels = Array.isArray(config.channels)
+    ? config.channels.map(resolveEnvReferences)
+    : config.channels === undefined
+    ? DEFAULT_CHANNELS.map(resolveEnvReferences)
+    : config.channels;
+
+  const dataSources = {
+    ...DEFAULT_DATA_SOURCES,
+    ...config.dataSources,
+    crossCheck: {
+      ...DEFAULT_DATA_SOURCES.crossCheck,
+      ...config.dataSources?.crossCheck,
+    },
+    sanity: {
+      ...DEFAULT_DATA_SOURCES.sanity,
+      ...config.dataSources?.sanity,
+    },
+  };
+  if (process.env.DATA_PROVIDERS) {
+    dataSources.providers = process.env.DATA_PROVIDERS.split(",").map(
+      (provider) => provider.trim()
+    );
+  }
+
+  return { ...config, chains, pools, channels, dataSources };
+}
+
+/**
+ * Replace `${NAME}` references in a channel's string settings with the
+ * matching environment variable, so secrets stay out of the config file.
+ * Unset variables are listed in `unresolved` for validation to report.
+ * @param {Object} channel - Channel config
+ * @returns {Object} Channel with references resolved
+ */
+function resolveEnvReferences(channel) {
+  if (!channel || typeof channel !== "object") return channel;
+
+  const unresolved = [];
+  const resolve = (value) => {
+    if (typeof value === "string") {
+      return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+        if (process.env[name] === undefined || process.env[name] === "") {
+          unresolved.push(name);
+          return match;
+        }
+        return process.env[name];
+      });
+    }
+    if (Array.isArray(value)) return value.map(resolve);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, nested]) => [key, resolve(nested)])
+      );
+    }
+    return value;
+  };
+
+  const resolved = resolve(channel);
+  return unresolved.length > 0 ? { ...resolved, unresolved } : resolved;
+}
+
+/**
+ * Apply `THRESHOLD_<POOL_ID>` and, for tiered pools,
+ * `THRESHOLD_<POOL_ID>_<SEVERITY>` environment overrides to a pool
+ * @param {Object} pool - Pool from config or discovery
+ * @returns {Object} Pool with the overrides applied
+ */
+function applyThresholdOverride(pool) {
+  const threshold = process.env[envOverrideName("THRESHOLD", pool.id)];
+  const overridden =
+    threshold === undefined ? pool : { ...pool, threshold: Number(threshold) };
+  if (!pool.thresholds || typeof pool.thresholds !== "object") {
+    return overridden;
+  }
+
+  const thresholds = { ...pool.thresholds };
+  for (const severity of SEVERITIES) {
+    const tier =
+      process.env[envOverrideName("THRESHOLD", `${pool.id}_${severity}`)];
+    if (tier !== undefined) thresholds[severity] = Number(tier);
+  }
+  return { ...overridden, thresholds };
+}
+
+/**
+ * A pool's threshold tiers, least severe (highest) first. A single
+ * `threshold` is one warning tier, so it waits out quiet hours; a pool that
+ * should page at any hour sets a `critical` tier.
+ * @param {Object} pool - Pool config
+ * @returns {Array<{severity: string, value: number}>} Empty for a pool without thresholds
+ */
+function getThresholdTiers(pool) {
+  if (pool.thresholds) {
+    return SEVERITIES.filter((severity) =>
+      Number.isFinite(pool.thresholds[severity])
+    ).map((severity) => ({ severity, value: pool.thresholds[severity] }));
+  }
+  return pool.threshold === null || pool.threshold === undefined
+    ? []
+    : [{ severity: "warning", value: pool.threshold }];
+}
+
+/**
+ * The threshold a pool first alerts below: its only threshold, or its
+ * least severe tier
+ * @param {Object} pool - Pool config
+ * @returns {number|null} Threshold, or null for a pool without one
+ */
+function getAlertThreshold(pool) {
+  const [first] = getThresholdTiers(pool);
+  return first ? first.value : null;
+}
+
+/**
+ * The most severe tier a liquidity amount is below
+ * @param {Object} pool - Pool config
+ * @param {number} liquidity - Available liquidity, in the pool's threshold unit
+ * @returns {{severity: string, value: number}|null} Breached tier, or null when above every tier
+ */
+function getBreachedTier(pool, liquidity) {
+  return (
+    getThresholdTiers(pool)
+      .filter((tier) => liquidity < tier.value)
+      .at(-1) || null
+  );
+}
+
+/**
+ * Validate tiered thresholds: each a non-negative number, lower for more
+ * severe tiers
+ * @param {Object|undefined} thresholds - Thresholds keyed by severity
+ * @param {string} where - Location used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateThresholdTiers(thresholds, where) {
+  if (thresholds === undefined) return [];
+  if (
+    typeof thresholds !== "object" ||
+    thresholds === null ||
+    Array.isArray(thresholds) ||
+    Object.keys(thresholds).length === 0
+  ) {
+    return [
+      `${where}.thresholds must map severities (${SEVERITIES.join(
+        ", "
+      )}) to amounts`,
+    ];
+  }
+
+  const problems = [];
+  for (const [severity, value] of Object.entries(thresholds)) {
+    if (!SEVERITIES.includes(severity)) {
+      problems.push(
+        `${where}.thresholds.${severity}: unknown severity (expected one of ${SEVERITIES.join(
+          ", "
+        )})`
+      );
+    } else if (!Number.isFinite(value) || value < 0) {
+      problems.push(
+        `${where}.thresholds.${severity} must be a non-negative number`
+      );
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  const tiers = SEVERITIES.filter((severity) => severity in thresholds);
+  tiers.slice(1).forEach((severity, index) => {
+    if (thresholds[severity] >= thresholds[tiers[index]]) {
+      problems.push(
+        `${where}.thresholds.${severity} must be below the ${tiers[index]} threshold`
+      );
+    }
+  });
+  return problems;
+}
+
+/**
+ * Validate the monitoring config
+ * @param {Object} config - Config with env overrides applied
+ * @returns {Array<string>} List of problems, empty when the config is valid
+ */
+function validateConfig(config) {
+  const problems = [];
+  const chains = config.chains || {};
+
+  if (typeof chains !== "object" || Array.isArray(chains)) {
+    problems.push("`chains` must be an object keyed by chain name");
+  } else {
+    for (const [name, chain] of Object.entries(chains)) {
+      if (!SUPPORTED_CHAINS[name]) {
+        problems.push(
+          `chains.${name}: unsupported chain (expected one of ${Object.keys(
+            SUPPORTED_CHAINS
+          ).join(", ")})`
+        );
+      }
+      if (
+        !Array.isArray(chain?.rpcUrls) ||
+        chain.rpcUrls.length === 0 ||
+        chain.rpcUrls.some((url) => !/^https?:\/\//.test(url))
+      ) {
+        problems.push(`chains.${name}.rpcUrls must be a list of http(s) URLs`);
+      }
+      for (const field of ["maxBlockLag", "maxBlockAgeSeconds"]) {
+        if (
+          chain?.[field] !== undefined &&
+          !(Number.isInteger(chain[field]) && chain[field] > 0)
+        ) {
+          problems.push(`chains.${name}.${field} must be a positive integer`);
+        }
+      }
+      for (const field of ["comptroller", "morphoBlue"]) {
+        if (
+          chain?.[field] !== undefined &&
+          !/^0x[0-9a-fA-F]{40}$/.test(chain[field])
+        ) {
+          problems.push(`chains.${name}.${field} is not a valid address`);
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(config.pools) || config.pools.length === 0) {
+    problems.push("`pools` must be a non-empty list");
+    return problems;
+  }
+
+  const seenIds = new Set();
+  config.pools.forEach((pool, index) => {
+    const where = `pools[${index}]${pool?.id ? ` (${pool.id})` : ""}`;
+
+    if (typeof pool?.id !== "string" || !/^[a-z0-9-]+$/.test(pool.id)) {
+      problems.push(`${where}.id must be lowercase letters, digits and dashes`);
+    } else if (seenIds.has(pool.id)) {
+      problems.push(`${where}.id is duplicated`);
+    } else {
+      seenIds.add(pool.id);
+    }
+
+    if (typeof pool?.name !== "string" || pool.name.trim() === "") {
+      problems.push(`${where}.name is required`);
+    }
+    if (!Object.values(POOL_TYPES).includes(pool?.type)) {
+      problems.push(
+        `${where}.type must be one of ${Object.values(POOL_TYPES).join(", ")}`
+      );
+    }
+    if (!chains[pool?.chain]) {
+      problems.push(
+        `${where}.chain "${pool?.chain}" is not declared in chains`
+      );
+    }
+    if (!pool?.symbol && !pool?.address) {
+      problems.push(`${where} needs a symbol or an address`);
+    }
+    if (pool?.address && !/^0x[0-9a-fA-F]{40}$/.test(pool.address)) {
+      problems.push(`${where}.address is not a valid address`);
+    }
+    if (pool?.threshold !== undefined && pool?.thresholds !== undefined) {
+      problems.push(
+        `${where} sets both threshold and thresholds; keep one (THRESHOLD_<POOL_ID> sets threshold)`
+      );
+    } else if (pool?.thresholds !== undefined) {
+      problems.push(...validateThresholdTiers(pool.thresholds, where));
+    } else if (!Number.isFinite(pool?.threshold) || pool.threshold < 0) {
+      problems.push(`${where}.threshold must be a non-negative number`);
+    }
+    if (
+      pool?.thresholdUnit !== undefined &&
+      !Object.values(THRESHOLD_UNITS).includes(pool.thresholdUnit)
+    ) {
+      problems.push(
+        `${where}.thresholdUnit must be one of ${Object.values(
+          THRESHOLD_UNITS
+        ).join(", ")}`
+      );
+    }
+    problems.push(...validateTrendRules(pool?.trends, where));
+    problems.push(...validateAlertRules(pool?.rules, where));
+    problems.push(...validateIlliquidMarket(pool?.illiquidMarket, where));
+    if (
+      pool?.positionSize !== undefined &&
+      (!Number.isFinite(pool.positionSize) || pool.positionSize <= 0)
+    ) {
+      problems.push(`${where}.positionSize must be a positive number`);
+    }
+    problems.push(
+      ...validateLiquidityMultiple(pool?.minLiquidityMultiple, where)
+    );
+  });
+
+  problems.push(...validateWallets(config.wallets));
+  const usesPositions = [
+    ...config.pools,
+    ...Object.values(config.discovery?.overrides || {}),
+  ].some((pool) => pool?.minLiquidityMultiple !== undefined);
+  if (usesPositions && !(config.wallets?.length > 0)) {
+    problems.push("minLiquidityMultiple needs at least one entry in wallets");
+  }
+  problems.push(...validateDiscoveryConfig(config.discovery, chains));
+  problems.push(...validateDataSources(config.dataSources));
+  problems.push(...validateDigest(config.digest));
+  problems.push(...validateSilences(config.silences));
+  problems.push(...validateQuietHours(config.quietHours));
+  problems.push(...validateChannels(config.channels, seenIds));
+
+  return problems;
+}
+
+/**
+ * Validate notification channels and their routes
+ * @param {Array} channels - Channel configs with env references resolved
+ * @param {Set<string>} poolIds - Configured pool ids
+ * @returns {Array<string>} List of problems
+ */
+function validateChannels(channels, poolIds) {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return ["`channels` must be a non-empty list"];
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+
+  channels.forEach((channel, index) => {
+    const where = `channels[${index}]${channel?.id ? ` (${channel.id})` : ""}`;
+
+    if (typeof channel?.id !== "string" || channel.id === "") {
+      problems.push(`${where}.id is required`);
+    } else if (seenIds.has(channel.id)) {
+      problems.push(`${where}.id is duplicated`);
+    } else {
+      seenIds.add(channel.id);
+    }
+
+    const fields = CHANNEL_FIELDS[channel?.type];
+    if (!fields) {
+      problems.push(
+        `${where}.type must be one of ${Object.keys(CHANNEL_FIELDS).join(", ")}`
+      );
+      return;
+    }
+
+    fields
+      .filter((field) => !channel[field])
+      .forEach((field) => problems.push(`${where}.${field} is required`));
+    (channel.unresolved || []).forEach((name) =>
+      problems.push(
+        `${where}: environment variable ${name} is not set ` +
+          "(set it in your .env file or as an environment variable)"
+      )
+    );
+
+    if (channel.charts !== undefined && typeof channel.charts !== "boolean") {
+      problems.push(`${where}.charts must be true or false`);
+    }
+    problems.push(...validateMentions(channel, where));
+
+    const routes = channel.routes || {};
+    if (routes.pools !== undefined && !Array.isArray(routes.pools)) {
+      problems.push(`${where}.routes.pools must be a list of pool ids`);
+    }
+    // Discovered pool ids are only known at runtime, so only configured
+    // pools that look like typos are flagged here
+    (routes.pools || [])
+      .filter((id) => !poolIds.has(id) && !/^[a-z]+-(market|vault)-/.test(id))
+      .forEach((id) =>
+        problems.push(`${where}.routes.pools: unknown pool "${id}"`)
+      );
+    if (
+      routes.severities !== undefined &&
+      (!Array.isArray(routes.severities) ||
+        routes.severities.some((severity) => !SEVERITIES.includes(severity)))
+    ) {
+      problems.push(
+        `${where}.routes.severities must only contain ${SEVERITIES.join(", ")}`
+      );
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a channel's optional `mentions`, the Discord mention sent with
+ * alerts of each severity
+ * @param {Object} channel - Channel config
+ * @param {string} where - Location used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateMentions(channel, where) {
+  const { mentions } = channel;
+  if (mentions === undefined) return [];
+  if (channel.type !== "discord") {
+    return [`${where}.mentions only apply to discord channels`];
+  }
+  if (typeof mentions !== "object" || mentions === null) {
+    return [`${where}.mentions must map severities to mentions`];
+  }
+
+  return Object.entries(mentions).flatMap(([severity, mention]) => {
+    if (!SEVERITIES.includes(severity)) {
+      return [
+        `${where}.mentions.${severity}: unknown severity (expected one of ${SEVERITIES.join(
+          ", "
+        )})`,
+      ];
+    }
+    return /^(@here|@everyone|<@&?\d+>)$/.test(mention)
+      ? []
+      : [
+          `${where}.mentions.${severity} must be @here, @everyone, <@&role id> or <@user id>`,
+        ];
+  });
+}
+
+/**
+ * Validate the optional `digest` schedules
+ * @param {Object|undefined} digest - Schedules keyed by period ({hourUtc, weekday})
+ * @returns {Array<string>} List of problems
+ */
+function validateDigest(digest) {
+  if (digest === undefined) return [];
+  if (typeof digest !== "object" || digest === null || Array.isArray(digest)) {
+    return ["digest must be an object keyed by period"];
+  }
+
+  const problems = [];
+  for (const [period, schedule] of Object.entries(digest)) {
+    const where = `digest.${period}`;
+    if (!DIGEST_PERIODS[period]) {
+      problems.push(
+        `${where}: unknown period (expected one of ${Object.keys(
+          DIGEST_PERIODS
+        ).join(", ")})`
+      );
+      continue;
+    }
+    if (typeof schedule !== "object" || schedule === null) {
+      problems.push(`${where} must be an object`);
+      continue;
+    }
+    if (
+      schedule.hourUtc !== undefined &&
+      !(
+        Number.isInteger(schedule.hourUtc) &&
+        schedule.hourUtc >= 0 &&
+        schedule.hourUtc <= 23
+      )
+    ) {
+      problems.push(`${where}.hourUtc must be an integer from 0 to 23`);
+    }
+    if (schedule.weekday !== undefined && period !== "weekly") {
+      problems.push(`${where}.weekday only applies to weekly digests`);
+    } else if (
+      schedule.weekday !== undefined &&
+      !WEEKDAYS.includes(schedule.weekday)
+    ) {
+      problems.push(`${where}.weekday must be one of ${WEEKDAYS.join(", ")}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate the optional list of silences
+ * @param {Array|undefined} silences - Silences ({pool, rule, from, until, reason})
+ * @returns {Array<string>} List of problems
+ */
+function validateSilences(silences) {
+  if (silences === undefined) return [];
+  if (!Array.isArray(silences)) return ["silences must be a list"];
+
+  const problems = [];
+  silences.forEach((silence, index) => {
+    const where = `silences[${index}]`;
+    if (typeof silence !== "object" || silence === null) {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (silence.pool !== undefined && !/^[a-z0-9-]+$/.test(silence.pool)) {
+      problems.push(`${where}.pool must be a pool id`);
+    }
+    if (
+      silence.rule !== undefined &&
+      (typeof silence.rule !== "string" || silence.rule === "")
+    ) {
+      problems.push(`${where}.rule must be a rule id`);
+    }
+    if (typeof silence.reason !== "string" || silence.reason.trim() === "") {
+      problems.push(`${where}.reason is required`);
+    }
+
+    const until = Date.parse(silence.until);
+    const from =
+      silence.from === undefined ? -Infinity : Date.parse(silence.from);
+    if (!Number.isFinite(until)) {
+      problems.push(`${where}.until must be an ISO date`);
+    } else if (Number.isNaN(from)) {
+      problems.push(`${where}.from must be an ISO date`);
+    } else if (from >= until) {
+      problems.push(`${where}.from must be before until`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Validate the optional `quietHours` window
+ * @param {Object|undefined} quietHours - Daily window ({startUtc, endUtc, weekdays})
+ * @returns {Array<string>} List of problems
+ */
+function validateQuietHours(quietHours) {
+  if (quietHours === undefined) return [];
+  if (typeof quietHours !== "object" || quietHours === null) {
+    return ["quietHours must be an object"];
+  }
+
+  const problems = [];
+  for (const field of ["startUtc", "endUtc"]) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(quietHours[field])) {
+      problems.push(`quietHours.${field} must be a time such as "22:00"`);
+    }
+  }
+  if (quietHours.startUtc === quietHours.endUtc) {
+    problems.push("quietHours.startUtc and endUtc must differ");
+  }
+  if (
+    quietHours.weekdays !== undefined &&
+    (!Array.isArray(quietHours.weekdays) ||
+      quietHours.weekdays.some((weekday) => !WEEKDAYS.includes(weekday)))
+  ) {
+    problems.push(
+      `quietHours.weekdays must be a list of ${WEEKDAYS.join(", ")}`
+    );
+  }
+  return problems;
+}
+
+/**
+ * Validate the optional list of wallets whose positions are tracked
+ * @param {Array|undefined} wallets - Wallets ({label, address})
+ * @returns {Array<string>} List of problems
+ */
+function validateWallets(wallets) {
+  if (wallets === undefined) return [];
+  if (!Array.isArray(wallets)) return ["wallets must be a list"];
+
+  const problems = [];
+  const seen = new Set();
+
+  wallets.forEach((wallet, index) => {
+    const where = `wallets[${index}]`;
+    if (typeof wallet?.label !== "string" || wallet.label.trim() === "") {
+      problems.push(`${where}.label is required`);
+    }
+    if (!/^0x[0-9a-fA-F]{40}$/.test(wallet?.address)) {
+      problems.push(`${where}.address is not a valid address`);
+    } else if (seen.has(wallet.address.toLowerCase())) {
+      problems.push(`${where}.address is duplicated`);
+    } else {
+      seen.add(wallet.address.toLowerCase());
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a pool's optional `minLiquidityMultiple`
+ * @param {number|undefined} multiple - Multiple of our position
+ * @param {string} where - Location used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateLiquidityMultiple(multiple, where) {
+  if (multiple === undefined) return [];
+  return Number.isFinite(multiple) && multiple > 0
+    ? []
+    : [`${where}.minLiquidityMultiple must be a positive number`];
+}
+
+/**
+ * Validate the optional `discovery` section
+ * @param {Object|undefined} discovery - Discovery config
+ * @param {Object} chains - Declared chains
+ * @returns {Array<string>} List of problems
+ */
+function validateDiscoveryConfig(discovery, chains) {
+  if (discovery === undefined) return [];
+
+  const problems = [];
+  if (!Array.isArray(discovery.chains) || discovery.chains.length === 0) {
+    problems.push("discovery.chains must be a non-empty list of chain names");
+  } else {
+    discovery.chains
+      .filter((chain) => !chains[chain])
+      .forEach((chain) =>
+        problems.push(`discovery.chains: "${chain}" is not declared in chains`)
+      );
+  }
+
+  for (const flag of ["markets", "vaults", "includeDeprecated"]) {
+    if (discovery[flag] !== undefined && typeof discovery[flag] !== "boolean") {
+      problems.push(`discovery.${flag} must be true or false`);
+    }
+  }
+
+  if (discovery.exclude !== undefined && !Array.isArray(discovery.exclude)) {
+    problems.push("discovery.exclude must be a list of pool ids");
+  }
+
+  for (const [id, override] of Object.entries(discovery.overrides || {})) {
+    if (
+      override.threshold !== undefined &&
+      (!Number.isFinite(override.threshold) || override.threshold < 0)
+    ) {
+      problems.push(
+        `discovery.overrides.${id}.threshold must be a non-negative number`
+      );
+    }
+    problems.push(
+      ...validateThresholdTiers(
+        override.thresholds,
+        `discovery.overrides.${id}`
+      )
+    );
+    if (
+      override.thresholdUnit !== undefined &&
+      !Object.values(THRESHOLD_UNITS).includes(override.thresholdUnit)
+    ) {
+      problems.push(
+        `discovery.overrides.${id}.thresholdUnit must be one of ${Object.values(
+          THRESHOLD_UNITS
+        ).join(", ")}`
+      );
+    }
+    problems.push(
+      ...validateTrendRules(override.trends, `discovery.overrides.${id}`)
+    );
+    problems.push(
+      ...validateAlertRules(override.rules, `discovery.overrides.${id}`)
+    );
+    problems.push(
+      ...validateIlliquidMarket(
+        override.illiquidMarket,
+        `discovery.overrides.${id}`
+      )
+    );
+    if (
+      override.positionSize !== undefined &&
+      (!Number.isFinite(override.positionSize) || override.positionSize <= 0)
+    ) {
+      problems.push(
+        `discovery.overrides.${id}.positionSize must be a positive number`
+      );
+    }
+    problems.push(
+      ...validateLiquidityMultiple(
+        override.minLiquidityMultiple,
+        `discovery.overrides.${id}`
+      )
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Validate the data provider order, cross-check and sanity check settings
+ * @param {Object} dataSources - Data source config with defaults applied
+ * @returns {Array<string>} List of problems
+ */
+function validateDataSources(dataSources) {
+  const problems = [];
+  const { providers, crossCheck, sanity } = dataSources;
+
+  if (
+    !Array.isArray(providers) ||
+    providers.length === 0 ||
+    providers.some((provider) => !DATA_PROVIDER_NAMES.includes(provider))
+  ) {
+    problems.push(
+      `dataSources.providers must be a non-empty list of ${DATA_PROVIDER_NAMES.join(
+        ", "
+      )}`
+    );
+  } else if (new Set(providers).size !== providers.length) {
+    problems.push("dataSources.providers must not repeat a provider");
+  }
+
+  if (typeof crossCheck?.enabled !== "boolean") {
+    problems.push("dataSources.crossCheck.enabled must be true or false");
+  } else if (crossCheck.enabled && providers?.length < 2) {
+    problems.push("dataSources.crossCheck needs at least two providers");
+  }
+  if (
+    !Number.isFinite(crossCheck?.tolerancePercent) ||
+    crossCheck.tolerancePercent <= 0
+  ) {
+    problems.push(
+      "dataSources.crossCheck.tolerancePercent must be a positive number"
+    );
+  }
+
+  if (typeof sanity?.enabled !== "boolean") {
+    problems.push("dataSources.sanity.enabled must be true or false");
+  }
+  for (const field of ["maxApyPercent", "maxJumpPercent"]) {
+    if (!Number.isFinite(sanity?.[field]) || sanity[field] <= 0) {
+      problems.push(`dataSources.sanity.${field} must be a positive number`);
+    }
+  }
+  if (
+    !Number.isFinite(sanity?.jumpWindowMinutes) ||
+    sanity.jumpWindowMinutes < 0
+  ) {
+    problems.push(
+      "dataSources.sanity.jumpWindowMinutes must be a non-negative number (0 turns the jump check off)"
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a pool's optional list of trend rules
+ * @param {Array|undefined} trends - Trend rules
+ * @param {string} where - Location used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateTrendRules(trends, where) {
+  if (trends === undefined) return [];
+  if (!Array.isArray(trends)) return [`${where}.trends must be a list`];
+
+  const problems = [];
+  const seenIds = new Set();
+
+  trends.forEach((rule, index) => {
+    const ruleWhere = `${where}.trends[${index}]`;
+    const params = TREND_RULE_PARAMS[rule?.type];
+
+    if (!params) {
+      problems.push(
+        `${ruleWhere}.type must be one of ${Object.keys(TREND_RULE_PARAMS).join(
+          ", "
+        )}`
+      );
+      return;
+    }
+
+    params
+      .filter((param) => !Number.isFinite(rule[param]) || rule[param] <= 0)
+      .forEach((param) =>
+        problems.push(`${ruleWhere}.${param} must be a positive number`)
+      );
+
+    const id = rule.id || rule.type;
+    if (seenIds.has(id)) {
+      problems.push(
+        `${ruleWhere}: duplicate rule "${id}", give it a unique id`
+      );
+    }
+    seenIds.add(id);
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a pool's optional list of declarative alert rules
+ * @param {Array|undefined} rules - Alert rules
+ * @param {string} where - Location used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateAlertRules(rules, where) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) return [`${where}.rules must be a list`];
+
+  const problems = [];
+  const seenIds = new Set();
+
+  rules.forEach((rule, index) => {
+    const ruleWhere = `${where}.rules[${index}]`;
+
+    if (typeof rule?.id !== "string" || !/^[a-z0-9-]+$/.test(rule.id)) {
+      problems.push(
+        `${ruleWhere}.id must be lowercase letters, digits and dashes`
+      );
+    } else if (seenIds.has(rule.id)) {
+      problems.push(`${ruleWhere}.id "${rule.id}" is duplicated`);
+    } else {
+      seenIds.add(rule.id);
+    }
+
+    if (rule?.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      problems.push(
+        `${ruleWhere}.severity must be one of ${SEVERITIES.join(", ")}`
+      );
+    }
+    problems.push(...validateRuleCondition(rule?.when, `${ruleWhere}.when`));
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a vault pool's optional illiquid market settings: `false` to
+ * turn the alert off, or percentages overriding the defaults
+ * @param {Object|boolean|undefined} illiquidMarket - Illiquid market settings
+ * @param {string} where - Location used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateIlliquidMarket(illiquidMarket, where) {
+  if (illiquidMarket === undefined || illiquidMarket === false) return [];
+  if (!illiquidMarket || typeof illiquidMarket !== "object") {
+    return [`${where}.illiquidMarket must be false or an object`];
+  }
+
+  return Object.keys(ILLIQUID_MARKET_DEFAULTS)
+    .filter(
+      (field) =>
+        illiquidMarket[field] !== undefined &&
+        (!Number.isFinite(illiquidMarket[field]) ||
+          illiquidMarket[field] < 0 ||
+          illiquidMarket[field] > 100)
+    )
+    .map(
+      (field) =>
+        `${where}.illiquidMarket.${field} must be a percentage between 0 and 100`
+    );
+}
+
+/**
+ * Validate a rule condition: a `{metric, op, value}` comparison or an
+ * `all`/`any` list of nested conditions
+ * @param {Object} condition - Rule condition
+ * @param {string} where - Location used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateRuleCondition(condition, where) {
+  if (!condition || typeof condition !== "object") {
+    return [`${where} is required`];
+  }
+
+  const group = condition.all || condition.any;
+  if (group !== undefined) {
+    if (!Array.isArray(group) || group.length === 0) {
+      return [
+        `${where}.${condition.all ? "all" : "any"} must be a non-empty list`,
+      ];
+    }
+    return group.flatMap((nested, index) =>
+      validateRuleCondition(
+        nested,
+        `${where}.${condition.all ? "all" : "any"}[${index}]`
+      )
+    );
+  }
+
+  const problems = [];
+  if (!RULE_METRICS[condition.metric]) {
+    problems.push(
+      `${where}.metric must be one of ${Object.keys(RULE_METRICS).join(", ")}`
+    );
+  }
+  if (!RULE_OPERATORS[condition.op]) {
+    problems.push(
+      `${where}.op must be one of ${Object.keys(RULE_OPERATORS).join(" ")}`
+    );
+  }
+  if (!Number.isFinite(condition.value)) {
+    problems.push(`${where}.value must be a number`);
+  }
+  return problems;
+}
+
+/**
+ * Load, override and validate the monitoring config. Exits with a readable
+ * list of problems when the config is missing or invalid.
+ * @returns {Promise<{chains: Object, pools: Array, channels: Array, dataSources: Object, discovery?: Object, wallets?: Array}>}
+ */
+async function loadConfig() {
+  let config;
+  try {
+    config = JSON.parse(await readFile(CONFIG_PATH, "utf8"));
+  } catch (error) {
+    console.error(`❌ ERROR: Could not read config file ${CONFIG_PATH}`);
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  config = applyEnvOverrides(config);
+  const problems = validateConfig(config);
+
+  if (problems.length > 0) {
+    console.error(`❌ ERROR: Invalid config in ${CONFIG_PATH}`);
+    problems.forEach((problem) => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+
+  return config;
+}
+
+// The active config, set by the CLI once loaded (or by tests), so importing
+// a module has no side effects
+let config;
+
+/**
+ * Set the config used by fetching, rules and notifications
+ * @param {Object} next - Config, e.g. from loadConfig()
+ * @returns {void}
+ */
+function setConfig(next) {
+  config = next;
+}
+
+export {
+  SUPPORTED_CHAINS,
+  POOL_TYPES,
+  THRESHOLD_UNITS,
+  DISCORD_CONFIG,
+  RETRY_CONFIG,
+  RETRY_POLICIES,
+  RPC_CONFIG,
+  SELECTORS,
+  NATIVE_SYMBOLS,
+  SECONDS_PER_YEAR,
+  ILLIQUID_MARKET_DEFAULTS,
+  DATA_CONSISTENCY_TOLERANCE,
+  MAX_LISTED_VAULT_MARKETS,
+  MAX_LISTED_BREACHES,
+  MAX_LISTED_SUPPRESSED,
+  ALERT_STATE_CONFIG,
+  HISTORY_CONFIG,
+  HOUR_MS,
+  DAEMON_CONFIG,
+  API_CONFIG,
+  DISCORD_BOT_CONFIG,
+  CHART_CONFIG,
+  DIGEST_PERIODS,
+  DIGEST_DEFAULTS,
+  WEEKDAYS,
+  RULE_METRICS,
+  RULE_OPERATORS,
+  SEVERITIES,
+  PROMETHEUS_METRICS,
+  ALERT_STATUS,
+  applyThresholdOverride,
+  getThresholdTiers,
+  getAlertThreshold,
+  getBreachedTier,
+  validateConfig,
+  loadConfig,
+  config,
+  setConfig,
+};
@@ -0,0 +1,210 @@
+import { previewNotification, sendNotification } from "./channels.js";
+import { attachCharts } from "./charts.js";
+import {
+  DIGEST_DEFAULTS,
+  DIGEST_PERIODS,
+  THRESHOLD_UNITS,
+  WEEKDAYS,
+  config,
+  getAlertThreshold,
+} from "./config.js";
+import { loadSamplesSince } from "./history.js";
+import { createDigestAlert } from "./messages.js";
+import { loadAlertState, saveAlertState } from "./state.js";
+
+// ============================================================================
+// Digests
+// ============================================================================
+
+/**
+ * When a digest period was last scheduled, at or before `now`
+ * @param {string} period - Digest period (see DIGEST_PERIODS)
+ * @param {{hourUtc?: number, weekday?: string}} schedule - Digest schedule
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Scheduled time in milliseconds
+ */
+function getLastScheduledAt(period, schedule, now) {
+  const date = new Date(now);
+  date.setUTCHours(schedule.hourUtc ?? DIGEST_DEFAULTS.HOUR_UTC, 0, 0, 0);
+
+  if (period === "weekly") {
+    const weekday = WEEKDAYS.indexOf(
+      schedule.weekday ?? DIGEST_DEFAULTS.WEEKDAY
+    );
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - weekday + 7) % 7));
+  }
+
+  const scheduledAt = date.getTime();
+  return scheduledAt > now
+    ? scheduledAt - DIGEST_PERIODS[period].windowMs
+    : scheduledAt;
+}
+
+/**
+ * Breaches of the pool's current threshold (its least severe tier) over a
+ * series of samples.
+ * Consecutive samples below the threshold make up one breach, which lasts
+ * until the first sample back above it. Hourly aggregates count as below
+ * when their lowest liquidity was.
+ * @param {Object} pool - Pool config
+ * @param {Array} points - The pool's sample values with their `timestamp`, oldest first
+ * @param {number} now - End of the period in milliseconds
+ * @returns {Array<{start: number, end: number|null, durationMs: number, ongoing: boolean}>|null} Breaches, or null for a pool without a threshold
+ */
+function findBreaches(pool, points, now) {
+  const threshold = getAlertThreshold(pool);
+  if (threshold === null) return null;
+
+  const inTokens = pool.thresholdUnit === THRESHOLD_UNITS.TOKEN;
+  const breaches = [];
+  let current = null;
+
+  for (const point of points) {
+    const liquidity = inTokens
+      ? point.availableLiquidityTokens
+      : point.minAvailableLiquidity ?? point.availableLiquidity;
+
+    if (liquidity < threshold) {
+      if (!current) {
+        current = { start: point.timestamp, end: null };
+        breaches.push(current);
+      }
+    } else if (current) {
+      current.end = point.timestamp;
+      current = null;
+    }
+  }
+
+  return breaches.map(({ start, end }) => ({
+    start,
+    end,
+    durationMs: (end ?? now) - start,
+    ongoing: end === null,
+  }));
+}
+
+/**
+ * Summarize a pool's stored samples over a digest period. Hourly aggregates
+ * weigh in averages by the number of samples they replaced.
+ * @param {Object} pool - Pool config
+ * @param {Array} samples - History samples for the period, oldest first
+ * @param {number} now - End of the period in milliseconds
+ * @returns {Object} Summary ({pool, samples, liquidity, apy, utilization, breaches})
+ */
+function summarizePoolHistory(pool, samples, now) {
+  const points = samples
+    .filter((sample) => sample.pools[pool.id])
+    .map((sample) => ({
+      timestamp: sample.timestamp,
+      ...sample.pools[pool.id],
+    }));
+  if (points.length === 0) return { pool, samples: 0 };
+
+  const weights = points.map((point) => point.samples ?? 1);
+  const count = weights.reduce((total, weight) => total + weight, 0);
+  const average = (field) =>
+    points.reduce(
+      (total, point, index) => total + (point[field] || 0) * weights[index],
+      0
+    ) / count;
+  const apys = points.map((point) => point.apy || 0);
+
+  return {
+    pool,
+    samples: count,
+    liquidity: {
+      min: Math.min(
+        ...points.map((p) => p.minAvailableLiquidity ?? p.availableLiquidity)
+      ),
+      max: Math.max(
+        ...points.map((p) => p.maxAvailableLiquidity ?? p.availableLiquidity)
+      ),
+      average: average("availableLiquidity"),
+    },
+    apy: { min: Math.min(...apys), max: Math.max(...apys) },
+    utilization: {
+      first: points[0].utilization || 0,
+      last: points.at(-1).utilization || 0,
+      average: average("utilization"),
+    },
+    breaches: findBreaches(pool, points, now),
+  };
+}
+
+/**
+ * Build the digest message for a period from the stored history. Pools
+ * that breached their threshold during the period get a liquidity chart.
+ * @param {string} period - Digest period (see DIGEST_PERIODS)
+ * @param {Array} checks - Pool checks of the current run, listing the pools to cover
+ * @param {number} [now] - End of the period in milliseconds
+ * @returns {Promise<Object>} Digest message
+ */
+async function buildDigest(period, checks, now = Date.now()) {
+  const from = now - DIGEST_PERIODS[period].windowMs;
+  const samples = await loadSamplesSince(from);
+  const summaries = checks.map(({ pool }) =>
+    summarizePoolHistory(pool, samples, now)
+  );
+  const digest = createDigestAlert(period, summaries, from, now);
+
+  const breached = new Set(
+    summaries
+      .filter(({ breaches }) => breaches?.length > 0)
+      .map(({ pool }) => pool.id)
+  );
+  await attachCharts(
+    digest.pools.filter((section) => breached.has(section.id)),
+    checks,
+    now
+  );
+  return digest;
+}
+
+/**
+ * Send the configured digests that came due since they were last sent,
+ * recording when each went out in the alert state. The first run after a
+ * digest is configured only starts its schedule, so enabling one never
+ * sends it at whatever time the change is deployed. A dry run previews due
+ * digests and records nothing.
+ * @param {Array} checks - Pool checks of the current run
+ * @param {{dryRun?: boolean, now?: number}} [options] - Run options
+ * @returns {Promise<Array>} Digest messages sent
+ */
+async function sendDueDigests(
+  checks,
+  { dryRun = false, now = Date.now() } = {}
+) {
+  const schedules = config.digest || {};
+  // Without any pool checked (every fetch failed) the digest waits a run
+  if (Object.keys(schedules).length === 0 || checks.length === 0) return [];
+
+  const state = await loadAlertState();
+  const sentAt = { ...state.digests };
+  const digests = [];
+
+  for (const [period, schedule] of Object.entries(schedules)) {
+    if (sentAt[period] === undefined) {
+      sentAt[period] = now;
+      continue;
+    }
+    if (sentAt[period] >= getLastScheduledAt(period, schedule, now)) continue;
+
+    const digest = await buildDigest(period, checks, now);
+    console.log(`🗓️  DIGEST: Sending the ${period} digest`);
+    if (dryRun) previewNotification(config.channels, digest);
+    else await sendNotification(config.channels, digest);
+    digests.push(digest);
+    sentAt[period] = now;
+  }
+
+  if (!dryRun) await saveAlertState({ ...state, digests: sentAt });
+  return digests;
+}
+
+export {
+  getLastScheduledAt,
+  findBreaches,
+  summarizePoolHistory,
+  buildDigest,
+  sendDueDigests,
+};
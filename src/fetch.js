@@ -0,0 +1,378 @@
+import { getMoonwellClient } from "./client.js";
+import {
+  POOL_TYPES,
+  SUPPORTED_CHAINS,
+  applyThresholdOverride,
+  config,
+} from "./config.js";
+import { addWalletPositions } from "./positions.js";
+import { classifiedError, withRetry } from "./retry.js";
+import { fetchRpcMarkets, fetchRpcVaults, withRpcEndpoint } from "./rpc.js";
+
+// ============================================================================
+// Data Fetching
+// ============================================================================
+
+/**
+ * Utilization of every Morpho Blue market on a chain, by market id. The
+ * SDK's vault markets carry no borrow totals, so this is read separately;
+ * when it fails the vault report shows utilization as unknown.
+ * @param {Object} client - Moonwell SDK client
+ * @param {string} chain - Chain name from config (e.g., "base")
+ * @returns {Promise<Map<string, number>>}
+ */
+async function fetchSdkMarketUtilization(client, chain) {
+  try {
+    const markets = await client.getMorphoMarkets({
+      chainId: SUPPORTED_CHAINS[chain],
+    });
+    return new Map(
+      markets
+        .filter((market) => market.totalSupply?.value > 0)
+        .map((market) => [
+          market.marketId,
+          (market.totalBorrows?.value || 0) / market.totalSupply.value,
+        ])
+    );
+  } catch (error) {
+    console.error(
+      `Could not fetch Morpho market utilization on ${chain}:`,
+      error.message
+    );
+    return new Map();
+  }
+}
+
+/**
+ * Copy each vault market's utilization onto the vault data
+ * @param {Array} vaults - Vaults from the SDK
+ * @param {Map<string, number>} utilization - Utilization by market id
+ * @returns {Array} Vaults
+ */
+function addMarketUtilization(vaults, utilization) {
+  if (!Array.isArray(vaults)) return vaults;
+  return vaults.map((vault) => ({
+    ...vault,
+    markets: (vault.markets || []).map((market) => ({
+      ...market,
+      marketUtilization: utilization.get(market.marketId) ?? null,
+    })),
+  }));
+}
+
+// Each provider returns markets and vaults in the shape the SDK uses, so the
+// rest of the tracker does not care where the data came from, along with
+// the RPC endpoint that served them
+const DATA_PROVIDERS = {
+  sdk: {
+    getMarkets: (chain) =>
+      withRpcEndpoint(chain, (url) =>
+        getMoonwellClient(chain, url).getMarkets({
+          chainId: SUPPORTED_CHAINS[chain],
+        })
+      ),
+    getMorphoVaults: (chain) =>
+      withRpcEndpoint(chain, async (url) => {
+        const client = getMoonwellClient(chain, url);
+        const [vaults, utilization] = await Promise.all([
+          client.getMorphoVaults({ chainId: SUPPORTED_CHAINS[chain] }),
+          fetchSdkMarketUtilization(client, chain),
+        ]);
+        return addMarketUtilization(vaults, utilization);
+      }),
+  },
+  rpc: {
+    getMarkets: (chain) =>
+      withRpcEndpoint(chain, (url) => fetchRpcMarkets(chain, url)),
+    getMorphoVaults: (chain) =>
+      withRpcEndpoint(chain, (url) => fetchRpcVaults(chain, url)),
+  },
+};
+
+/**
+ * Fetch all core markets or Morpho vaults on a chain from one provider,
+ * retrying transient failures
+ * @param {string} chain - Chain name from config (e.g., "base")
+ * @param {string} type - Pool type
+ * @param {string} provider - Data provider name (e.g., "sdk")
+ * @param {number} deadline - Time by which the run's fetching must finish
+ * @returns {Promise<{candidates: Array, endpoint: string}>}
+ */
+async function fetchSourceData(chain, type, provider, deadline) {
+  const isVault = type === POOL_TYPES.MORPHO_VAULT;
+  const source = isVault ? "vaults" : "markets";
+
+  return withRetry(
+    async () => {
+      const { result, endpoint } = isVault
+        ? await DATA_PROVIDERS[provider].getMorphoVaults(chain)
+        : await DATA_PROVIDERS[provider].getMarkets(chain);
+      if (!Array.isArray(result)) {
+        throw classifiedError("schema", `${source} response is not a list`);
+      }
+      // Every supported chain has markets; an empty list means a bad response
+      if (!isVault && result.length === 0) {
+        throw classifiedError("schema", "no markets returned");
+      }
+      console.log(
+        `Found ${result.length} ${source} on ${chain} via ${provider} (${endpoint})`
+      );
+      return { candidates: result, endpoint };
+    },
+    {
+      label: `${source} on ${chain} via ${provider}`,
+      circuit: `${provider}:${chain}:${source}`,
+      labels: { chain, source, provider },
+      deadline,
+    }
+  );
+}
+
+/**
+ * Fetch a chain's markets or vaults from the first provider that succeeds.
+ * With cross-checking enabled the next provider in line is read as well, so
+ * the two can be compared. When every provider fails, the error carries
+ * the attempts made across all of them in `attempts`.
+ * @param {string} chain - Chain name from config
+ * @param {string} type - Pool type
+ * @param {number} deadline - Time by which the run's fetching must finish
+ * @returns {Promise<{candidates: Array, provider: string, endpoint: string, crossCheck: {provider: string, candidates: Array}|null}>}
+ */
+async function fetchSource(chain, type, deadline) {
+  const { providers, crossCheck } = config.dataSources;
+  const fetchData = (provider) =>
+    fetchSourceData(chain, type, provider, deadline);
+  const startedAt = Date.now();
+  const failures = [];
+  const attempts = [];
+
+  for (const [index, provider] of providers.entries()) {
+    let primary;
+    try {
+      primary = await fetchData(provider);
+    } catch (error) {
+      failures.push(`${provider}: ${error.message}`);
+      attempts.push(
+        ...(error.attempts || []).map(({ at, ...attempt }) => ({
+          ...attempt,
+          provider,
+          elapsedMs: at - startedAt,
+        }))
+      );
+      if (providers[index + 1]) {
+        console.log(`↪️  Falling back to ${providers[index + 1]} on ${chain}`);
+      }
+      continue;
+    }
+
+    const secondary = providers[index + 1];
+    if (!crossCheck.enabled || !secondary) {
+      return { ...primary, provider, crossCheck: null };
+    }
+
+    try {
+      return {
+        ...primary,
+        provider,
+        crossCheck: {
+          provider: secondary,
+          ...(await fetchData(secondary)),
+        },
+      };
+    } catch (error) {
+      console.error(`Cross-check via ${secondary} skipped:`, error.message);
+      return { ...primary, provider, crossCheck: null };
+    }
+  }
+
+  throw Object.assign(new Error(failures.join("; ")), { attempts });
+}
+
+/**
+ * Find the market or vault a configured pool refers to
+ * @param {Object} pool - Pool from config
+ * @param {Array} candidates - Markets or vaults fetched for the pool's chain
+ * @returns {Object|null}
+ */
+function findPoolData(pool, candidates) {
+  const isVault = pool.type === POOL_TYPES.MORPHO_VAULT;
+
+  return (
+    candidates.find((candidate) => {
+      const token = isVault ? candidate.vaultToken : candidate.marketToken;
+      if (pool.address) {
+        return token?.address?.toLowerCase() === pool.address.toLowerCase();
+      }
+      const symbol = isVault
+        ? candidate.vaultToken?.symbol
+        : candidate.underlyingToken?.symbol;
+      return symbol === pool.symbol;
+    }) || null
+  );
+}
+
+/**
+ * Turn a token symbol into a pool id fragment (e.g., "USDbC" -> "usdbc")
+ * @param {string} symbol - Token symbol
+ * @returns {string} Slug
+ */
+function slugify(symbol) {
+  return symbol
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Build pools for every market or vault found on a chain that is not
+ * already covered by an explicitly configured pool
+ * @param {string} chain - Chain name
+ * @param {string} type - Pool type
+ * @param {Array} candidates - Markets or vaults fetched for the chain
+ * @param {Object} discovery - Discovery config
+ * @param {Set<Object>} claimed - Market/vault objects matched by configured pools
+ * @param {Set<string>} takenIds - Pool ids already in use, updated in place
+ * @returns {Array<{pool: Object, data: Object}>}
+ */
+function discoverPools(chain, type, candidates, discovery, claimed, takenIds) {
+  const isVault = type === POOL_TYPES.MORPHO_VAULT;
+  const chainLabel = chain.charAt(0).toUpperCase() + chain.slice(1);
+  const exclude = new Set(discovery.exclude || []);
+
+  return candidates
+    .filter((candidate) => !claimed.has(candidate))
+    .filter((candidate) => discovery.includeDeprecated || !candidate.deprecated)
+    .map((candidate) => {
+      const token = isVault ? candidate.vaultToken : candidate.underlyingToken;
+      const symbol = token?.symbol || "unknown";
+      let id = `${chain}-${isVault ? "vault" : "market"}-${slugify(symbol)}`;
+      // Deprecated and replacement markets can share an underlying symbol
+      if (takenIds.has(id)) {
+        const address = isVault
+          ? candidate.vaultToken?.address
+          : candidate.marketToken?.address;
+        id = `${id}-${(address || "").slice(2, 8).toLowerCase()}`;
+      }
+      takenIds.add(id);
+      const name = isVault
+        ? `🏛️ ${token?.name || symbol} (${chainLabel})`
+        : `🏦 ${symbol} Market (${chainLabel})`;
+
+      const pool = applyThresholdOverride({
+        id,
+        name,
+        type,
+        chain,
+        symbol,
+        threshold: null,
+        ...discovery.overrides?.[id],
+        discovered: true,
+      });
+      return { pool, data: candidate };
+    })
+    .filter(({ pool }) => !exclude.has(pool.id));
+}
+
+/**
+ * Fetch market and vault data for every configured pool, plus every market
+ * and vault on the discovery chains. Each chain's markets and vaults are
+ * fetched once and shared by the pools on it. With wallets configured, their
+ * share of each pool is read as well.
+ * @param {{pools: Array, discovery?: Object, wallets?: Array}} config - Monitoring config
+ * @param {{deadline: number}} options - Time by which all fetching must finish
+ * @returns {Promise<{results: Array<{pool: Object, data: Object|null, provider?: string, endpoint?: string, crossCheck?: Object|null, walletShares?: Array<number>}>, errors: Array}>}
+ */
+async function fetchMoonwellData({ pools, discovery, wallets }, { deadline }) {
+  console.log("Fetching Moonwell data...");
+
+  const sourceKeys = new Set(pools.map((pool) => `${pool.chain}:${pool.type}`));
+  for (const chain of discovery?.chains || []) {
+    if (discovery.markets !== false) {
+      sourceKeys.add(`${chain}:${POOL_TYPES.CORE_MARKET}`);
+    }
+    if (discovery.vaults !== false) {
+      sourceKeys.add(`${chain}:${POOL_TYPES.MORPHO_VAULT}`);
+    }
+  }
+
+  const errors = [];
+  const sources = new Map();
+
+  for (const sourceKey of sourceKeys) {
+    const [chain, type] = sourceKey.split(":");
+    const isVault = type === POOL_TYPES.MORPHO_VAULT;
+
+    try {
+      sources.set(sourceKey, await fetchSource(chain, type, deadline));
+    } catch (error) {
+      sources.set(sourceKey, null);
+      errors.push({
+        source: `${isVault ? "Vaults" : "Markets"} on ${chain}`,
+        error: error.message,
+        attempts: error.attempts || [],
+      });
+    }
+  }
+
+  // Note which provider and endpoint served each pool and what the
+  // cross-check saw
+  const withSource = ({ pool, data }, source) => ({
+    pool,
+    data,
+    provider: source.provider,
+    endpoint: source.endpoint,
+    crossCheck:
+      data && source.crossCheck
+        ? {
+            provider: source.crossCheck.provider,
+            data: findPoolData(pool, source.crossCheck.candidates),
+          }
+        : null,
+  });
+
+  const claimed = new Set();
+  const results = pools.map((pool) => {
+    const source = sources.get(`${pool.chain}:${pool.type}`);
+    if (!source) return { pool, data: null };
+
+    const data = findPoolData(pool, source.candidates);
+    console.log(
+      data
+        ? `✓ Found ${pool.name} (${source.provider} via ${source.endpoint})`
+        : `✗ Could not find ${pool.name}`
+    );
+    if (data) claimed.add(data);
+    return withSource({ pool, data }, source);
+  });
+
+  const takenIds = new Set(pools.map((pool) => pool.id));
+  for (const [sourceKey, source] of sources) {
+    const [chain, type] = sourceKey.split(":");
+    if (!source || !discovery?.chains?.includes(chain)) continue;
+    if (type === POOL_TYPES.CORE_MARKET && discovery.markets === false)
+      continue;
+    if (type === POOL_TYPES.MORPHO_VAULT && discovery.vaults === false)
+      continue;
+
+    const discovered = discoverPools(
+      chain,
+      type,
+      source.candidates,
+      discovery,
+      claimed,
+      takenIds
+    );
+    if (discovered.length > 0) {
+      console.log(`✓ Discovered ${discovered.length} more pools on ${chain}`);
+    }
+    results.push(...discovered.map((result) => withSource(result, source)));
+  }
+
+  if (wallets?.length > 0) {
+    errors.push(...(await addWalletPositions(results, wallets, deadline)));
+  }
+
+  return { results, errors };
+}
+
+export { fetchMoonwellData };
@@ -0,0 +1,378 @@
+import { DISCORD_CONFIG } from "./config.js";
+import { describeSection, maxSeverity } from "./messages.js";
+import { truncateText } from "./utils.js";
+
+// ============================================================================
+// Channel Formatting
+// ============================================================================
+
+/**
+ * Create a Discord embed field for a liquidity pool
+ * @param {Object} pool - Pool section of an alert message
+ * @returns {Object} Discord embed field
+ */
+function createDiscordField(pool) {
+  if (!pool.hasData) {
+    return {
+      name: pool.name,
+      value: "⚠️ Data unavailable",
+      inline: false,
+    };
+  }
+
+  return {
+    name: pool.name,
+    value: describeSection(pool)
+      .map(([label, value]) => `**${label}:** ${value}`)
+      .join("\n"),
+    inline: false,
+  };
+}
+
+/**
+ * Pools whose liquidity chart goes with a Discord message, with the file
+ * name each chart is attached as
+ * @param {Object} alert - Alert message
+ * @returns {Array<{pool: Object, fileName: string}>}
+ */
+function selectDiscordCharts(alert) {
+  return alert.pools
+    .filter((pool) => pool.chart)
+    .slice(0, DISCORD_CONFIG.MAX_CHARTS)
+    .map((pool) => ({ pool, fileName: `liquidity-${pool.id}.png` }));
+}
+
+/**
+ * The mention a Discord message opens with: the channel's mention for the
+ * worst severity newly breached or escalated to, in liquidity alerts and
+ * data quality warnings. Reminders and recoveries never ping.
+ * @param {Object} alert - Alert message
+ * @param {Object} [mentions] - Channel mentions by severity
+ * @returns {Object} `content` and `allowed_mentions` of the webhook body, or nothing to add
+ */
+function createDiscordMention(alert, mentions = {}) {
+  if (alert.kind !== "alert" && alert.kind !== "data-quality") return {};
+
+  const pinged = alert.pools
+    .flatMap((pool) => pool.conditions)
+    .filter(({ type }) => type === "breach" || type === "escalation");
+  if (pinged.length === 0) return {};
+
+  const severity = pinged.reduce(
+    (worst, condition) => maxSeverity(worst, condition.severity),
+    "info"
+  );
+  const mention = mentions[severity];
+  if (!mention) return {};
+
+  // Discord only pings what allowed_mentions lets through
+  const [, kind, id] = mention.match(/^<@(&?)(\d+)>$/) || [];
+  let allowed = { parse: ["everyone"] };
+  if (kind === "&") allowed = { parse: [], roles: [id] };
+  else if (id) allowed = { parse: [], users: [id] };
+
+  return { content: mention, allowed_mentions: allowed };
+}
+
+/**
+ * Render an alert message as a Discord webhook payload. A single chart is
+ * shown in the alert embed; with several, each gets an embed of its own
+ * titled with its pool. Liquidity alerts are colored by severity and open
+ * with the channel's mention for it. When Discord's message length limit
+ * is near, pools are listed by their lines alone; pools beyond that limit
+ * or the field count are left out and counted in the description.
+ * @param {Object} alert - Alert message
+ * @param {{charts?: Array, mentions?: Object}} [options] - Attached charts from selectDiscordCharts and the channel's mentions by severity
+ * @returns {Object} Discord webhook body
+ */
+function formatDiscordMessage(alert, { charts = [], mentions = {} } = {}) {
+  const alertColors = {
+    info: DISCORD_CONFIG.INFO_COLOR,
+    warning: DISCORD_CONFIG.WARNING_COLOR,
+    critical: DISCORD_CONFIG.ALERT_COLOR,
+  };
+  const colors = {
+    alert: alertColors[alert.severity],
+    "data-quality": DISCORD_CONFIG.WARNING_COLOR,
+    recovery: DISCORD_CONFIG.RECOVERED_COLOR,
+    error: DISCORD_CONFIG.WARNING_COLOR,
+    report: DISCORD_CONFIG.REPORT_COLOR,
+    digest: DISCORD_CONFIG.DIGEST_COLOR,
+  };
+
+  // A vault's markets and position can fill a field on their own; the
+  // metrics give way first so the reasons an alert fired are kept. Each
+  // pool also has a short form, its lines alone, for when the message
+  // cannot fit every pool's metrics.
+  const maxLength = DISCORD_CONFIG.MAX_FIELD_LENGTH;
+  const poolFields = alert.pools.map((pool) => {
+    const field = createDiscordField(pool);
+    const lines = pool.lines.join("\n");
+    const room = maxLength - (lines ? lines.length + 1 : 0);
+    const full = {
+      ...field,
+      value: truncateText(
+        [truncateText(field.value, room), lines].filter(Boolean).join("\n"),
+        maxLength
+      ),
+    };
+    return {
+      full,
+      short: lines ? { ...field, value: truncateText(lines, maxLength) } : full,
+    };
+  });
+  const errorFields = alert.errors.map((err) => {
+    const field = {
+      name: `⚠️ ${err.source}`,
+      value: truncateText(
+        [
+          `Failed to fetch data: ${err.error}`,
+          err.retries ? `**Attempts:** ${err.retries}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        maxLength
+      ),
+      inline: false,
+    };
+    return { full: field, short: field };
+  });
+
+  // Fields are kept in order while they fit both the field count and the
+  // message length. A field is shown in full only if the ones after it
+  // still fit in their short form; the rest are counted in the description.
+  const allFields = [...poolFields, ...errorFields].slice(
+    0,
+    DISCORD_CONFIG.MAX_FIELDS
+  );
+  const fieldLength = ({ name, value }) => name.length + value.length;
+  const chartTitles =
+    charts.length > 1 ? charts.map((chart) => `📈 ${chart.pool.name}`) : [];
+  let room =
+    DISCORD_CONFIG.MAX_MESSAGE_LENGTH -
+    [
+      alert.title,
+      alert.description,
+      `\n…and ${alert.pools.length + alert.errors.length} more pools`,
+      DISCORD_CONFIG.FOOTER_TEXT,
+      ...chartTitles,
+    ].reduce((total, text) => total + (text?.length || 0), 0);
+  let shortRest = allFields.reduce(
+    (total, { short }) => total + fieldLength(short),
+    0
+  );
+  const fields = [];
+  for (const { full, short } of allFields) {
+    shortRest -= fieldLength(short);
+    const field = fieldLength(full) + shortRest <= room ? full : short;
+    if (fieldLength(field) > room) break;
+    fields.push(field);
+    room -= fieldLength(field);
+  }
+  const hidden = alert.pools.length + alert.errors.length - fields.length;
+  const description = [
+    alert.description,
+    hidden > 0 ? `…and ${hidden} more pools` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const image = (chart) => ({ url: `attachment://${chart.fileName}` });
+
+  return {
+    ...createDiscordMention(alert, mentions),
+    embeds: [
+      {
+        title: alert.title,
+        ...(description && { description }),
+        color: colors[alert.kind],
+        fields,
+        ...(charts.length === 1 && { image: image(charts[0]) }),
+        timestamp: alert.timestamp,
+        footer: {
+          text: DISCORD_CONFIG.FOOTER_TEXT,
+        },
+      },
+      ...(charts.length > 1
+        ? charts.map((chart) => ({
+            title: `📈 ${chart.pool.name}`,
+            color: colors[alert.kind],
+            image: image(chart),
+          }))
+        : []),
+    ],
+  };
+}
+
+/**
+ * Render an alert message as a Slack Block Kit payload
+ * @param {Object} alert - Alert message
+ * @returns {Object} Slack webhook body
+ */
+function formatSlackMessage(alert) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: alert.title } },
+  ];
+
+  if (alert.description) {
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: alert.description },
+    });
+  }
+
+  for (const pool of alert.pools) {
+    const metrics = pool.hasData
+      ? describeSection(pool).map(([label, value]) => `• ${label}: ${value}`)
+      : ["⚠️ Data unavailable"];
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: [`*${pool.name}*`, ...metrics, ...pool.lines].join("\n"),
+      },
+    });
+  }
+
+  for (const err of alert.errors) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: [
+          `*⚠️ ${err.source}*`,
+          `Failed to fetch data: ${err.error}`,
+          err.retries ? `*Attempts:* ${err.retries}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      },
+    });
+  }
+
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `${DISCORD_CONFIG.FOOTER_TEXT} • ${alert.timestamp}`,
+      },
+    ],
+  });
+
+  // Slack caps messages at 50 blocks; the header and footer always fit
+  if (blocks.length > 50) {
+    blocks.splice(49, blocks.length - 50);
+  }
+
+  return { text: alert.title, blocks };
+}
+
+/**
+ * Escape text for Telegram MarkdownV2
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeTelegram(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, "\\$&");
+}
+
+/**
+ * Render an alert message as Telegram MarkdownV2 text
+ * @param {Object} alert - Alert message
+ * @returns {string} Message text
+ */
+function formatTelegramMessage(alert) {
+  const sections = [`*${escapeTelegram(alert.title)}*`];
+
+  if (alert.description) {
+    sections.push(escapeTelegram(alert.description));
+  }
+
+  for (const pool of alert.pools) {
+    const metrics = pool.hasData
+      ? describeSection(pool).map(
+          ([label, value]) =>
+            `${escapeTelegram(label)}: ${escapeTelegram(value)}`
+        )
+      : [escapeTelegram("⚠️ Data unavailable")];
+    sections.push(
+      [
+        `*${escapeTelegram(pool.name)}*`,
+        ...metrics,
+        ...pool.lines.map(escapeTelegram),
+      ].join("\n")
+    );
+  }
+
+  for (const err of alert.errors) {
+    sections.push(
+      [
+        `*${escapeTelegram(`⚠️ ${err.source}`)}*`,
+        escapeTelegram(`Failed to fetch data: ${err.error}`),
+        err.retries ? escapeTelegram(`Attempts: ${err.retries}`) : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+  }
+
+  // Telegram messages are limited to 4096 characters. Cutting escaped text
+  // could split an escape or leave bold text open, so whole sections are
+  // kept while they fit and the rest are counted at the end.
+  const more = (count) => escapeTelegram(`…and ${count} more pools`);
+  let room = 4096 - more(sections.length).length - 2;
+  const kept = [];
+  for (const section of sections) {
+    if (section.length + 2 > room) break;
+    kept.push(section);
+    room -= section.length + 2;
+  }
+  const hidden = sections.length - kept.length;
+  return [...kept, ...(hidden > 0 ? [more(hidden)] : [])].join("\n\n");
+}
+
+/**
+ * Render an alert message as plain text, used for email bodies
+ * @param {Object} alert - Alert message
+ * @returns {string} Message text
+ */
+function formatPlainText(alert) {
+  const sections = [alert.title];
+
+  if (alert.description) sections.push(alert.description);
+
+  for (const pool of alert.pools) {
+    const metrics = pool.hasData
+      ? describeSection(pool).map(([label, value]) => `  ${label}: ${value}`)
+      : ["  ⚠️ Data unavailable"];
+    sections.push(
+      [pool.name, ...metrics, ...pool.lines.map((line) => `  ${line}`)].join(
+        "\n"
+      )
+    );
+  }
+
+  for (const err of alert.errors) {
+    sections.push(
+      [
+        `⚠️ ${err.source}`,
+        `  Failed to fetch data: ${err.error}`,
+        err.retries ? `  Attempts: ${err.retries}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+  }
+
+  sections.push(`${DISCORD_CONFIG.FOOTER_TEXT} — ${alert.timestamp}`);
+  return sections.join("\n\n");
+}
+
+export {
+  selectDiscordCharts,
+  formatDiscordMessage,
+  formatSlackMessage,
+  formatTelegramMessage,
+  formatPlainText,
+};
@@ -0,0 +1,270 @@
+import { appendFile, readFile, rename, writeFile } from "node:fs/promises";
+import { memoryCache } from "./cache.js";
+import { HISTORY_CONFIG, HOUR_MS, POOL_TYPES, config } from "./config.js";
+
+// ============================================================================
+// Sample History
+// ============================================================================
+
+/**
+ * Read every sample from the history file, oldest first
+ * @returns {Promise<Array<{timestamp: number, pools: Object}>>}
+ */
+async function readHistoryFile() {
+  let raw;
+  try {
+    raw = await readFile(HISTORY_CONFIG.FILE_PATH, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        `Could not read history from ${HISTORY_CONFIG.FILE_PATH}:`,
+        error.message
+      );
+    }
+    return [];
+  }
+
+  const samples = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      samples.push(JSON.parse(line));
+    } catch {
+      // Skip lines truncated by an interrupted write
+    }
+  }
+  return samples.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Longest trend rule or data sanity jump window in the config, i.e. how far
+ * back the alert logic ever needs to look
+ * @returns {number} Window in milliseconds
+ */
+function getTrendLookbackMs() {
+  const rules = [
+    ...config.pools.flatMap((pool) => pool.trends || []),
+    ...Object.values(config.discovery?.overrides || {}).flatMap(
+      (override) => override.trends || []
+    ),
+  ];
+  const { sanity } = config.dataSources;
+  return Math.max(
+    0,
+    sanity.enabled ? sanity.jumpWindowMinutes * 60 * 1000 : 0,
+    ...rules.map((rule) => rule.windowMinutes * 60 * 1000)
+  );
+}
+
+/**
+ * Load the samples trend rules need, oldest first. In daemon mode these are
+ * kept in memory after the first read.
+ * @returns {Promise<Array<{timestamp: number, pools: Object}>>}
+ */
+async function loadHistory() {
+  if (memoryCache.history) return memoryCache.history;
+
+  const cutoff = Date.now() - getTrendLookbackMs();
+  return (await readHistoryFile()).filter((s) => s.timestamp >= cutoff);
+}
+
+/**
+ * Load every stored sample since a point in time, oldest first, e.g. for a
+ * digest. Older samples are hourly aggregates once compacted.
+ * @param {number} from - Earliest sample time in milliseconds
+ * @returns {Promise<Array<{timestamp: number, resolution: string, pools: Object}>>}
+ */
+async function loadSamplesSince(from) {
+  return (await readHistoryFile()).filter((s) => s.timestamp >= from);
+}
+
+/**
+ * Per-market allocations of a vault, as stored in history samples
+ * @param {Array} markets - Vault market breakdown from calculateVaultMarkets
+ * @returns {Array<Object>}
+ */
+function describeVaultAllocations(markets) {
+  return markets.map((market) => ({
+    marketId: market.marketId,
+    collateralToken: market.collateralSymbol,
+    allocation: market.allocation,
+    suppliedUsd: market.supplied,
+    liquidityUsd: market.liquidity,
+    withdrawableUsd: market.withdrawable,
+    utilization: market.utilization,
+    apy: market.apy,
+  }));
+}
+
+/**
+ * Build a history sample from the current pool checks
+ * @param {Array} checks - Pool checks ({pool, provider, endpoint, metrics, hasData})
+ * @param {number} now - Sample time in milliseconds
+ * @returns {{timestamp: number, resolution: string, pools: Object}}
+ */
+function buildHistorySample(checks, now) {
+  const pools = {};
+  for (const { pool, provider, endpoint, metrics, hasData } of checks) {
+    if (!hasData) continue;
+    pools[pool.id] = {
+      chain: pool.chain,
+      type: pool.type,
+      provider,
+      endpoint,
+      availableLiquidity: metrics.availableLiquidity,
+      availableLiquidityTokens: metrics.availableLiquidityTokens,
+      totalSupply: metrics.totalSupply,
+      totalBorrows: metrics.totalBorrows,
+      utilization: metrics.utilization,
+      apy: metrics.apy,
+      ...(metrics.position && {
+        positionUsd: metrics.position.balance,
+        positionShare: metrics.position.share,
+      }),
+      ...(pool.type === POOL_TYPES.MORPHO_VAULT && {
+        allocations: describeVaultAllocations(metrics.markets),
+      }),
+    };
+  }
+  return { timestamp: now, resolution: "raw", pools };
+}
+
+/**
+ * Average a group of raw samples from the same hour into one hourly sample.
+ * Keeps the min and max available liquidity seen within the hour.
+ * @param {number} hour - Start of the hour in milliseconds
+ * @param {Array} samples - Raw samples within the hour
+ * @returns {Object} Hourly sample
+ */
+function aggregateSamples(hour, samples) {
+  const fields = [
+    "availableLiquidity",
+    "availableLiquidityTokens",
+    "totalSupply",
+    "totalBorrows",
+    "utilization",
+    "apy",
+  ];
+  const byPool = new Map();
+
+  for (const sample of samples) {
+    for (const [id, values] of Object.entries(sample.pools)) {
+      if (!byPool.has(id)) byPool.set(id, []);
+      byPool.get(id).push(values);
+    }
+  }
+
+  const pools = {};
+  for (const [id, entries] of byPool) {
+    const average = (field) =>
+      entries.reduce((sum, entry) => sum + (entry[field] || 0), 0) /
+      entries.length;
+    const liquidity = entries.map((entry) => entry.availableLiquidity || 0);
+
+    pools[id] = {
+      chain: entries[0].chain,
+      type: entries[0].type,
+      ...Object.fromEntries(fields.map((field) => [field, average(field)])),
+      minAvailableLiquidity: Math.min(...liquidity),
+      maxAvailableLiquidity: Math.max(...liquidity),
+      samples: entries.length,
+    };
+  }
+
+  return { timestamp: hour, resolution: "hourly", pools };
+}
+
+/**
+ * Apply retention: drop samples past the retention period and compact raw
+ * samples past the raw retention period into hourly aggregates. Only whole
+ * hours are compacted so an hour is never split across two aggregates.
+ * @param {Array} history - Samples, oldest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {{samples: Array, changed: boolean}}
+ */
+function compactHistory(history, now) {
+  const cutoff = now - HISTORY_CONFIG.RETENTION_MS;
+  const rawCutoff = now - HISTORY_CONFIG.RAW_RETENTION_MS;
+  const kept = [];
+  const buckets = new Map();
+  let changed = false;
+
+  for (const sample of history) {
+    if (sample.timestamp < cutoff) {
+      changed = true;
+      continue;
+    }
+
+    const hour = Math.floor(sample.timestamp / HOUR_MS) * HOUR_MS;
+    if (sample.resolution === "hourly" || hour + HOUR_MS > rawCutoff) {
+      kept.push(sample);
+      continue;
+    }
+
+    if (!buckets.has(hour)) buckets.set(hour, []);
+    buckets.get(hour).push(sample);
+    changed = true;
+  }
+
+  for (const [hour, samples] of buckets) {
+    kept.push(aggregateSamples(hour, samples));
+  }
+
+  return {
+    samples: kept.sort((a, b) => a.timestamp - b.timestamp),
+    changed,
+  };
+}
+
+/**
+ * Append a sample to the history file, then apply retention and compaction
+ * at most once an hour
+ * @param {Array} history - Samples returned by loadHistory
+ * @param {Object} sample - New sample
+ * @returns {Promise<void>}
+ */
+async function saveHistory(history, sample) {
+  await appendFile(HISTORY_CONFIG.FILE_PATH, `${JSON.stringify(sample)}\n`);
+
+  if (memoryCache.enabled) {
+    const cutoff = sample.timestamp - getTrendLookbackMs();
+    memoryCache.history = [...history, sample].filter(
+      (s) => s.timestamp >= cutoff
+    );
+  }
+
+  if (sample.timestamp - memoryCache.lastCompactionAt >= HOUR_MS) {
+    memoryCache.lastCompactionAt = sample.timestamp;
+    await compactHistoryFile(sample.timestamp);
+  }
+}
+
+/**
+ * Rewrite the history file with retention and compaction applied, if
+ * there is anything to drop or compact
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function compactHistoryFile(now) {
+  const history = await readHistoryFile();
+  const { samples, changed } = compactHistory(history, now);
+  if (!changed) return;
+
+  const tempPath = `${HISTORY_CONFIG.FILE_PATH}.tmp`;
+  await writeFile(
+    tempPath,
+    samples.map((s) => JSON.stringify(s)).join("\n") + "\n"
+  );
+  await rename(tempPath, HISTORY_CONFIG.FILE_PATH);
+  console.log(
+    `🗜️  Compacted history: ${history.length} → ${samples.length} samples`
+  );
+}
+
+export {
+  loadHistory,
+  loadSamplesSince,
+  buildHistorySample,
+  compactHistory,
+  saveHistory,
+};
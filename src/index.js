@@ -0,0 +1,68 @@
+// Library entry point: the fetching, metrics, rule evaluation and
+// notification layers of the tracker. The CLI in
+// moonwell-liquidity-tracker.js is built on the same exports.
+
+export {
+  POOL_TYPES,
+  SUPPORTED_CHAINS,
+  THRESHOLD_UNITS,
+  config,
+  getBreachedTier,
+  getThresholdTiers,
+  loadConfig,
+  setConfig,
+  validateConfig,
+} from "./config.js";
+export { setMoonwellClientFactory } from "./client.js";
+export { fetchMoonwellData } from "./fetch.js";
+export { classifyError, withRetry } from "./retry.js";
+export {
+  calculateMarketMetrics,
+  calculatePoolMetrics,
+  calculateVaultMetrics,
+} from "./metrics.js";
+export { calculatePosition } from "./positions.js";
+export { simulateWithdrawal } from "./simulation.js";
+export {
+  evaluateAlertRules,
+  evaluateCrossChecks,
+  evaluateIlliquidMarkets,
+  evaluateTrendRules,
+} from "./rules.js";
+export {
+  evaluateDataQuality,
+  findDataIssues,
+  findDataJumps,
+} from "./sanity.js";
+export { evaluateAlertTransitions } from "./state.js";
+export { checkAlertThresholds, processAndAlert } from "./alerts.js";
+export { buildDigest, sendDueDigests, summarizePoolHistory } from "./digest.js";
+export {
+  createAlertMessage,
+  createDataQualityAlert,
+  createDigestAlert,
+  createErrorAlert,
+  createLiquidityAlert,
+  createRecoveryAlert,
+  createSuppressedSummary,
+} from "./messages.js";
+export {
+  formatDiscordMessage,
+  formatPlainText,
+  formatSlackMessage,
+  formatTelegramMessage,
+} from "./formatting.js";
+export { previewNotification, sendNotification } from "./channels.js";
+export { describePoolStatus, startApiServer } from "./api.js";
+export {
+  DISCORD_COMMANDS,
+  handleDiscordInteraction,
+  registerDiscordCommands,
+  verifyDiscordSignature,
+} from "./interactions.js";
+export { loadMutes, mutePool, unmutePool } from "./mutes.js";
+export {
+  applySilences,
+  getActiveSilences,
+  getQuietHoursWindow,
+} from "./silences.js";
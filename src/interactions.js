@@ -0,0 +1,582 @@
+import { createPublicKey, verify } from "node:crypto";
+import { DISCORD_BOT_CONFIG, HOUR_MS, THRESHOLD_UNITS } from "./config.js";
+import { formatDiscordMessage } from "./formatting.js";
+import { createAlertMessage } from "./messages.js";
+import { mutePool, unmutePool } from "./mutes.js";
+import { getActiveSilences } from "./silences.js";
+import { simulateWithdrawal } from "./simulation.js";
+import {
+  formatApy,
+  formatDuration,
+  formatNumber,
+  matchPools,
+  parseDuration,
+} from "./utils.js";
+
+// ============================================================================
+// Discord Interactions
+// ============================================================================
+
+const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2, AUTOCOMPLETE: 4 };
+
+const RESPONSE_TYPES = {
+  PONG: 1,
+  MESSAGE: 4,
+  DEFERRED_MESSAGE: 5,
+  AUTOCOMPLETE_RESULT: 8,
+};
+
+const OPTION_TYPES = { STRING: 3, NUMBER: 10 };
+
+// Message flag: only the user who ran the command sees the reply
+const EPHEMERAL = 64;
+
+// DER header of an Ed25519 public key, followed by its 32 raw bytes
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+const POOL_OPTION = {
+  type: OPTION_TYPES.STRING,
+  name: "pool",
+  description: "Pool id or part of it, e.g. flagship",
+  autocomplete: true,
+};
+
+// Slash commands as registered with Discord
+const DISCORD_COMMANDS = [
+  {
+    name: "liquidity",
+    description: "Current liquidity of every pool, or of one",
+    options: [POOL_OPTION],
+  },
+  {
+    name: "thresholds",
+    description: "Alert thresholds of every pool",
+  },
+  {
+    name: "mute",
+    description: "Hold back a pool's alerts for a while",
+    // Manage Server; server admins can open it up to other roles
+    default_member_permissions: "32",
+    options: [
+      { ...POOL_OPTION, required: true },
+      {
+        type: OPTION_TYPES.STRING,
+        name: "duration",
+        description: 'How long, e.g. 30m, 2h or 1d; "off" unmutes',
+        required: true,
+      },
+    ],
+  },
+  {
+    name: "simulate",
+    description: "What withdrawing an amount would do right now",
+    options: [
+      {
+        type: OPTION_TYPES.NUMBER,
+        name: "amount",
+        description: "Withdrawal in USD",
+        required: true,
+        min_value: 1,
+      },
+      POOL_OPTION,
+    ],
+  },
+];
+
+/**
+ * Check that a request came from Discord: the Ed25519 signature of its
+ * timestamp and body against the application's public key, with the
+ * timestamp within MAX_SIGNATURE_AGE_MS of now so a captured request
+ * cannot be replayed later
+ * @param {string} publicKey - Application public key, hex
+ * @param {string} [signature] - X-Signature-Ed25519 header, hex
+ * @param {string} [timestamp] - X-Signature-Timestamp header, Unix seconds
+ * @param {Buffer} body - Raw request body
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+function verifyDiscordSignature(
+  publicKey,
+  signature,
+  timestamp,
+  body,
+  now = Date.now()
+) {
+  if (
+    !/^[0-9a-f]{64}$/i.test(publicKey) ||
+    !/^[0-9a-f]{128}$/i.test(signature ?? "") ||
+    !/^\d+$/.test(timestamp ?? "") ||
+    Math.abs(now - Number(timestamp) * 1000) >
+      DISCORD_BOT_CONFIG.MAX_SIGNATURE_AGE_MS
+  ) {
+    return false;
+  }
+
+  const key = createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, "hex")]),
+    format: "der",
+    type: "spki",
+  });
+  return verify(
+    null,
+    Buffer.concat([Buffer.from(timestamp), body]),
+    key,
+    Buffer.from(signature, "hex")
+  );
+}
+
+/**
+ * A reply only the user who ran the command sees
+ * @param {string} content - Message text
+ * @returns {Object} Interaction message data
+ */
+function notice(content) {
+  return { content, flags: EPHEMERAL };
+}
+
+/**
+ * A Discord timestamp, shown in each reader's own time zone
+ * @param {number} ms - Time in milliseconds
+ * @returns {string}
+ */
+function discordTime(ms) {
+  return `<t:${Math.floor(ms / 1000)}:f>`;
+}
+
+/**
+ * Format an amount in the pool's threshold unit
+ * @param {number} value - Amount
+ * @param {Object} pool - Pool status from describePoolStatus
+ * @returns {string}
+ */
+function formatPoolAmount(value, pool) {
+  return pool.thresholdUnit === THRESHOLD_UNITS.TOKEN
+    ? `${formatNumber(value, 4)} ${pool.metrics?.tokenSymbol ?? ""}`.trim()
+    : `$${formatNumber(value)}`;
+}
+
+/**
+ * The one pool a command's `pool` option points at
+ * @param {Array} pools - Pool statuses
+ * @param {string} query - Pool id or part of it
+ * @returns {{pool?: Object, error?: string}}
+ */
+function pickPool(pools, query) {
+  const matches = matchPools(pools, query);
+  if (matches.length === 1) return { pool: matches[0] };
+  return {
+    error:
+      matches.length === 0
+        ? `No pool matches "${query}"`
+        : `"${query}" matches several pools: ${matches
+            .map((pool) => pool.id)
+            .join(", ")}`,
+  };
+}
+
+/**
+ * /liquidity [pool]: every pool's metrics, or one pool's, as in a report,
+ * with the silences covering it
+ * @param {Object} status - Latest status ({timestamp, pools, errors})
+ * @param {{pool?: string}} options - Command options
+ * @returns {Promise<Object>} Interaction message data
+ */
+async function answerLiquidity(status, { pool: query }) {
+  const pools = query ? matchPools(status.pools, query) : status.pools;
+  if (pools.length === 0) return notice(`No pool matches "${query}"`);
+
+  // Quiet hours cover every pool and are left out
+  const silences = (await getActiveSilences()).filter(
+    (silence) => !silence.quietHours
+  );
+  const message = createAlertMessage({
+    kind: "report",
+    title: "📊 Moonwell Liquidity",
+    pools: pools.map((pool) => {
+      const threshold = formatPoolAmount(pool.threshold, pool);
+      const silenced = silences.filter(
+        (silence) => !silence.pool || silence.pool === pool.id
+      );
+      return {
+        id: pool.id,
+        name: pool.name,
+        severity: "info",
+        metrics: pool.metrics,
+        hasData: pool.hasData,
+        lines: [
+          pool.hasData && pool.threshold !== null
+            ? pool.belowThreshold
+              ? `⚠️ Below the ${threshold} threshold`
+              : `✓ Above the ${threshold} threshold`
+            : null,
+          ...silenced.map(
+            (silence) =>
+              `🔕 ${
+                silence.rule ? `${silence.rule} alerts` : "Alerts"
+              } silenced until ${discordTime(silence.until)}: ${silence.reason}`
+          ),
+        ].filter(Boolean),
+        conditions: [],
+      };
+    }),
+    errors: query ? [] : status.errors,
+  });
+  return formatDiscordMessage({ ...message, timestamp: status.timestamp });
+}
+
+/**
+ * /thresholds: each pool's alert thresholds by severity
+ * @param {Object} status - Latest status ({timestamp, pools, errors})
+ * @returns {Object} Interaction message data
+ */
+function answerThresholds(status) {
+  const pools = status.pools.filter((pool) => pool.threshold !== null);
+  const unlisted = status.pools.length - pools.length;
+
+  const message = createAlertMessage({
+    kind: "report",
+    title: "📏 Moonwell Alert Thresholds",
+    description:
+      unlisted > 0
+        ? `${unlisted} pools without a threshold are not listed.`
+        : undefined,
+    pools: pools.map((pool) => ({
+      id: pool.id,
+      name: pool.name,
+      severity: "info",
+      hasData: true,
+      fields: [
+        ...Object.entries(pool.thresholds).map(([severity, value]) => [
+          `${severity[0].toUpperCase()}${severity.slice(1)}`,
+          formatPoolAmount(value, pool),
+        ]),
+        ...(pool.hasData
+          ? [
+              [
+                "Available Now",
+                formatPoolAmount(
+                  pool.thresholdUnit === THRESHOLD_UNITS.TOKEN
+                    ? pool.metrics.availableLiquidityTokens
+                    : pool.metrics.availableLiquidity,
+                  pool
+                ),
+              ],
+            ]
+          : []),
+      ],
+      lines: [],
+      conditions: [],
+    })),
+  });
+  return formatDiscordMessage({ ...message, timestamp: status.timestamp });
+}
+
+/**
+ * /mute <pool> <duration>: hold back a pool's alerts, or "off" to lift it
+ * @param {Object} status - Latest status ({timestamp, pools, errors})
+ * @param {{pool: string, duration: string}} options - Command options
+ * @param {Object} interaction - The interaction, for who ran it
+ * @returns {Promise<Object>} Interaction message data
+ */
+async function answerMute(status, { pool: query, duration }, interaction) {
+  const { pool, error } = pickPool(status.pools, query);
+  if (error) return notice(error);
+
+  if (/^off$/i.test(duration.trim())) {
+    return (await unmutePool(pool.id))
+      ? { content: `🔔 ${pool.name} alerts are back on` }
+      : notice(`${pool.name} is not muted`);
+  }
+
+  const durationMs = parseDuration(duration);
+  const maxDays = DISCORD_BOT_CONFIG.MAX_MUTE_MS / (24 * HOUR_MS);
+  if (!(durationMs >= 60_000) || durationMs > DISCORD_BOT_CONFIG.MAX_MUTE_MS) {
+    return notice(
+      `Give a duration such as 30m, 2h or 1d, up to ${maxDays} days, or "off"`
+    );
+  }
+
+  const user = interaction.member?.user ?? interaction.user ?? {};
+  const by = user.global_name || user.username || "someone";
+  const now = Date.now();
+  const mute = await mutePool(pool.id, now + durationMs, by, now);
+  console.log(
+    `🔇 ${pool.name} muted for ${formatDuration(durationMs)} by ${by}`
+  );
+  return {
+    content: `🔇 ${pool.name} alerts muted for ${formatDuration(
+      durationMs
+    )}, until ${discordTime(mute.until)}`,
+  };
+}
+
+/**
+ * /simulate <amount> [pool]: what withdrawing the amount would do to each
+ * pool, or to one
+ * @param {Object} status - Latest status ({timestamp, pools, errors})
+ * @param {{amount: number, pool?: string}} options - Command options
+ * @returns {Object} Interaction message data
+ */
+function answerSimulate(status, { amount, pool: query }) {
+  const pools = (query ? matchPools(status.pools, query) : status.pools).filter(
+    (pool) => pool.hasData
+  );
+  if (pools.length === 0) {
+    return notice(
+      query ? `No pool with data matches "${query}"` : "No pool has data"
+    );
+  }
+
+  const percent = (value) =>
+    value === null ? "unknown" : `${(value * 100).toFixed(1)}%`;
+  const message = createAlertMessage({
+    kind: "report",
+    title: `💸 Withdrawing $${formatNumber(amount)}`,
+    description: "Right now, assuming borrow rates stay the same.",
+    pools: pools.map((pool) => {
+      const simulation = simulateWithdrawal(pool, pool.metrics, amount);
+      return {
+        id: pool.id,
+        name: pool.name,
+        severity: "info",
+        hasData: true,
+        fields: [
+          [
+            "Withdrawable",
+            simulation.fullyWithdrawable
+              ? "✅ All of it"
+              : `❌ Only $${formatNumber(simulation.withdrawable)}`,
+          ],
+          [
+            "Utilization",
+            `${percent(simulation.utilizationBefore)} → ${percent(
+              simulation.utilizationAfter
+            )}`,
+          ],
+          [
+            "APY",
+            `${formatApy(simulation.apyBefore)} → ${formatApy(
+              simulation.apyAfter
+            )}`,
+          ],
+        ],
+        lines:
+          simulation.withdrawOrder === "unknown"
+            ? [
+                "Market order unknown: the data provider does not give the vault's withdraw queue",
+              ]
+            : [],
+        conditions: [],
+      };
+    }),
+  });
+  return formatDiscordMessage({ ...message, timestamp: status.timestamp });
+}
+
+const COMMAND_HANDLERS = {
+  liquidity: answerLiquidity,
+  thresholds: answerThresholds,
+  mute: answerMute,
+  simulate: answerSimulate,
+};
+
+/**
+ * Answer a slash command from the latest status
+ * @param {Object} interaction - Application command interaction
+ * @param {function(): Promise<Object|null>} getStatus - Latest status
+ * @returns {Promise<Object>} Interaction message data
+ */
+async function answerCommand(interaction, getStatus) {
+  const { name, options = [] } = interaction.data;
+  const handler = COMMAND_HANDLERS[name];
+  if (!handler) return notice(`Unknown command /${name}`);
+
+  let status;
+  try {
+    status = await getStatus();
+  } catch (error) {
+    return notice(`Could not fetch the pools: ${error.message}`);
+  }
+  if (!status) return notice("No check has completed yet, try again shortly");
+
+  const values = Object.fromEntries(
+    options.map((option) => [option.name, option.value])
+  );
+  return handler(status, values, interaction);
+}
+
+/**
+ * Suggest pools for the option being typed
+ * @param {Object} interaction - Autocomplete interaction
+ * @param {function(): Promise<Object|null>} getStatus - Latest status
+ * @returns {Promise<Object>} Interaction response
+ */
+async function answerAutocomplete(interaction, getStatus) {
+  const focused = interaction.data.options?.find((option) => option.focused);
+  const query = String(focused?.value ?? "").toLowerCase();
+  // Too slow a status only costs the suggestions
+  const status = await withinDeadline(getStatus()).catch(() => null);
+
+  const choices = (status?.pools ?? [])
+    .filter(
+      (pool) =>
+        pool.id.includes(query) || pool.name.toLowerCase().includes(query)
+    )
+    .slice(0, 25)
+    .map((pool) => ({
+      name: `${pool.name} (${pool.id})`.slice(0, 100),
+      value: pool.id,
+    }));
+  return { type: RESPONSE_TYPES.AUTOCOMPLETE_RESULT, data: { choices } };
+}
+
+/**
+ * Settle with a promise, or with null once DEFER_AFTER_MS has passed
+ * @param {Promise} promise - Pending answer
+ * @returns {Promise<*>}
+ */
+function withinDeadline(promise) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, DISCORD_BOT_CONFIG.DEFER_AFTER_MS, null);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call the Discord API and throw on a non-2xx response
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under DISCORD_BOT_CONFIG.API_URL
+ * @param {Object} body - JSON body
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Response>}
+ */
+async function callDiscordApi(method, path, body, headers = {}) {
+  const response = await fetch(`${DISCORD_BOT_CONFIG.API_URL}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `Discord API ${method} failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Work out the response to an interaction. A command whose answer takes
+ * longer than Discord waits is deferred, and its reply edited in once the
+ * answer is ready.
+ * @param {Object} interaction - Interaction from Discord
+ * @param {function(): Promise<Object|null>} getStatus - Latest status
+ * @returns {Promise<Object|null>} Interaction response, null for an unsupported type
+ */
+async function respondToInteraction(interaction, getStatus) {
+  switch (interaction.type) {
+    case INTERACTION_TYPES.PING:
+      return { type: RESPONSE_TYPES.PONG };
+
+    case INTERACTION_TYPES.AUTOCOMPLETE:
+      return answerAutocomplete(interaction, getStatus);
+
+    case INTERACTION_TYPES.APPLICATION_COMMAND: {
+      const user = interaction.member?.user ?? interaction.user;
+      console.log(
+        `💬 /${interaction.data.name} from ${user?.username ?? "unknown"}`
+      );
+
+      // Replies never ping, whatever pool names or arguments contain
+      const answer = answerCommand(interaction, getStatus).then((data) => ({
+        ...data,
+        allowed_mentions: { parse: [] },
+      }));
+      const data = await withinDeadline(answer);
+      if (data) return { type: RESPONSE_TYPES.MESSAGE, data };
+
+      answer
+        .then((late) =>
+          callDiscordApi(
+            "PATCH",
+            `/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`,
+            late
+          )
+        )
+        .catch((error) =>
+          console.error(
+            `❌ Could not answer /${interaction.data.name}:`,
+            error.message
+          )
+        );
+      return { type: RESPONSE_TYPES.DEFERRED_MESSAGE };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Answer a request to the interactions endpoint: verify its signature,
+ * then respond to the interaction
+ * @param {Object} headers - Request headers
+ * @param {Buffer} body - Raw request body
+ * @param {Object} options - Endpoint options
+ * @param {function(): Promise<Object|null>} options.getStatus - Latest status
+ * @param {string} options.publicKey - Application public key, hex
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleDiscordInteraction(
+  headers,
+  body,
+  { getStatus, publicKey }
+) {
+  const signed = verifyDiscordSignature(
+    publicKey,
+    headers["x-signature-ed25519"],
+    headers["x-signature-timestamp"],
+    body
+  );
+  if (!signed) {
+    return { status: 401, body: { error: "Invalid request signature" } };
+  }
+
+  let interaction;
+  try {
+    interaction = JSON.parse(body);
+  } catch {
+    return { status: 400, body: { error: "Body is not JSON" } };
+  }
+
+  const response = await respondToInteraction(interaction, getStatus);
+  return response
+    ? { status: 200, body: response }
+    : { status: 400, body: { error: "Unsupported interaction type" } };
+}
+
+/**
+ * Register the slash commands with Discord, in DISCORD_GUILD_ID when set,
+ * otherwise globally (which can take an hour to show up)
+ * @returns {Promise<Array>} Registered commands
+ */
+async function registerDiscordCommands() {
+  const { APPLICATION_ID, BOT_TOKEN, GUILD_ID } = DISCORD_BOT_CONFIG;
+  const path = GUILD_ID
+    ? `/applications/${APPLICATION_ID}/guilds/${GUILD_ID}/commands`
+    : `/applications/${APPLICATION_ID}/commands`;
+
+  const response = await callDiscordApi("PUT", path, DISCORD_COMMANDS, {
+    Authorization: `Bot ${BOT_TOKEN}`,
+  });
+  return response.json();
+}
+
+export {
+  DISCORD_COMMANDS,
+  verifyDiscordSignature,
+  handleDiscordInteraction,
+  registerDiscordCommands,
+};
@@ -0,0 +1,423 @@
+import {
+  DIGEST_PERIODS,
+  MAX_LISTED_BREACHES,
+  MAX_LISTED_SUPPRESSED,
+  MAX_LISTED_VAULT_MARKETS,
+  SEVERITIES,
+} from "./config.js";
+import { formatPosition } from "./positions.js";
+import { formatVaultMarket } from "./rules.js";
+import {
+  formatApy,
+  formatDuration,
+  formatNumber,
+  formatTimestamp,
+  formatTokenAmount,
+} from "./utils.js";
+
+// ============================================================================
+// Alert Messages
+// ============================================================================
+
+/**
+ * Label/value pairs describing a pool's metrics, styled by each channel
+ * @param {Object} metrics - Pool metrics
+ * @returns {Array<[string, string]>}
+ */
+function describeMetrics(metrics) {
+  return [
+    ["Total Supply", `$${formatNumber(metrics.totalSupply)}`],
+    ["Total Borrow", `$${formatNumber(metrics.totalBorrows)}`],
+    [
+      "Available Liquidity",
+      `$${formatNumber(metrics.availableLiquidity)}${formatTokenAmount(
+        metrics
+      )}`,
+    ],
+    ["Utilization", `${(metrics.utilization * 100).toFixed(1)}%`],
+    ["APY", formatApy(metrics.apy)],
+    ...(metrics.markets?.length > 0
+      ? [["Markets", describeVaultMarkets(metrics.markets)]]
+      : []),
+    ...(metrics.position?.balance > 0
+      ? [["Our Position", formatPosition(metrics.position)]]
+      : []),
+  ];
+}
+
+/**
+ * Label/value pairs shown for a message section: its own `fields` when it
+ * has them (digests), otherwise the pool's current metrics
+ * @param {Object} section - Pool section of an alert message
+ * @returns {Array<[string, string]>}
+ */
+function describeSection(section) {
+  return section.fields || describeMetrics(section.metrics);
+}
+
+/**
+ * A vault's largest market allocations, one per line after the count
+ * @param {Array} markets - Vault markets from calculateVaultMarkets
+ * @returns {string}
+ */
+function describeVaultMarkets(markets) {
+  const listed = [...markets]
+    .sort((a, b) => b.allocation - a.allocation)
+    .slice(0, MAX_LISTED_VAULT_MARKETS);
+  const hidden = markets.length - listed.length;
+  return [
+    `${markets.length} allocated`,
+    ...listed.map((market) => `• ${formatVaultMarket(market)}`),
+    hidden > 0 ? `• …and ${hidden} more` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Return the more severe of two severities
+ * @param {string} a - Severity
+ * @param {string} b - Severity
+ * @returns {string}
+ */
+function maxSeverity(a, b) {
+  return SEVERITIES.indexOf(a) >= SEVERITIES.indexOf(b) ? a : b;
+}
+
+/**
+ * Group alert conditions by pool into alert message sections, keeping the
+ * order pools were checked in
+ * @param {Array} items - Transitions holding a `condition`, and the `severity` they were notified at when it differs from the condition's
+ * @param {Function} describe - Builds the reason line for one transition
+ * @returns {Array} Pool sections ({id, name, severity, metrics, hasData, lines, conditions}); data quality conditions are flagged `dataQuality`
+ */
+function groupByPool(items, describe) {
+  const sections = new Map();
+  for (const item of items) {
+    const { check } = item.condition;
+    const severity = item.severity ?? item.condition.severity;
+    if (!sections.has(check.pool.id)) {
+      sections.set(check.pool.id, {
+        id: check.pool.id,
+        name: check.pool.name,
+        severity,
+        metrics: check.metrics,
+        hasData: check.hasData,
+        lines: [],
+        conditions: [],
+      });
+    }
+    const section = sections.get(check.pool.id);
+    const line = describe(item);
+    section.severity = maxSeverity(section.severity, severity);
+    section.lines.push(line);
+    section.conditions.push({
+      key: item.condition.key,
+      type: item.type,
+      severity,
+      line,
+      ...(item.condition.dataQuality && { dataQuality: true }),
+    });
+  }
+  return [...sections.values()];
+}
+
+/**
+ * Build a channel-neutral alert message
+ * @param {Object} fields - Message kind, title, description, pools and errors
+ * @returns {Object} Alert message
+ */
+function createAlertMessage({ kind, title, description, pools = [], errors }) {
+  const severity = pools.reduce(
+    (worst, pool) => maxSeverity(worst, pool.severity),
+    kind === "error" ? "warning" : "info"
+  );
+  return {
+    kind,
+    severity,
+    title,
+    description,
+    pools,
+    errors: errors || [],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Liquidity alert titles by the worst severity in the message
+const LIQUIDITY_ALERT_TITLES = {
+  info: "🔔 Moonwell Liquidity Notice",
+  warning: "⚠️ Moonwell Liquidity Warning",
+  critical: "🚨 Moonwell Liquidity Alert",
+};
+
+/**
+ * Create alert message for new, escalated or ongoing alert conditions
+ * @param {Array} alerts - Triggered alerts ({condition, type, previousSeverity})
+ * @returns {Object} Alert message
+ */
+function createLiquidityAlert(alerts) {
+  const message = createAlertMessage({
+    kind: "alert",
+    pools: groupByPool(alerts, ({ condition, type, previousSeverity }) => {
+      if (type === "escalation") {
+        return `⏫ ${condition.explanation} (escalated from ${previousSeverity})`;
+      }
+      return `⚠️ ${condition.explanation}${
+        type === "reminder" ? " (ongoing)" : ""
+      }`;
+    }),
+  });
+  return { ...message, title: LIQUIDITY_ALERT_TITLES[message.severity] };
+}
+
+/**
+ * Create a warning for pools whose readings failed the data sanity checks
+ * and were ignored. It is routed like an alert but never opens an incident.
+ * @param {Array} items - Triggered data quality conditions ({condition, type})
+ * @returns {Object} Alert message
+ */
+function createDataQualityAlert(items) {
+  return createAlertMessage({
+    kind: "data-quality",
+    title: "🧐 Moonwell Data Quality Warning",
+    description:
+      "These readings look wrong and were ignored; the pools keep their previous alert state until the data looks right again.",
+    pools: groupByPool(
+      items,
+      ({ condition, type }) =>
+        `⚠️ ${condition.explanation}${type === "reminder" ? " (ongoing)" : ""}`
+    ),
+  });
+}
+
+/**
+ * Create alert message for alert conditions that have cleared
+ * @param {Array} recoveries - Recovered alerts ({condition, breachedSince})
+ * @returns {Object} Alert message
+ */
+function createRecoveryAlert(recoveries) {
+  return createAlertMessage({
+    kind: "recovery",
+    title: "✅ Moonwell Liquidity Recovered",
+    description: "These alert conditions are no longer met.",
+    pools: groupByPool(
+      recoveries,
+      ({ condition, breachedSince }) =>
+        `✅ ${condition.label} — cleared after ${formatDuration(
+          Date.now() - breachedSince
+        )}`
+    ),
+  });
+}
+
+/**
+ * Summarize the attempts made for a failed fetch, e.g.
+ * "sdk #1 rate-limit at 0.0s → sdk #2 rate-limit at 6.1s → rpc #1 network at 9.4s"
+ * @param {Array} attempts - Attempts ({provider, attempt, errorClass, elapsedMs})
+ * @returns {string} Retry history, empty when there is none
+ */
+function describeRetryHistory(attempts = []) {
+  return attempts
+    .map(
+      ({ provider, attempt, errorClass, elapsedMs }) =>
+        `${provider} #${attempt} ${errorClass} at ${(elapsedMs / 1000).toFixed(
+          1
+        )}s`
+    )
+    .join(" → ");
+}
+
+/**
+ * Create alert message for data fetch errors
+ * @param {Array} errors - Array of error objects
+ * @returns {Object} Alert message
+ */
+function createErrorAlert(errors) {
+  return createAlertMessage({
+    kind: "error",
+    title: "⚠️ Moonwell Data Fetch Warning",
+    description:
+      "Failed to retrieve data from Moonwell after retrying every data provider. This may be a temporary issue.",
+    errors: errors.map((err) => ({
+      ...err,
+      retries: describeRetryHistory(err.attempts),
+    })),
+  });
+}
+
+/**
+ * Label/value pairs summarizing a pool over a digest period
+ * @param {Object} summary - Pool summary from summarizePoolHistory
+ * @returns {Array<[string, string]>}
+ */
+function describeDigestSummary(summary) {
+  const { liquidity, apy, utilization, breaches } = summary;
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const trend =
+    utilization.last > utilization.first
+      ? "📈"
+      : utilization.last < utilization.first
+      ? "📉"
+      : "➡️";
+  const totalBreachMs = (breaches || []).reduce(
+    (total, breach) => total + breach.durationMs,
+    0
+  );
+
+  return [
+    [
+      "Available Liquidity",
+      `$${formatNumber(liquidity.min)} – $${formatNumber(
+        liquidity.max
+      )} (avg $${formatNumber(liquidity.average)})`,
+    ],
+    ["APY", `${formatApy(apy.min)} – ${formatApy(apy.max)}`],
+    [
+      "Utilization",
+      `${trend} ${percent(utilization.first)} → ${percent(
+        utilization.last
+      )} (avg ${percent(utilization.average)})`,
+    ],
+    [
+      "Breaches",
+      breaches === null
+        ? "no threshold"
+        : breaches.length === 0
+        ? "none"
+        : `${breaches.length}, ${formatDuration(totalBreachMs)} in total`,
+    ],
+    ["Samples", String(summary.samples)],
+  ];
+}
+
+/**
+ * One line per breach in a digest, most recent first
+ * @param {Array} breaches - Breaches ({start, durationMs, ongoing})
+ * @returns {Array<string>}
+ */
+function describeDigestBreaches(breaches) {
+  const listed = [...breaches].reverse().slice(0, MAX_LISTED_BREACHES);
+  const hidden = breaches.length - listed.length;
+  return [
+    ...listed.map(
+      (breach) =>
+        `⚠️ Below threshold from ${formatTimestamp(
+          breach.start
+        )} for ${formatDuration(breach.durationMs)}${
+          breach.ongoing ? " (ongoing)" : ""
+        }`
+    ),
+    ...(hidden > 0 ? [`…and ${hidden} earlier breaches`] : []),
+  ];
+}
+
+/**
+ * Create a digest message summarizing each pool over a period
+ * @param {string} period - Digest period (see DIGEST_PERIODS)
+ * @param {Array} summaries - Pool summaries from summarizePoolHistory
+ * @param {number} from - Start of the period in milliseconds
+ * @param {number} to - End of the period in milliseconds
+ * @returns {Object} Alert message
+ */
+function createDigestAlert(period, summaries, from, to) {
+  return createAlertMessage({
+    kind: "digest",
+    title: `🗓️ Moonwell ${DIGEST_PERIODS[period].label} Digest`,
+    description: `Liquidity from ${formatTimestamp(from)} to ${formatTimestamp(
+      to
+    )}.`,
+    pools: summaries.map((summary) => {
+      const hasData = summary.samples > 0;
+      return {
+        id: summary.pool.id,
+        name: summary.pool.name,
+        severity: "info",
+        hasData,
+        ...(hasData && { fields: describeDigestSummary(summary) }),
+        lines: hasData ? describeDigestBreaches(summary.breaches || []) : [],
+        conditions: [],
+      };
+    }),
+  });
+}
+
+// Icons of held-back notifications by transition type
+const SUPPRESSED_ICONS = {
+  breach: "🚨",
+  escalation: "⏫",
+  reminder: "🔁",
+  recovery: "✅",
+};
+
+/**
+ * Summarize what a silence held back, sent once it is no longer in effect
+ * @param {{silence: Object, items: Array}} record - The silence and the notifications it held back, oldest first
+ * @param {number} endedAt - When the silence ended, in milliseconds
+ * @param {Set<string>} breached - Keys of the conditions still breached
+ * @returns {Object} Alert message
+ */
+function createSuppressedSummary({ silence, items }, endedAt, breached) {
+  const byPool = new Map();
+  for (const item of items) {
+    if (!byPool.has(item.pool.id)) {
+      byPool.set(item.pool.id, { pool: item.pool, items: [] });
+    }
+    byPool.get(item.pool.id).items.push(item);
+  }
+
+  return createAlertMessage({
+    kind: "report",
+    title: "🔕 Suppressed Alerts",
+    description:
+      `Silence ended: ${silence.reason}. ${items.length} notification${
+        items.length === 1 ? " was" : "s were"
+      } ` +
+      `held back from ${formatTimestamp(items[0].at)} to ${formatTimestamp(
+        endedAt
+      )}.`,
+    pools: [...byPool.values()].map(({ pool, items: poolItems }) => {
+      const listed = [...poolItems].reverse().slice(0, MAX_LISTED_SUPPRESSED);
+      const hidden = poolItems.length - listed.length;
+      const stillBreached = [
+        ...new Set(
+          poolItems
+            .filter((item) => breached.has(item.key))
+            .map((item) => item.label)
+        ),
+      ];
+      return {
+        id: pool.id,
+        name: pool.name,
+        severity: poolItems.reduce(
+          (worst, item) => maxSeverity(worst, item.severity),
+          "info"
+        ),
+        hasData: true,
+        fields: listed.map((item) => [
+          `${SUPPRESSED_ICONS[item.type]} ${item.label}`,
+          `${item.explanation} (${item.type}, ${formatTimestamp(item.at)})`,
+        ]),
+        lines: [
+          ...(hidden > 0 ? [`…and ${hidden} earlier`] : []),
+          ...stillBreached.map((label) => `⚠️ Still breached: ${label}`),
+        ],
+        conditions: [],
+      };
+    }),
+  });
+}
+
+export {
+  LIQUIDITY_ALERT_TITLES,
+  describeMetrics,
+  describeSection,
+  maxSeverity,
+  createAlertMessage,
+  createLiquidityAlert,
+  createDataQualityAlert,
+  createRecoveryAlert,
+  describeRetryHistory,
+  createErrorAlert,
+  createDigestAlert,
+  createSuppressedSummary,
+};
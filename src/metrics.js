@@ -0,0 +1,173 @@
+import { POOL_TYPES } from "./config.js";
+
+// ============================================================================
+// Metrics Calculation
+// ============================================================================
+
+/**
+ * Metrics for a pool whose data could not be fetched
+ * @returns {Object} Zeroed metrics
+ */
+function emptyMetrics() {
+  return {
+    totalSupply: 0,
+    totalBorrows: 0,
+    availableLiquidity: 0,
+    availableLiquidityTokens: 0,
+    tokenSymbol: "",
+    utilization: 0,
+    apy: 0,
+  };
+}
+
+/**
+ * Calculate metrics for a core lending market
+ * @param {Object|null} market - Market data
+ * @returns {Object} Calculated metrics
+ */
+function calculateMarketMetrics(market) {
+  if (!market) return emptyMetrics();
+
+  // Prefer the oracle price; fall back to the price implied by supply.
+  const suppliedTokens = market.totalSupply?.value || 0;
+  const price =
+    market.underlyingPrice ||
+    (suppliedTokens > 0 ? (market.totalSupplyUsd || 0) / suppliedTokens : 0);
+  const cashTokens = market.cash?.value || 0;
+  const totalSupply = market.totalSupplyUsd || 0;
+  const totalBorrows = market.totalBorrowsUsd || 0;
+
+  return {
+    totalSupply,
+    totalBorrows,
+    availableLiquidity: cashTokens * price,
+    availableLiquidityTokens: cashTokens,
+    tokenSymbol: market.underlyingToken?.symbol || "",
+    utilization: totalSupply > 0 ? totalBorrows / totalSupply : 0,
+    apy: market.totalSupplyApr || market.baseSupplyApy || 0,
+  };
+}
+
+/**
+ * Break a vault down by the markets it allocates to. The vault can only
+ * withdraw from a market what that market has left to lend, and never more
+ * than its own position there.
+ * @param {Object} vault - Vault data
+ * @returns {Array<Object>} Per-market allocation, liquidity, utilization and withdrawable amounts (USD, plus token amounts)
+ */
+function calculateVaultMarkets(vault) {
+  return (vault.markets || []).map((market) => {
+    const supplied = market.totalSuppliedUsd || 0;
+    const suppliedTokens = market.totalSupplied?.value || 0;
+    const liquidity = market.marketLiquidityUsd || 0;
+    const liquidityTokens = market.marketLiquidity?.value || 0;
+    const withdrawable = Math.min(supplied, liquidity);
+
+    return {
+      marketId: market.marketId,
+      // Markets without collateral hold the vault's idle cash
+      collateralSymbol: market.marketCollateral?.symbol || null,
+      allocation: market.allocation || 0,
+      apy: market.marketApy || 0,
+      supplied,
+      suppliedTokens,
+      liquidity,
+      liquidityTokens,
+      utilization: market.marketUtilization ?? null,
+      withdrawable,
+      withdrawableTokens: Math.min(suppliedTokens, liquidityTokens),
+      withdrawableShare: supplied > 0 ? withdrawable / supplied : 1,
+      // Position in the vault's withdraw queue, when the provider reads it
+      withdrawQueueIndex: market.withdrawQueueIndex ?? null,
+    };
+  });
+}
+
+/**
+ * Work out how much of a vault's deposits can be withdrawn: idle cash plus
+ * the withdrawable part of each market position, capped at the vault total.
+ * Works on either USD or token amounts.
+ * @param {number} vaultLiquidity - Total vault deposits
+ * @param {Array<{supplied: number, withdrawable: number}>} markets - Allocated markets
+ * @returns {{totalSupplied: number, availableLiquidity: number}}
+ */
+function calculateVaultLiquidity(vaultLiquidity, markets) {
+  let totalSupplied = 0;
+  let totalWithdrawable = 0;
+
+  markets.forEach((market) => {
+    totalSupplied += market.supplied;
+    totalWithdrawable += market.withdrawable;
+  });
+
+  const idleCash = Math.max(0, vaultLiquidity - totalSupplied);
+  return {
+    totalSupplied,
+    availableLiquidity: Math.min(vaultLiquidity, idleCash + totalWithdrawable),
+  };
+}
+
+/**
+ * Calculate metrics for a Morpho vault
+ * @param {Object|null} vault - Vault data
+ * @returns {Object} Calculated metrics, with the per-market breakdown in `markets`
+ */
+function calculateVaultMetrics(vault) {
+  if (!vault) return emptyMetrics();
+
+  const markets = calculateVaultMarkets(vault);
+  const vaultLiquidity = vault.totalLiquidityUsd || 0;
+  let vaultApy = 0;
+
+  if (markets.length > 0) {
+    markets.forEach((market) => {
+      vaultApy += market.allocation * market.apy;
+    });
+  } else {
+    vaultApy = vault.totalApy || vault.baseApy || 0;
+  }
+
+  const usd = calculateVaultLiquidity(vaultLiquidity, markets);
+  const tokens = calculateVaultLiquidity(
+    vault.totalLiquidity?.value || 0,
+    markets.map((market) => ({
+      supplied: market.suppliedTokens,
+      withdrawable: market.withdrawableTokens,
+    }))
+  );
+
+  return {
+    totalSupply: vaultLiquidity,
+    totalBorrows: usd.totalSupplied,
+    availableLiquidity: usd.availableLiquidity,
+    availableLiquidityTokens: tokens.availableLiquidity,
+    tokenSymbol: vault.underlyingToken?.symbol || "",
+    // A vault has no borrows of its own; its utilization is the share of
+    // deposits that cannot be withdrawn right now.
+    utilization:
+      vaultLiquidity > 0 ? 1 - usd.availableLiquidity / vaultLiquidity : 0,
+    apy: vaultApy,
+    markets,
+  };
+}
+
+/**
+ * Calculate metrics for a configured pool based on its type
+ * @param {Object} pool - Pool from config
+ * @param {Object|null} data - Market or vault data
+ * @returns {Object} Calculated metrics
+ */
+function calculatePoolMetrics(pool, data) {
+  return pool.type === POOL_TYPES.MORPHO_VAULT
+    ? calculateVaultMetrics(data)
+    : calculateMarketMetrics(data);
+}
+
+export {
+  emptyMetrics,
+  calculateMarketMetrics,
+  calculateVaultMarkets,
+  calculateVaultLiquidity,
+  calculateVaultMetrics,
+  calculatePoolMetrics,
+};
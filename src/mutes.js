@@ -0,0 +1,70 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { ALERT_STATE_CONFIG } from "./config.js";
+
+// ============================================================================
+// Muted Pools
+// ============================================================================
+
+/**
+ * Load the pools muted from Discord that are still muted at `now`
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object<string, {until: number, by: string, at: number}>>} Mutes keyed by pool id
+ */
+async function loadMutes(now = Date.now()) {
+  try {
+    const raw = await readFile(ALERT_STATE_CONFIG.MUTES_FILE_PATH, "utf8");
+    return Object.fromEntries(
+      Object.entries(JSON.parse(raw)).filter(([, mute]) => mute.until > now)
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        `Could not read mutes from ${ALERT_STATE_CONFIG.MUTES_FILE_PATH}, ignoring them:`,
+        error.message
+      );
+    }
+    return {};
+  }
+}
+
+/**
+ * Persist mutes to disk
+ * @param {Object} mutes - Mutes keyed by pool id
+ * @returns {Promise<void>}
+ */
+async function saveMutes(mutes) {
+  await writeFile(
+    ALERT_STATE_CONFIG.MUTES_FILE_PATH,
+    `${JSON.stringify(mutes, null, 2)}\n`
+  );
+}
+
+/**
+ * Hold back a pool's alerts until `until`, replacing any earlier mute
+ * @param {string} poolId - Pool id
+ * @param {number} until - End of the mute in milliseconds
+ * @param {string} by - Who muted it
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object>} The mute
+ */
+async function mutePool(poolId, until, by, now = Date.now()) {
+  const mutes = await loadMutes(now);
+  mutes[poolId] = { until, by, at: now };
+  await saveMutes(mutes);
+  return mutes[poolId];
+}
+
+/**
+ * Lift a pool's mute
+ * @param {string} poolId - Pool id
+ * @returns {Promise<boolean>} Whether the pool was muted
+ */
+async function unmutePool(poolId) {
+  const mutes = await loadMutes();
+  if (!mutes[poolId]) return false;
+  delete mutes[poolId];
+  await saveMutes(mutes);
+  return true;
+}
+
+export { loadMutes, mutePool, unmutePool };
@@ -0,0 +1,192 @@
+import { SELECTORS, config } from "./config.js";
+import { withRetry } from "./retry.js";
+import {
+  decodeWords,
+  encodeCall,
+  ethCallBatch,
+  withRpcEndpoint,
+} from "./rpc.js";
+import { formatNumber } from "./utils.js";
+
+// ============================================================================
+// Wallet Positions
+// ============================================================================
+
+/**
+ * Address of the token a pool's depositors hold: the mToken of a core
+ * market or the share token of a vault
+ * @param {Object} data - Market or vault data
+ * @returns {string|undefined}
+ */
+function getPoolTokenAddress(data) {
+  return data.vaultToken?.address || data.marketToken?.address;
+}
+
+/**
+ * Read what share of each pool every wallet holds: its balance of the
+ * pool's mToken or vault shares over their total supply. Shares apply
+ * directly to the pool's totals, whichever provider supplied them.
+ * @param {string} url - RPC endpoint URL
+ * @param {Array} results - Pool results on one chain, with data
+ * @param {Array} wallets - Wallets from config
+ * @returns {Promise<Array<Array<number>>>} Per pool, the share held by each wallet
+ */
+async function fetchWalletShares(url, results, wallets) {
+  const calls = results.flatMap(({ data }) => {
+    const to = getPoolTokenAddress(data);
+    return [
+      { to, data: encodeCall(SELECTORS.totalSupply) },
+      ...wallets.map((wallet) => ({
+        to,
+        data: encodeCall(SELECTORS.balanceOf, wallet.address),
+      })),
+    ];
+  });
+  const values = (await ethCallBatch(url, calls)).map((value) =>
+    value ? decodeWords(value)[0] : 0n
+  );
+
+  const stride = wallets.length + 1;
+  return results.map((_, index) => {
+    const [supply, ...balances] = values.slice(
+      index * stride,
+      (index + 1) * stride
+    );
+    return balances.map((balance) =>
+      supply > 0n ? Number(balance) / Number(supply) : 0
+    );
+  });
+}
+
+/**
+ * Read the configured wallets' shares of every fetched pool and attach
+ * them to the results as `walletShares`. A chain whose balances cannot be
+ * read is reported as a fetch error; its pools are left without positions.
+ * @param {Array} results - Pool results from fetchMoonwellData
+ * @param {Array} wallets - Wallets from config
+ * @param {number} deadline - Time by which the run's fetching must finish
+ * @returns {Promise<Array>} Fetch errors
+ */
+async function addWalletPositions(results, wallets, deadline) {
+  const errors = [];
+  const withToken = results.filter(
+    ({ data }) => data && getPoolTokenAddress(data)
+  );
+
+  for (const chain of new Set(withToken.map(({ pool }) => pool.chain))) {
+    const onChain = withToken.filter(({ pool }) => pool.chain === chain);
+    const startedAt = Date.now();
+    try {
+      const shares = await withRetry(
+        async () =>
+          (
+            await withRpcEndpoint(chain, (url) =>
+              fetchWalletShares(url, onChain, wallets)
+            )
+          ).result,
+        {
+          label: `wallet positions on ${chain}`,
+          circuit: `positions:${chain}`,
+          labels: { chain, source: "positions", provider: "rpc" },
+          deadline,
+        }
+      );
+      onChain.forEach((result, index) => {
+        result.walletShares = shares[index];
+      });
+    } catch (error) {
+      errors.push({
+        source: `Wallet positions on ${chain}`,
+        error: error.message,
+        attempts: (error.attempts || []).map(({ at, ...attempt }) => ({
+          ...attempt,
+          provider: "rpc",
+          elapsedMs: at - startedAt,
+        })),
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Our position in a pool, summed over the configured wallets, and how many
+ * times over the pool's available liquidity covers it
+ * @param {Object} metrics - Pool metrics
+ * @param {Array<number>} walletShares - Share of the pool held by each wallet
+ * @returns {{balance: number, share: number, coverage: number|null, wallets: Array}}
+ */
+function calculatePosition(metrics, walletShares) {
+  const wallets = config.wallets.map((wallet, index) => ({
+    label: wallet.label,
+    address: wallet.address,
+    share: walletShares[index],
+    balance: walletShares[index] * metrics.totalSupply,
+  }));
+  const balance = wallets.reduce((sum, wallet) => sum + wallet.balance, 0);
+
+  return {
+    balance,
+    share: wallets.reduce((sum, wallet) => sum + wallet.share, 0),
+    coverage: balance > 0 ? metrics.availableLiquidity / balance : null,
+    wallets,
+  };
+}
+
+/**
+ * Short description of our position, e.g.
+ * "$3,200,000.00 (10.0% of pool), liquidity covers it 5.31×"
+ * @param {Object} position - Position from calculatePosition
+ * @returns {string}
+ */
+function formatPosition(position) {
+  return (
+    `$${formatNumber(position.balance)} ` +
+    `(${(position.share * 100).toFixed(1)}% of pool), ` +
+    `liquidity covers it ${position.coverage.toFixed(2)}×`
+  );
+}
+
+/**
+ * Flag pools whose available liquidity is below `minLiquidityMultiple`
+ * times our own balance in them
+ * @param {Array} checks - Pool checks ({pool, metrics, hasData})
+ * @returns {Array} Alert conditions
+ */
+function evaluatePositionCoverage(checks) {
+  return checks
+    .filter(({ pool }) => pool.minLiquidityMultiple !== undefined)
+    .map((check) => {
+      const { pool, metrics } = check;
+      const position = metrics.position;
+      const multiple = pool.minLiquidityMultiple;
+
+      return {
+        key: `${pool.id}:position-coverage`,
+        check,
+        severity: "critical",
+        label: "Liquidity below position multiple",
+        // Unknown while balances cannot be read, so the alert state holds
+        hasData: check.hasData && !!position,
+        triggered:
+          !!position &&
+          position.balance > 0 &&
+          metrics.availableLiquidity < multiple * position.balance,
+        explanation: position?.balance
+          ? `Available liquidity $${formatNumber(
+              metrics.availableLiquidity
+            )} is below ${multiple}× our $${formatNumber(
+              position.balance
+            )} position (covers it ${position.coverage.toFixed(2)}×)`
+          : "",
+      };
+    });
+}
+
+export {
+  addWalletPositions,
+  calculatePosition,
+  formatPosition,
+  evaluatePositionCoverage,
+};
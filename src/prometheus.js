@@ -0,0 +1,159 @@
+import { createServer } from "node:http";
+import { DAEMON_CONFIG, PROMETHEUS_METRICS } from "./config.js";
+
+// ============================================================================
+// Prometheus Metrics
+// ============================================================================
+
+// Current value of every series, keyed by metric name then label set
+const metricSeries = new Map();
+
+/**
+ * Serialize labels into their Prometheus text form, used as the series key
+ * @param {Object} labels - Label names and values
+ * @returns {string} e.g. `{chain="base",pool="flagship-usdc"}`
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(
+      ([name, value]) =>
+        `${name}="${String(value)
+          .replace(/\\/g, "\\\\")
+          .replace(/"/g, '\\"')
+          .replace(/\n/g, "\\n")}"`
+    );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Set a gauge series
+ * @param {string} name - Metric name
+ * @param {Object} labels - Series labels
+ * @param {number} value - New value
+ */
+function setGauge(name, labels, value) {
+  if (!metricSeries.has(name)) metricSeries.set(name, new Map());
+  metricSeries.get(name).set(formatLabels(labels), value);
+}
+
+/**
+ * Remove a gauge series, e.g. when its value is no longer known
+ * @param {string} name - Metric name
+ * @param {Object} labels - Series labels
+ */
+function deleteGauge(name, labels) {
+  metricSeries.get(name)?.delete(formatLabels(labels));
+}
+
+/**
+ * Increment a counter series
+ * @param {string} name - Metric name
+ * @param {Object} labels - Series labels
+ * @param {number} amount - Amount to add
+ */
+function incrementCounter(name, labels, amount = 1) {
+  if (!metricSeries.has(name)) metricSeries.set(name, new Map());
+  const series = metricSeries.get(name);
+  const key = formatLabels(labels);
+  series.set(key, (series.get(key) || 0) + amount);
+}
+
+/**
+ * Update the per-pool gauges from the latest checks. Pools without data
+ * have their series removed so dashboards show a gap, not a stale value;
+ * suspicious readings, ignored or unconfirmed, are counted.
+ * @param {Array} checks - Pool checks ({pool, metrics, hasData, dataIssues, dataJumps})
+ */
+function recordPoolMetrics(checks) {
+  const gauges = {
+    moonwell_pool_available_liquidity_usd: (m) => m.availableLiquidity,
+    moonwell_pool_available_liquidity_tokens: (m) => m.availableLiquidityTokens,
+    moonwell_pool_total_supply_usd: (m) => m.totalSupply,
+    moonwell_pool_total_borrows_usd: (m) => m.totalBorrows,
+    moonwell_pool_utilization_ratio: (m) => m.utilization,
+    moonwell_pool_apy_percent: (m) => m.apy,
+  };
+
+  for (const { pool, metrics, hasData, dataIssues, dataJumps } of checks) {
+    const labels = {
+      pool: pool.id,
+      chain: pool.chain,
+      asset: metrics.tokenSymbol || pool.symbol || "",
+      pool_type: pool.type,
+    };
+    if (dataIssues?.length > 0 || dataJumps?.length > 0) {
+      incrementCounter("moonwell_suspect_readings_total", { pool: pool.id });
+    }
+
+    for (const [name, read] of Object.entries(gauges)) {
+      if (hasData) {
+        setGauge(name, labels, read(metrics));
+      } else {
+        // Labels of a pool without data are unknown, so match on pool id
+        const series = metricSeries.get(name);
+        for (const key of series?.keys() || []) {
+          if (key.includes(`pool="${pool.id}"`)) series.delete(key);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Render every series in the Prometheus text exposition format
+ * @returns {string} Metrics page body
+ */
+function renderPrometheusMetrics() {
+  const lines = [];
+  for (const [name, { type, help }] of Object.entries(PROMETHEUS_METRICS)) {
+    const series = metricSeries.get(name);
+    if (!series || series.size === 0) continue;
+
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of series) {
+      lines.push(`${name}${labels} ${value}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Start the HTTP server that exposes /metrics
+ * @returns {Promise<Object>} Listening HTTP server
+ */
+function startMetricsServer() {
+  const server = createServer((req, res) => {
+    if (req.method === "GET" && req.url === "/metrics") {
+      res.writeHead(200, {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      });
+      res.end(renderPrometheusMetrics());
+      return;
+    }
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found\n");
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(
+      DAEMON_CONFIG.METRICS_PORT,
+      DAEMON_CONFIG.METRICS_HOST,
+      () => {
+        console.log(
+          `📈 Prometheus metrics on http://${DAEMON_CONFIG.METRICS_HOST}:${DAEMON_CONFIG.METRICS_PORT}/metrics`
+        );
+        resolve(server);
+      }
+    );
+  });
+}
+
+export {
+  setGauge,
+  deleteGauge,
+  incrementCounter,
+  recordPoolMetrics,
+  startMetricsServer,
+};
@@ -0,0 +1,182 @@
+import { RETRY_CONFIG, RETRY_POLICIES } from "./config.js";
+import { incrementCounter, setGauge } from "./prometheus.js";
+import { formatDuration, sleep } from "./utils.js";
+
+// ============================================================================
+// Retries
+// ============================================================================
+
+// Consecutive failed fetches per provider and chain, for the circuit breaker
+const circuitBreakers = new Map();
+
+/**
+ * Create an error tagged with its class, for failures whose class cannot be
+ * told from the message (e.g. a malformed response)
+ * @param {string} kind - Key of RETRY_POLICIES
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function classifiedError(kind, message) {
+  return Object.assign(new Error(message), { kind });
+}
+
+/**
+ * Whether an error means the endpoint is rate limiting us
+ * @param {Error} error - Error from an RPC or SDK request
+ * @returns {boolean}
+ */
+function isRateLimited(error) {
+  return /\b429\b|rate.?limit|too many requests|limit exceeded/i.test(
+    error.message
+  );
+}
+
+/**
+ * Work out which retry policy applies to an error
+ * @param {Error} error - Error from a provider
+ * @returns {string} Key of RETRY_POLICIES
+ */
+function classifyError(error) {
+  if (error.kind) return error.kind;
+  if (isRateLimited(error)) return "rate-limit";
+  if (
+    error.name === "TimeoutError" ||
+    error.name === "AbortError" ||
+    /timed? ?out/i.test(error.message)
+  ) {
+    return "timeout";
+  }
+  if (
+    error.message === "fetch failed" ||
+    /ENOTFOUND|EAI_AGAIN|ECONNREFUSED|ECONNRESET|ETIMEDOUT|socket hang up/.test(
+      `${error.cause?.code} ${error.message}`
+    )
+  ) {
+    return "network";
+  }
+  if (/\b5\d\d\b/.test(error.message)) return "server";
+  // Parsing failures and missing fields mean the response was malformed
+  if (error instanceof SyntaxError || error instanceof TypeError) {
+    return "schema";
+  }
+  return "unknown";
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, so
+ * several instances do not retry in lockstep
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(policy, attempt) {
+  const backoff = Math.min(
+    RETRY_CONFIG.MAX_DELAY_MS,
+    policy.baseDelayMs * 2 ** (attempt - 1)
+  );
+  return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
+
+/**
+ * Reject once the run's deadline has passed, even if the operation itself
+ * would keep waiting
+ * @param {Promise} promise - Operation in flight
+ * @param {number} deadline - Deadline in milliseconds since the epoch
+ * @returns {Promise}
+ */
+function withDeadline(promise, deadline) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(classifiedError("deadline", "run deadline exceeded")),
+      Math.max(0, deadline - Date.now())
+    );
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run an operation, retrying according to the class of each failure, within
+ * the run's deadline and behind a per-key circuit breaker. The error thrown
+ * after the last attempt carries the attempt history in `attempts`.
+ * @param {function(): Promise<*>} operation - Operation to run
+ * @param {{label: string, circuit: string, labels: Object, deadline: number}} options - Log label, circuit breaker key, metric labels and deadline
+ * @returns {Promise<*>} Result of the operation
+ */
+async function withRetry(operation, { label, circuit, labels, deadline }) {
+  const breaker = circuitBreakers.get(circuit) || {
+    failures: 0,
+    openUntil: 0,
+  };
+  circuitBreakers.set(circuit, breaker);
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    if (Date.now() < breaker.openUntil) {
+      error = classifiedError(
+        "circuit-open",
+        `circuit open until ${new Date(breaker.openUntil).toISOString()}`
+      );
+    } else if (Date.now() >= deadline) {
+      error = classifiedError("deadline", "run deadline exceeded");
+    } else {
+      try {
+        const result = await withDeadline(operation(), deadline);
+        breaker.failures = 0;
+        setGauge("moonwell_circuit_open", labels, 0);
+        return result;
+      } catch (caught) {
+        error = caught;
+      }
+    }
+
+    const errorClass = classifyError(error);
+    const policy = RETRY_POLICIES[errorClass];
+    attempts.push({
+      attempt,
+      errorClass,
+      message: error.message,
+      at: Date.now(),
+    });
+    console.error(
+      `Error fetching ${label} (attempt ${attempt}, ${errorClass}):`,
+      error.message
+    );
+
+    const delay = policy.retry ? retryDelay(policy, attempt) : 0;
+    const giveUp =
+      !policy.retry ||
+      attempt >= RETRY_CONFIG.MAX_ATTEMPTS ||
+      Date.now() + delay >= deadline;
+
+    if (giveUp) {
+      if (errorClass !== "circuit-open" && errorClass !== "deadline") {
+        breaker.failures += 1;
+        // Stays open after the cooldown until a fetch succeeds again, so a
+        // single trial fetch decides whether it closes
+        if (breaker.failures >= RETRY_CONFIG.BREAKER_THRESHOLD) {
+          breaker.openUntil = Date.now() + RETRY_CONFIG.BREAKER_COOLDOWN_MS;
+          setGauge("moonwell_circuit_open", labels, 1);
+          console.log(
+            `⛔ ${label} failed ${
+              breaker.failures
+            } times in a row, skipping it for ${formatDuration(
+              RETRY_CONFIG.BREAKER_COOLDOWN_MS
+            )}`
+          );
+        }
+      }
+      throw Object.assign(error, { attempts });
+    }
+
+    console.log(`Retrying in ${delay}ms...`);
+    incrementCounter("moonwell_fetch_retries_total", {
+      ...labels,
+      error_class: errorClass,
+    });
+    await sleep(delay);
+  }
+}
+
+export { classifiedError, isRateLimited, classifyError, withRetry };
@@ -0,0 +1,748 @@
+import {
+  NATIVE_SYMBOLS,
+  POOL_TYPES,
+  RPC_CONFIG,
+  SECONDS_PER_YEAR,
+  SELECTORS,
+  config,
+} from "./config.js";
+import { deleteGauge, incrementCounter, setGauge } from "./prometheus.js";
+import { classifiedError, classifyError, isRateLimited } from "./retry.js";
+import { formatDuration } from "./utils.js";
+
+// ============================================================================
+// RPC Endpoints
+// ============================================================================
+
+// Health of each chain's RPC endpoints. Kept between checks in daemon mode,
+// so an endpoint that rate limited us stays at the back of the line.
+const rpcEndpoints = new Map();
+
+/**
+ * Label an endpoint by its host. Provider URLs often carry an API key in
+ * the path or query, so the full URL is never logged or stored.
+ * @param {string} url - RPC endpoint URL
+ * @returns {string} Endpoint label (e.g., "mainnet.base.org")
+ */
+function describeEndpoint(url) {
+  return new URL(url).host;
+}
+
+/**
+ * POST a JSON-RPC request or batch
+ * @param {string} url - RPC endpoint URL
+ * @param {Object|Array} body - Request or batch of requests
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object|Array>} Parsed response body
+ */
+async function rpcRequest(url, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `RPC request failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  return response.json();
+}
+
+/**
+ * Get a chain's endpoint health records, creating them on first use
+ * @param {string} chain - Chain name from config
+ * @returns {{probedAt: number, endpoints: Array<Object>}}
+ */
+function getChainEndpoints(chain) {
+  if (!rpcEndpoints.has(chain)) {
+    rpcEndpoints.set(chain, {
+      probedAt: 0,
+      endpoints: config.chains[chain].rpcUrls.map((url) => ({
+        url,
+        label: describeEndpoint(url),
+        healthy: false,
+        reason: "not probed yet",
+        latencyMs: null,
+        blockNumber: null,
+        cooldownUntil: 0,
+      })),
+    });
+  }
+  return rpcEndpoints.get(chain);
+}
+
+/**
+ * Ask every endpoint of a chain for its latest block and time the answer.
+ * An endpoint is unhealthy when it does not answer, lags more than
+ * `maxBlockLag` blocks behind the most advanced endpoint, or its latest
+ * block is older than `maxBlockAgeSeconds` (which also catches a single
+ * endpoint that has stopped syncing).
+ * @param {string} chain - Chain name from config
+ * @returns {Promise<void>}
+ */
+async function probeEndpoints(chain) {
+  const state = getChainEndpoints(chain);
+  const {
+    maxBlockLag = RPC_CONFIG.MAX_BLOCK_LAG,
+    maxBlockAgeSeconds = RPC_CONFIG.MAX_BLOCK_AGE_SECONDS,
+  } = config.chains[chain];
+
+  await Promise.all(
+    state.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        const body = await rpcRequest(
+          endpoint.url,
+          {
+            jsonrpc: "2.0",
+            id: 1,
+            method: "eth_getBlockByNumber",
+            params: ["latest", false],
+          },
+          RPC_CONFIG.PROBE_TIMEOUT_MS
+        );
+        if (!body.result?.number) {
+          throw new Error(body.error?.message || "no block returned");
+        }
+        Object.assign(endpoint, {
+          healthy: true,
+          reason: null,
+          latencyMs: Date.now() - startedAt,
+          blockNumber: Number(body.result.number),
+          blockTimestamp: Number(body.result.timestamp),
+        });
+      } catch (error) {
+        Object.assign(endpoint, {
+          healthy: false,
+          reason: error.message,
+          latencyMs: null,
+          blockNumber: null,
+        });
+      }
+    })
+  );
+
+  const head = Math.max(
+    ...state.endpoints.map((endpoint) => endpoint.blockNumber ?? 0)
+  );
+  const nowSeconds = Date.now() / 1000;
+
+  for (const endpoint of state.endpoints) {
+    const labels = { chain, endpoint: endpoint.label };
+
+    if (endpoint.healthy) {
+      const lag = head - endpoint.blockNumber;
+      const age = nowSeconds - endpoint.blockTimestamp;
+      if (lag > maxBlockLag) {
+        endpoint.healthy = false;
+        endpoint.reason = `${lag} blocks behind`;
+      } else if (age > maxBlockAgeSeconds) {
+        endpoint.healthy = false;
+        endpoint.reason = `latest block is ${formatDuration(age * 1000)} old`;
+      }
+      setGauge(
+        "moonwell_rpc_endpoint_latency_seconds",
+        labels,
+        endpoint.latencyMs / 1000
+      );
+      setGauge("moonwell_rpc_endpoint_block_lag", labels, lag);
+    } else {
+      deleteGauge("moonwell_rpc_endpoint_latency_seconds", labels);
+      deleteGauge("moonwell_rpc_endpoint_block_lag", labels);
+    }
+    setGauge("moonwell_rpc_endpoint_up", labels, endpoint.healthy ? 1 : 0);
+  }
+
+  state.probedAt = Date.now();
+  console.log(
+    `🩺 ${chain} RPC: ${state.endpoints
+      .map((endpoint) =>
+        endpoint.healthy
+          ? `${endpoint.label} ✓ ${endpoint.latencyMs}ms #${endpoint.blockNumber}`
+          : `${endpoint.label} ✗ ${endpoint.reason}`
+      )
+      .join(", ")}`
+  );
+}
+
+/**
+ * Healthy endpoints of a chain, fastest first. Endpoints that recently
+ * failed or rate limited us go to the back rather than being dropped, so a
+ * chain with a single endpoint is still retried.
+ * @param {string} chain - Chain name from config
+ * @returns {Promise<Array<Object>>}
+ */
+async function selectEndpoints(chain) {
+  const state = getChainEndpoints(chain);
+  const healthy = () => state.endpoints.filter((endpoint) => endpoint.healthy);
+
+  if (
+    Date.now() - state.probedAt >= RPC_CONFIG.PROBE_INTERVAL_MS ||
+    healthy().length === 0
+  ) {
+    await probeEndpoints(chain);
+  }
+
+  const now = Date.now();
+  return healthy().sort(
+    (a, b) =>
+      (a.cooldownUntil > now) - (b.cooldownUntil > now) ||
+      a.latencyMs - b.latencyMs
+  );
+}
+
+/**
+ * Run a read against a chain's endpoints in order of preference, rotating
+ * to the next endpoint when one errors or rate limits us
+ * @param {string} chain - Chain name from config
+ * @param {function(string): Promise<*>} read - Read to run against an endpoint URL
+ * @returns {Promise<{result: *, endpoint: string}>} Result and the label of the endpoint that served it
+ */
+async function withRpcEndpoint(chain, read) {
+  const endpoints = await selectEndpoints(chain);
+  if (endpoints.length === 0) {
+    throw classifiedError(
+      "network",
+      `no healthy RPC endpoint on ${chain} (${getChainEndpoints(chain)
+        .endpoints.map((endpoint) => `${endpoint.label}: ${endpoint.reason}`)
+        .join("; ")})`
+    );
+  }
+
+  const failures = [];
+  let lastClass;
+  for (const [index, endpoint] of endpoints.entries()) {
+    try {
+      return { result: await read(endpoint.url), endpoint: endpoint.label };
+    } catch (error) {
+      const rateLimited = isRateLimited(error);
+      lastClass = classifyError(error);
+      endpoint.cooldownUntil =
+        Date.now() +
+        (rateLimited
+          ? RPC_CONFIG.RATE_LIMIT_COOLDOWN_MS
+          : RPC_CONFIG.ERROR_COOLDOWN_MS);
+      failures.push(`${endpoint.label}: ${error.message}`);
+
+      const next = endpoints[index + 1];
+      if (next) {
+        console.log(
+          `🔀 ${endpoint.label} ${
+            rateLimited ? "is rate limiting" : "failed"
+          }, rotating to ${next.label}`
+        );
+        incrementCounter("moonwell_rpc_endpoint_rotations_total", {
+          chain,
+          endpoint: endpoint.label,
+          reason: rateLimited ? "rate_limited" : "error",
+        });
+      }
+    }
+  }
+
+  throw classifiedError(lastClass, failures.join("; "));
+}
+
+// ============================================================================
+// On-chain Reads
+// ============================================================================
+
+/**
+ * ABI-encode a static argument (address, uint or bytes32) as one 32-byte word
+ * @param {string|bigint} value - Hex string or integer
+ * @returns {string} 64 hex characters
+ */
+function encodeWord(value) {
+  const hex =
+    typeof value === "string"
+      ? value.replace(/^0x/, "")
+      : BigInt(value).toString(16);
+  return hex.toLowerCase().padStart(64, "0");
+}
+
+/**
+ * Build calldata for a contract call with static arguments
+ * @param {string} selector - Function selector from SELECTORS
+ * @param {...(string|bigint)} args - Arguments
+ * @returns {string} Calldata
+ */
+function encodeCall(selector, ...args) {
+  return selector + args.map(encodeWord).join("");
+}
+
+/**
+ * Split ABI-encoded return data into 32-byte words
+ * @param {string} hex - Return data
+ * @returns {Array<bigint>}
+ */
+function decodeWords(hex) {
+  const body = hex.slice(2);
+  const words = [];
+  for (let i = 0; i + 64 <= body.length; i += 64) {
+    words.push(BigInt(`0x${body.slice(i, i + 64)}`));
+  }
+  return words;
+}
+
+/**
+ * Turn a 32-byte word into an address
+ * @param {bigint} word - ABI word
+ * @returns {string} Lowercase address
+ */
+function decodeAddress(word) {
+  return `0x${word.toString(16).padStart(40, "0")}`;
+}
+
+/**
+ * Decode a dynamic `address[]` return value
+ * @param {string} hex - Return data
+ * @returns {Array<string>}
+ */
+function decodeAddressArray(hex) {
+  const words = decodeWords(hex);
+  const start = Number(words[0]) / 32;
+  const length = Number(words[start]);
+  return words.slice(start + 1, start + 1 + length).map(decodeAddress);
+}
+
+/**
+ * Decode a `string` return value. A few older tokens return bytes32 instead.
+ * @param {string|null} hex - Return data
+ * @returns {string|null}
+ */
+function decodeString(hex) {
+  if (!hex) return null;
+  const body = hex.slice(2);
+  let bytes = body;
+  if (body.length > 64) {
+    const offset = Number(BigInt(`0x${body.slice(0, 64)}`)) * 2;
+    const length = Number(BigInt(`0x${body.slice(offset, offset + 64)}`));
+    bytes = body.slice(offset + 64, offset + 64 + length * 2);
+  }
+  return Buffer.from(bytes, "hex").toString("utf8").replace(/\0+$/, "");
+}
+
+/**
+ * Convert an integer token amount to a decimal number
+ * @param {bigint} raw - Amount in the token's smallest unit
+ * @param {number} decimals - Token decimals
+ * @returns {number}
+ */
+function toUnits(raw, decimals) {
+  return Number(raw) / 10 ** decimals;
+}
+
+/**
+ * Compound a per-second rate scaled by 1e18 into an APY percentage
+ * @param {bigint} ratePerSecond - Rate per second
+ * @returns {number} APY in percent
+ */
+function rateToApy(ratePerSecond) {
+  return (
+    (Math.exp((Number(ratePerSecond) / 1e18) * SECONDS_PER_YEAR) - 1) * 100
+  );
+}
+
+/**
+ * Send `eth_call`s to an RPC endpoint as JSON-RPC batches. Calls that
+ * revert (e.g. `underlying()` on a native-asset market) come back as null;
+ * any other error fails the whole read.
+ * @param {string} url - RPC endpoint URL
+ * @param {Array<{to: string, data: string}>} calls - Calls to make
+ * @returns {Promise<Array<string|null>>} Return data in call order
+ */
+async function ethCallBatch(url, calls) {
+  const results = [];
+
+  for (let start = 0; start < calls.length; start += RPC_CONFIG.BATCH_SIZE) {
+    const batch = calls.slice(start, start + RPC_CONFIG.BATCH_SIZE);
+    const body = await rpcRequest(
+      url,
+      batch.map((call, index) => ({
+        jsonrpc: "2.0",
+        id: index,
+        method: "eth_call",
+        params: [{ to: call.to, data: call.data }, "latest"],
+      })),
+      RPC_CONFIG.TIMEOUT_MS
+    );
+
+    if (!Array.isArray(body)) {
+      throw classifiedError(
+        "schema",
+        `RPC endpoint did not answer the batch: ${
+          body?.error?.message || "unexpected response"
+        }`
+      );
+    }
+
+    const byId = new Map(body.map((item) => [item.id, item]));
+    batch.forEach((call, index) => {
+      const item = byId.get(index);
+      if (!item) {
+        throw classifiedError(
+          "schema",
+          "RPC endpoint dropped a call from the batch"
+        );
+      }
+      if (item.error && !/revert/i.test(item.error.message)) {
+        throw new Error(`RPC error: ${item.error.message}`);
+      }
+      results.push(
+        item.error || !item.result || item.result === "0x" ? null : item.result
+      );
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Read the symbol and decimals of a set of ERC-20 tokens
+ * @param {string} url - RPC endpoint URL
+ * @param {Array<string>} addresses - Token addresses
+ * @returns {Promise<Map<string, {address: string, symbol: string, decimals: number}>>}
+ */
+async function fetchTokenInfo(url, addresses) {
+  const unique = [...new Set(addresses)];
+  const reads = await ethCallBatch(
+    url,
+    unique.flatMap((address) => [
+      { to: address, data: SELECTORS.symbol },
+      { to: address, data: SELECTORS.decimals },
+    ])
+  );
+
+  return new Map(
+    unique.map((address, index) => {
+      const decimals = reads[index * 2 + 1];
+      if (!decimals) {
+        throw classifiedError("schema", `decimals() reverted on ${address}`);
+      }
+      return [
+        address,
+        {
+          address,
+          symbol: decodeString(reads[index * 2]) || "unknown",
+          decimals: Number(decodeWords(decimals)[0]),
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Read every market listed in the chain's Comptroller straight from the
+ * contracts, in the shape `getMarkets` returns
+ * @param {string} chain - Chain name from config
+ * @param {string} url - RPC endpoint URL
+ * @returns {Promise<Array>}
+ */
+async function fetchRpcMarkets(chain, url) {
+  const { comptroller } = config.chains[chain];
+  if (!comptroller) {
+    throw classifiedError(
+      "config",
+      `no comptroller address configured for ${chain}`
+    );
+  }
+
+  const [allMarkets, oracle] = await ethCallBatch(url, [
+    { to: comptroller, data: SELECTORS.getAllMarkets },
+    { to: comptroller, data: SELECTORS.oracle },
+  ]);
+  if (!allMarkets || !oracle) {
+    throw classifiedError(
+      "schema",
+      `${comptroller} does not look like a Comptroller`
+    );
+  }
+
+  const mTokens = decodeAddressArray(allMarkets);
+  const oracleAddress = decodeAddress(decodeWords(oracle)[0]);
+  const fields = [
+    "getCash",
+    "totalBorrowsCurrent",
+    "totalReserves",
+    "exchangeRateStored",
+    "totalSupply",
+    "supplyRatePerTimestamp",
+  ];
+
+  const reads = await ethCallBatch(
+    url,
+    mTokens.flatMap((mToken) => [
+      { to: mToken, data: SELECTORS.symbol },
+      { to: mToken, data: SELECTORS.underlying },
+      {
+        to: oracleAddress,
+        data: encodeCall(SELECTORS.getUnderlyingPrice, mToken),
+      },
+      {
+        to: comptroller,
+        data: encodeCall(SELECTORS.mintGuardianPaused, mToken),
+      },
+      ...fields.map((field) => ({ to: mToken, data: SELECTORS[field] })),
+    ])
+  );
+
+  const perMarket = fields.length + 4;
+  const markets = mTokens.map((address, index) => {
+    const [symbol, underlying, price, mintPaused, ...values] = reads.slice(
+      index * perMarket,
+      (index + 1) * perMarket
+    );
+    const market = {
+      address,
+      symbol: decodeString(symbol),
+      underlying: underlying ? decodeAddress(decodeWords(underlying)[0]) : null,
+      price: price ? decodeWords(price)[0] : 0n,
+      mintPaused: mintPaused ? decodeWords(mintPaused)[0] !== 0n : false,
+    };
+    fields.forEach((field, fieldIndex) => {
+      if (!values[fieldIndex]) {
+        throw classifiedError(
+          "schema",
+          `${field}() reverted on ${market.symbol || address}`
+        );
+      }
+      market[field] = decodeWords(values[fieldIndex])[0];
+    });
+    return market;
+  });
+
+  const tokens = await fetchTokenInfo(
+    url,
+    markets.map((market) => market.underlying).filter(Boolean)
+  );
+
+  return markets.map((market) => {
+    const token = market.underlying
+      ? tokens.get(market.underlying)
+      : { address: null, symbol: NATIVE_SYMBOLS[chain], decimals: 18 };
+    // The oracle scales prices by 1e36 / 10^decimals of the underlying
+    const price = toUnits(market.price, 36 - token.decimals);
+    const totalSupply = toUnits(
+      (market.totalSupply * market.exchangeRateStored) / 10n ** 18n,
+      token.decimals
+    );
+    const totalBorrows = toUnits(market.totalBorrowsCurrent, token.decimals);
+
+    return {
+      marketToken: { address: market.address, symbol: market.symbol },
+      underlyingToken: token,
+      underlyingPrice: price,
+      cash: { value: toUnits(market.getCash, token.decimals) },
+      totalSupply: { value: totalSupply },
+      totalBorrows: { value: totalBorrows },
+      totalReserves: { value: toUnits(market.totalReserves, token.decimals) },
+      totalSupplyUsd: totalSupply * price,
+      totalBorrowsUsd: totalBorrows * price,
+      baseSupplyApy: rateToApy(market.supplyRatePerTimestamp),
+      // Minting is paused on markets that are being wound down
+      deprecated: market.mintPaused,
+    };
+  });
+}
+
+/**
+ * Read the configured MetaMorpho vaults on a chain straight from the
+ * contracts, in the shape `getMorphoVaults` returns. Vaults are found by the
+ * `address` of vault pools; the asset is priced with Moonwell's oracle.
+ * @param {string} chain - Chain name from config
+ * @param {string} url - RPC endpoint URL
+ * @returns {Promise<Array>}
+ */
+async function fetchRpcVaults(chain, url) {
+  const { morphoBlue } = config.chains[chain];
+  const addresses = config.pools
+    .filter(
+      (pool) =>
+        pool.chain === chain &&
+        pool.type === POOL_TYPES.MORPHO_VAULT &&
+        pool.address
+    )
+    .map((pool) => pool.address.toLowerCase());
+
+  if (addresses.length === 0) return [];
+  if (!morphoBlue) {
+    throw classifiedError(
+      "config",
+      `no Morpho Blue address configured for ${chain}`
+    );
+  }
+
+  const vaultReads = await ethCallBatch(
+    url,
+    addresses.flatMap((address) =>
+      ["symbol", "name", "asset", "totalAssets", "withdrawQueueLength"].map(
+        (field) => ({ to: address, data: SELECTORS[field] })
+      )
+    )
+  );
+
+  const vaults = addresses.map((address, index) => {
+    const [symbol, name, asset, totalAssets, queueLength] = vaultReads.slice(
+      index * 5,
+      (index + 1) * 5
+    );
+    if (!asset || !totalAssets || !queueLength) {
+      throw classifiedError(
+        "schema",
+        `${address} does not look like a MetaMorpho vault`
+      );
+    }
+    return {
+      address,
+      symbol: decodeString(symbol),
+      name: decodeString(name),
+      asset: decodeAddress(decodeWords(asset)[0]),
+      totalAssets: decodeWords(totalAssets)[0],
+      queueLength: Number(decodeWords(queueLength)[0]),
+    };
+  });
+
+  const queueReads = await ethCallBatch(
+    url,
+    vaults.flatMap((vault) =>
+      Array.from({ length: vault.queueLength }, (_, index) => ({
+        to: vault.address,
+        data: encodeCall(SELECTORS.withdrawQueue, BigInt(index)),
+      }))
+    )
+  );
+  const allocations = vaults.flatMap((vault) =>
+    queueReads
+      .splice(0, vault.queueLength)
+      .map((id) => ({ vault, id: `0x${encodeWord(decodeWords(id)[0])}` }))
+  );
+
+  const marketReads = await ethCallBatch(
+    url,
+    allocations.flatMap(({ vault, id }) => [
+      { to: morphoBlue, data: encodeCall(SELECTORS.market, id) },
+      {
+        to: morphoBlue,
+        data: encodeCall(SELECTORS.position, id, vault.address),
+      },
+      { to: morphoBlue, data: encodeCall(SELECTORS.idToMarketParams, id) },
+    ])
+  );
+  allocations.forEach((allocation, index) => {
+    const [market, position, params] = marketReads
+      .slice(index * 3, (index + 1) * 3)
+      .map((hex) => {
+        if (!hex)
+          throw classifiedError(
+            "schema",
+            `Morpho Blue market ${allocation.id} reverted`
+          );
+        return decodeWords(hex);
+      });
+    allocation.market = market;
+    allocation.params = params;
+    // Morpho Blue adds virtual shares and assets when converting
+    allocation.supplied =
+      (position[0] * (market[0] + 1n)) / (market[1] + 10n ** 6n);
+  });
+
+  // The idle market in a withdraw queue has no collateral or rate model
+  const rated = allocations.filter(({ params }) => params[3] !== 0n);
+  const rateReads = await ethCallBatch(
+    url,
+    rated.map(({ market, params }) => ({
+      to: decodeAddress(params[3]),
+      data: encodeCall(SELECTORS.borrowRateView, ...params, ...market),
+    }))
+  );
+  rated.forEach((allocation, index) => {
+    allocation.borrowRate = rateReads[index]
+      ? decodeWords(rateReads[index])[0]
+      : 0n;
+  });
+  const collateralAddresses = allocations
+    .filter(({ params }) => params[1] !== 0n)
+    .map(({ params }) => decodeAddress(params[1]));
+  const [tokens, prices] = await Promise.all([
+    fetchTokenInfo(url, [
+      ...vaults.map((vault) => vault.asset),
+      ...collateralAddresses,
+    ]),
+    fetchRpcMarkets(chain, url),
+  ]);
+
+  return vaults.map((vault) => {
+    const token = tokens.get(vault.asset);
+    const priced = prices.find(
+      (market) => market.underlyingToken.address === vault.asset
+    );
+    if (!priced) {
+      throw classifiedError(
+        "schema",
+        `no Moonwell market prices ${token.symbol} on ${chain}`
+      );
+    }
+    const price = priced.underlyingPrice;
+    const totalAssets = toUnits(vault.totalAssets, token.decimals);
+
+    // Allocations were read in withdraw queue order
+    const markets = allocations
+      .filter((allocation) => allocation.vault === vault)
+      .map(({ id, market, params, supplied, borrowRate = 0n }, queueIndex) => {
+        const [totalSupplyAssets, , totalBorrowAssets, , , fee] = market;
+        const utilization =
+          totalSupplyAssets > 0n
+            ? Number(totalBorrowAssets) / Number(totalSupplyAssets)
+            : 0;
+        const suppliedTokens = toUnits(supplied, token.decimals);
+        const liquidityTokens = toUnits(
+          totalSupplyAssets - totalBorrowAssets,
+          token.decimals
+        );
+
+        return {
+          marketId: id,
+          allocation: totalAssets > 0 ? suppliedTokens / totalAssets : 0,
+          // Suppliers earn the borrow rate on the borrowed share, less fees
+          marketApy:
+            rateToApy(borrowRate) * utilization * (1 - Number(fee) / 1e18),
+          marketCollateral:
+            params[1] !== 0n ? tokens.get(decodeAddress(params[1])) : null,
+          totalSupplied: { value: suppliedTokens },
+          totalSuppliedUsd: suppliedTokens * price,
+          marketLiquidity: { value: liquidityTokens },
+          marketLiquidityUsd: liquidityTokens * price,
+          marketUtilization: utilization,
+          withdrawQueueIndex: queueIndex,
+        };
+      });
+
+    return {
+      vaultToken: {
+        address: vault.address,
+        symbol: vault.symbol,
+        name: vault.name,
+      },
+      underlyingToken: token,
+      underlyingPrice: price,
+      totalLiquidity: { value: totalAssets },
+      totalLiquidityUsd: totalAssets * price,
+      markets,
+    };
+  });
+}
+
+export {
+  withRpcEndpoint,
+  encodeCall,
+  decodeWords,
+  ethCallBatch,
+  fetchRpcMarkets,
+  fetchRpcVaults,
+};
@@ -0,0 +1,321 @@
+import {
+  ILLIQUID_MARKET_DEFAULTS,
+  POOL_TYPES,
+  RULE_METRICS,
+  RULE_OPERATORS,
+  config,
+  getAlertThreshold,
+} from "./config.js";
+import { calculatePoolMetrics } from "./metrics.js";
+import { formatDuration, formatNumber } from "./utils.js";
+
+// ============================================================================
+// Trend Rules
+// ============================================================================
+
+/**
+ * Short description of a trend rule, used in alerts and recoveries
+ * @param {Object} rule - Trend rule from config
+ * @returns {string} Rule label
+ */
+function describeTrendRule(rule) {
+  switch (rule.type) {
+    case "drop-percent":
+      return `Liquidity down ${rule.percent}% within ${rule.windowMinutes}m`;
+    case "outflow-rate":
+      return `Outflow above $${formatNumber(rule.usdPerHour, 0)}/h`;
+    case "utilization-spike":
+      return `Utilization up ${rule.points} pts within ${rule.windowMinutes}m`;
+    default:
+      return rule.type;
+  }
+}
+
+/**
+ * Evaluate one trend rule against the oldest sample inside its window
+ * @param {Object} rule - Trend rule from config
+ * @param {Object} check - Current pool check ({pool, metrics})
+ * @param {Array} history - Previous samples, oldest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {{hasBaseline: boolean, triggered: boolean, explanation: string}}
+ */
+function evaluateTrendRule(rule, check, history, now) {
+  const windowStart = now - rule.windowMinutes * 60 * 1000;
+  const baseline = history.find(
+    (sample) => sample.timestamp >= windowStart && sample.pools[check.pool.id]
+  );
+
+  if (!baseline) {
+    return { hasBaseline: false, triggered: false, explanation: "" };
+  }
+
+  const past = baseline.pools[check.pool.id];
+  const current = check.metrics;
+  const elapsed = formatDuration(now - baseline.timestamp);
+  const change = `$${formatNumber(past.availableLiquidity)} → $${formatNumber(
+    current.availableLiquidity
+  )}`;
+
+  switch (rule.type) {
+    case "drop-percent": {
+      const dropPercent =
+        past.availableLiquidity > 0
+          ? ((past.availableLiquidity - current.availableLiquidity) /
+              past.availableLiquidity) *
+            100
+          : 0;
+      return {
+        hasBaseline: true,
+        triggered: dropPercent >= rule.percent,
+        explanation: `Available liquidity fell ${dropPercent.toFixed(
+          1
+        )}% in ${elapsed} (${change})`,
+      };
+    }
+    case "outflow-rate": {
+      const hours = Math.max(now - baseline.timestamp, 60_000) / 3_600_000;
+      const outflowPerHour =
+        (past.availableLiquidity - current.availableLiquidity) / hours;
+      return {
+        hasBaseline: true,
+        triggered: outflowPerHour >= rule.usdPerHour,
+        explanation: `Outflow of $${formatNumber(
+          outflowPerHour,
+          0
+        )}/h over the last ${elapsed} (${change})`,
+      };
+    }
+    case "utilization-spike": {
+      const points = (current.utilization - past.utilization) * 100;
+      return {
+        hasBaseline: true,
+        triggered: points >= rule.points,
+        explanation: `Utilization rose from ${(past.utilization * 100).toFixed(
+          1
+        )}% to ${(current.utilization * 100).toFixed(1)}% in ${elapsed}`,
+      };
+    }
+    default:
+      return { hasBaseline: false, triggered: false, explanation: "" };
+  }
+}
+
+/**
+ * Evaluate every pool's trend rules. Rules without enough history are
+ * reported as lacking data so they keep their previous alert state.
+ * @param {Array} checks - Pool checks ({pool, metrics, hasData})
+ * @param {Array} history - Previous samples, oldest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} Alert conditions
+ */
+function evaluateTrendRules(checks, history, now) {
+  return checks.flatMap((check) =>
+    (check.pool.trends || []).map((rule) => {
+      const result = check.hasData
+        ? evaluateTrendRule(rule, check, history, now)
+        : { hasBaseline: false, triggered: false, explanation: "" };
+
+      return {
+        key: `${check.pool.id}:${rule.id || rule.type}`,
+        check,
+        severity: "warning",
+        label: describeTrendRule(rule),
+        hasData: result.hasBaseline,
+        triggered: result.triggered,
+        explanation: result.explanation,
+      };
+    })
+  );
+}
+
+// ============================================================================
+// Alert Rules
+// ============================================================================
+
+/**
+ * Evaluate a rule condition against a pool's metrics
+ * @param {Object} condition - Comparison or `all`/`any` group
+ * @param {Object} metrics - Pool metrics
+ * @returns {{matched: boolean, explanation: string}}
+ */
+function evaluateRuleCondition(condition, metrics) {
+  if (condition.all || condition.any) {
+    const results = (condition.all || condition.any).map((nested) =>
+      evaluateRuleCondition(nested, metrics)
+    );
+    const matched = condition.all
+      ? results.every((result) => result.matched)
+      : results.some((result) => result.matched);
+    const joiner = condition.all ? " AND " : " OR ";
+    // Explain only the parts that matched; for AND that is all of them
+    const parts = results.filter((result) => result.matched);
+    return {
+      matched,
+      explanation: parts.map((result) => result.explanation).join(joiner),
+    };
+  }
+
+  const metric = RULE_METRICS[condition.metric];
+  const actual = metric.read(metrics);
+  return {
+    matched: RULE_OPERATORS[condition.op](actual, condition.value),
+    explanation: `${condition.metric} ${metric.format(actual)} ${
+      condition.op
+    } ${metric.format(condition.value)}`,
+  };
+}
+
+/**
+ * Evaluate every pool's declarative alert rules
+ * @param {Array} checks - Pool checks ({pool, metrics, hasData})
+ * @returns {Array} Alert conditions
+ */
+function evaluateAlertRules(checks) {
+  return checks.flatMap((check) =>
+    (check.pool.rules || []).map((rule) => {
+      const result = check.hasData
+        ? evaluateRuleCondition(rule.when, check.metrics)
+        : { matched: false, explanation: "" };
+
+      return {
+        key: `${check.pool.id}:rule:${rule.id}`,
+        check,
+        severity: rule.severity || "warning",
+        label: rule.message || rule.id,
+        hasData: check.hasData,
+        triggered: result.matched,
+        explanation: rule.message
+          ? `${rule.message} (${result.explanation})`
+          : result.explanation,
+      };
+    })
+  );
+}
+
+// ============================================================================
+// Vault Markets
+// ============================================================================
+
+/**
+ * Illiquid market settings for a pool, or null when the alert is off.
+ * Vault pools with a threshold get the defaults.
+ * @param {Object} pool - Pool from config
+ * @returns {Object|null} Settings ({minWithdrawablePercent, minAllocationPercent})
+ */
+function getIlliquidMarketSettings(pool) {
+  if (pool.type !== POOL_TYPES.MORPHO_VAULT || pool.illiquidMarket === false) {
+    return null;
+  }
+  if (pool.illiquidMarket) {
+    return { ...ILLIQUID_MARKET_DEFAULTS, ...pool.illiquidMarket };
+  }
+  return getAlertThreshold(pool) !== null ? ILLIQUID_MARKET_DEFAULTS : null;
+}
+
+/**
+ * Short description of one of a vault's markets, e.g.
+ * "cbBTC 56.3%: $10,000,000.00 of $18,000,000.00 withdrawable, 80.0% utilized"
+ * @param {Object} market - Vault market from calculateVaultMarkets
+ * @returns {string}
+ */
+function formatVaultMarket(market) {
+  const utilization =
+    market.utilization === null
+      ? "utilization unknown"
+      : `${(market.utilization * 100).toFixed(1)}% utilized`;
+  return (
+    `${market.collateralSymbol || "Idle"} ${(market.allocation * 100).toFixed(
+      1
+    )}%: $${formatNumber(market.withdrawable)} of ` +
+    `$${formatNumber(market.supplied)} withdrawable, ${utilization}`
+  );
+}
+
+/**
+ * Flag vaults with a sizeable position in a market that can barely be
+ * withdrawn from, even when the vault as a whole still looks liquid
+ * @param {Array} checks - Pool checks ({pool, metrics, hasData})
+ * @returns {Array} Alert conditions
+ */
+function evaluateIlliquidMarkets(checks) {
+  return checks.flatMap((check) => {
+    const settings = getIlliquidMarketSettings(check.pool);
+    if (!settings) return [];
+
+    const illiquid = (check.metrics.markets || []).filter(
+      (market) =>
+        market.supplied > 0 &&
+        market.allocation * 100 >= settings.minAllocationPercent &&
+        market.withdrawableShare * 100 < settings.minWithdrawablePercent
+    );
+
+    return {
+      key: `${check.pool.id}:illiquid-market`,
+      check,
+      severity: "warning",
+      label: "Allocated market illiquid",
+      hasData: check.hasData,
+      triggered: illiquid.length > 0,
+      explanation: illiquid
+        .map(
+          (market) =>
+            `${market.collateralSymbol || "Idle"} market is illiquid: only ` +
+            `$${formatNumber(market.withdrawable)} of the vault's ` +
+            `$${formatNumber(market.supplied)} ` +
+            `(${(market.withdrawableShare * 100).toFixed(1)}%) can be withdrawn`
+        )
+        .join("; "),
+    };
+  });
+}
+
+// ============================================================================
+// Data Source Cross-Check
+// ============================================================================
+
+/**
+ * Compare each pool's available liquidity between the provider that served
+ * it and the cross-check provider. Token amounts are compared so the two
+ * providers' price sources do not matter.
+ * @param {Array} checks - Pool checks ({pool, metrics, hasData, provider, crossCheck})
+ * @returns {Array} Alert conditions
+ */
+function evaluateCrossChecks(checks) {
+  const { crossCheck } = config.dataSources;
+  if (!crossCheck.enabled) return [];
+
+  return checks.map((check) => {
+    const { pool, metrics, provider } = check;
+    const other = check.crossCheck?.data
+      ? calculatePoolMetrics(pool, check.crossCheck.data)
+      : null;
+    const primary = metrics.availableLiquidityTokens;
+    const secondary = other?.availableLiquidityTokens ?? 0;
+    const larger = Math.max(primary, secondary);
+    const differencePercent =
+      larger > 0 ? (Math.abs(primary - secondary) / larger) * 100 : 0;
+    const format = (value) =>
+      `${formatNumber(value, 4)} ${metrics.tokenSymbol}`.trim();
+
+    return {
+      key: `${pool.id}:cross-check`,
+      check,
+      severity: "warning",
+      label: "Data providers disagree",
+      hasData: check.hasData && !!other,
+      triggered: differencePercent > crossCheck.tolerancePercent,
+      explanation:
+        `${provider} reports ${format(primary)} available but ` +
+        `${check.crossCheck?.provider} reports ${format(secondary)} ` +
+        `(${differencePercent.toFixed(1)}% apart)`,
+    };
+  });
+}
+
+export {
+  evaluateTrendRules,
+  evaluateAlertRules,
+  formatVaultMarket,
+  evaluateIlliquidMarkets,
+  evaluateCrossChecks,
+};
@@ -0,0 +1,249 @@
+import { DATA_CONSISTENCY_TOLERANCE, POOL_TYPES, config } from "./config.js";
+import { formatDuration, formatNumber } from "./utils.js";
+
+// ============================================================================
+// Data Sanity Checks
+// ============================================================================
+
+// Fields a reading cannot be trusted without, by pool type
+const REQUIRED_FIELDS = {
+  [POOL_TYPES.CORE_MARKET]: ["totalSupplyUsd", "totalBorrowsUsd", "cash.value"],
+  [POOL_TYPES.MORPHO_VAULT]: ["totalLiquidity.value", "totalLiquidityUsd"],
+};
+
+// Fields every market of a vault needs
+const VAULT_MARKET_FIELDS = [
+  "allocation",
+  "totalSupplied.value",
+  "totalSuppliedUsd",
+  "marketLiquidity.value",
+  "marketLiquidityUsd",
+];
+
+// Metrics compared with the previous sample for implausible jumps
+const JUMP_METRICS = [
+  ["availableLiquidity", "Available liquidity"],
+  ["totalSupply", "Total supply"],
+];
+
+/**
+ * Read a field of fetched data by its dotted path
+ * @param {Object} data - Market, vault or vault market data
+ * @param {string} path - e.g. "cash.value"
+ * @returns {*} Field value, undefined when missing
+ */
+function readField(data, path) {
+  return path.split(".").reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * Problems with the fields a reading needs: missing, not a number, or
+ * negative
+ * @param {Object} data - Market, vault or vault market data
+ * @param {Array<string>} paths - Required fields
+ * @param {string} [prefix] - Prepended to field names in problems
+ * @returns {Array<string>} Problems
+ */
+function findFieldProblems(data, paths, prefix = "") {
+  return paths.flatMap((path) => {
+    const value = readField(data, path);
+    if (value === undefined || value === null) {
+      return [`${prefix}${path} is missing`];
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      return [`${prefix}${path} is ${JSON.stringify(value)}`];
+    }
+    return [];
+  });
+}
+
+/**
+ * Check a market reading for internal consistency: a price for its token,
+ * borrows within supply, and cash making up the rest of it
+ * @param {Object} market - Market data
+ * @returns {Array<string>} Problems
+ */
+function findMarketInconsistencies(market) {
+  const problems = [];
+  const supply = market.totalSupplyUsd;
+  const borrows = market.totalBorrowsUsd;
+  const slack = supply * DATA_CONSISTENCY_TOLERANCE;
+  // The oracle price, or the one implied by supply, as the metrics use
+  const price =
+    market.underlyingPrice ||
+    (market.totalSupply?.value > 0 ? supply / market.totalSupply.value : 0);
+
+  if (supply > 0 && !(price > 0)) {
+    problems.push("No price for the underlying token");
+  }
+  if (borrows > supply + slack) {
+    problems.push(
+      `Total borrow $${formatNumber(
+        borrows
+      )} exceeds total supply $${formatNumber(supply)}`
+    );
+  }
+
+  // Cash plus borrows is supply plus reserves, so it never falls short of
+  // supply; a cash reading that does is what shows as "$0 available" after
+  // a schema change
+  const cash = market.cash.value * price;
+  if (cash + borrows < supply - slack) {
+    problems.push(
+      `Cash $${formatNumber(cash)} and borrows $${formatNumber(
+        borrows
+      )} fall short of supply $${formatNumber(supply)}`
+    );
+  }
+  return problems;
+}
+
+/**
+ * Check a vault reading for internal consistency: no more allocated than
+ * deposited, and allocations adding up to the whole vault
+ * @param {Object} vault - Vault data
+ * @returns {Array<string>} Problems
+ */
+function findVaultInconsistencies(vault) {
+  const problems = [];
+  const deposits = vault.totalLiquidityUsd;
+  const allocated = vault.markets.reduce(
+    (total, market) => total + market.totalSuppliedUsd,
+    0
+  );
+  const allocations = vault.markets.reduce(
+    (total, market) => total + market.allocation,
+    0
+  );
+
+  if (allocated > deposits * (1 + DATA_CONSISTENCY_TOLERANCE)) {
+    problems.push(
+      `Markets hold $${formatNumber(allocated)}, more than the vault's ` +
+        `$${formatNumber(deposits)} of deposits`
+    );
+  }
+  // An empty vault has nothing to allocate
+  if (
+    deposits > 0 &&
+    vault.markets.length > 0 &&
+    Math.abs(allocations - 1) > DATA_CONSISTENCY_TOLERANCE
+  ) {
+    problems.push(
+      `Market allocations add up to ${(allocations * 100).toFixed(1)}%`
+    );
+  }
+  return problems;
+}
+
+/**
+ * Check a fetched market or vault for required fields, plausible ranges and
+ * internal consistency. Metrics fall back to 0 for missing fields, so a
+ * schema change or partial response would otherwise read as a liquidity
+ * crash.
+ * @param {Object} pool - Pool config
+ * @param {Object} data - Market or vault data
+ * @param {Object} metrics - Metrics calculated from the data
+ * @returns {Array<string>} Problems, empty when the reading looks right
+ */
+function findDataIssues(pool, data, metrics) {
+  const { sanity } = config.dataSources;
+  if (!sanity.enabled) return [];
+
+  const isVault = pool.type === POOL_TYPES.MORPHO_VAULT;
+  const issues = findFieldProblems(data, REQUIRED_FIELDS[pool.type]);
+  if (isVault) {
+    if (!Array.isArray(data.markets)) {
+      issues.push("markets is missing");
+    } else {
+      data.markets.forEach((market, index) =>
+        issues.push(
+          ...findFieldProblems(
+            market,
+            VAULT_MARKET_FIELDS,
+            `markets[${index}].`
+          )
+        )
+      );
+    }
+  }
+  // Consistency checks need every field
+  if (issues.length > 0) return issues;
+
+  issues.push(
+    ...(isVault
+      ? findVaultInconsistencies(data)
+      : findMarketInconsistencies(data))
+  );
+  if (
+    !Number.isFinite(metrics.apy) ||
+    metrics.apy < 0 ||
+    metrics.apy > sanity.maxApyPercent
+  ) {
+    issues.push(`APY ${metrics.apy}% is implausible`);
+  }
+  return issues;
+}
+
+/**
+ * Compare a reading with the pool's latest sample inside the jump window.
+ * A reading that jumped is still used and recorded, so the next reading
+ * confirms the move by agreeing with it.
+ * @param {Object} pool - Pool config
+ * @param {Object} metrics - Metrics of the current reading
+ * @param {Array} history - Previous samples, oldest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<string>} Problems
+ */
+function findDataJumps(pool, metrics, history, now) {
+  const { sanity } = config.dataSources;
+  if (!sanity.enabled || sanity.jumpWindowMinutes === 0) return [];
+
+  const windowStart = now - sanity.jumpWindowMinutes * 60 * 1000;
+  const previous = history.findLast(
+    (sample) => sample.timestamp >= windowStart && sample.pools[pool.id]
+  );
+  if (!previous) return [];
+
+  const past = previous.pools[pool.id];
+  return JUMP_METRICS.flatMap(([field, label]) => {
+    const before = past[field];
+    const after = metrics[field];
+    // Samples recorded before a metric was kept have nothing to compare
+    if (before === undefined) return [];
+
+    const larger = Math.max(before, after);
+    const changePercent =
+      larger > 0 ? (Math.abs(after - before) / larger) * 100 : 0;
+
+    return changePercent > sanity.maxJumpPercent
+      ? [
+          `${label} jumped from $${formatNumber(before)} to $${formatNumber(
+            after
+          )} in ${formatDuration(now - previous.timestamp)}`,
+        ]
+      : [];
+  });
+}
+
+/**
+ * Raise a data quality warning for each pool whose reading was ignored.
+ * A pool without any data is reported as a fetch error instead.
+ * @param {Array} checks - Pool checks ({pool, data, dataIssues})
+ * @returns {Array} Alert conditions
+ */
+function evaluateDataQuality(checks) {
+  if (!config.dataSources.sanity.enabled) return [];
+
+  return checks.map((check) => ({
+    key: `${check.pool.id}:data-quality`,
+    check,
+    severity: "warning",
+    label: "Suspicious pool data",
+    dataQuality: true,
+    hasData: !!check.data,
+    triggered: check.dataIssues.length > 0,
+    explanation: `Ignored a suspicious reading: ${check.dataIssues.join("; ")}`,
+  }));
+}
+
+export { findDataIssues, findDataJumps, evaluateDataQuality };
@@ -0,0 +1,258 @@
+import { ALERT_STATUS, WEEKDAYS, config } from "./config.js";
+import { loadMutes } from "./mutes.js";
+
+// ============================================================================
+// Silences & Quiet Hours
+// ============================================================================
+
+/**
+ * The rule a condition belongs to, as silences name it: "threshold" for
+ * the pool's own threshold, otherwise the rest of its key (a trend rule's
+ * id, "rule:<id>" for alert rules, "data-quality", "cross-check", ...)
+ * @param {Object} condition - Alert condition
+ * @returns {string}
+ */
+function getConditionRule(condition) {
+  const poolId = condition.check.pool.id;
+  return condition.key === poolId
+    ? "threshold"
+    : condition.key.slice(poolId.length + 1);
+}
+
+/**
+ * Whether a silence covers a condition. A silence without `pool` covers
+ * every pool, one without `rule` every rule; alert rules match with or
+ * without their "rule:" prefix.
+ * @param {Object} silence - Active silence
+ * @param {Object} condition - Alert condition
+ * @returns {boolean}
+ */
+function matchesSilence(silence, condition) {
+  if (silence.pool && silence.pool !== condition.check.pool.id) return false;
+  if (!silence.rule) return true;
+  const rule = getConditionRule(condition);
+  return rule === silence.rule || rule === `rule:${silence.rule}`;
+}
+
+/**
+ * The quiet hours window `now` falls in. A window that crosses midnight
+ * belongs to the weekday it starts on.
+ * @param {{startUtc: string, endUtc: string, weekdays?: Array<string>}|undefined} quietHours - Quiet hours config
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} The window as a silence, or null outside quiet hours
+ */
+function getQuietHoursWindow(quietHours, now) {
+  if (!quietHours) return null;
+
+  const minutesOf = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+  const startMinutes = minutesOf(quietHours.startUtc);
+  const lengthMs =
+    ((minutesOf(quietHours.endUtc) - startMinutes + 1440) % 1440) * 60_000;
+
+  for (const daysAgo of [0, 1]) {
+    const day = new Date(now);
+    day.setUTCHours(0, 0, 0, 0);
+    day.setUTCDate(day.getUTCDate() - daysAgo);
+
+    const from = day.getTime() + startMinutes * 60_000;
+    const onWeekday =
+      !quietHours.weekdays ||
+      quietHours.weekdays.includes(WEEKDAYS[day.getUTCDay()]);
+    if (onWeekday && now >= from && now < from + lengthMs) {
+      return {
+        id: `quiet-hours:${from}`,
+        from,
+        until: from + lengthMs,
+        reason: "Quiet hours",
+        quietHours: true,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Silences in effect at `now`: the configured ones, pools muted from
+ * Discord, and the current quiet hours window
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Array<{id: string, pool?: string, rule?: string, from: number|null, until: number, reason: string, quietHours?: boolean}>>}
+ */
+async function getActiveSilences(now = Date.now()) {
+  const configured = (config.silences || [])
+    .map((silence) => ({
+      id: `config:${silence.pool ?? "*"}:${silence.rule ?? "*"}:${
+        silence.until
+      }`,
+      pool: silence.pool,
+      rule: silence.rule,
+      from: silence.from === undefined ? null : Date.parse(silence.from),
+      until: Date.parse(silence.until),
+      reason: silence.reason,
+    }))
+    .filter(({ from, until }) => (from ?? -Infinity) <= now && now < until);
+
+  // Muting a pool again extends its silence rather than starting a new one
+  const muted = Object.entries(await loadMutes(now)).map(([pool, mute]) => ({
+    id: `mute:${pool}:*`,
+    pool,
+    from: mute.at,
+    until: mute.until,
+    reason: `Muted from Discord by ${mute.by}`,
+  }));
+
+  const quietHours = getQuietHoursWindow(config.quietHours, now);
+  return [...configured, ...muted, ...(quietHours ? [quietHours] : [])];
+}
+
+/**
+ * Split alert state changes into those to notify and those a silence holds
+ * back. A silence holds back everything it covers, whatever its severity;
+ * quiet hours hold back all but critical ones.
+ * @param {Array} transitions - Alert state changes ({condition, type, severity})
+ * @param {Array} silences - Active silences from getActiveSilences
+ * @returns {{notified: Array, suppressed: Array<{transition: Object, silence: Object}>}}
+ */
+function applySilences(transitions, silences) {
+  const notified = [];
+  const suppressed = [];
+
+  for (const transition of transitions) {
+    const severity = transition.severity ?? transition.condition.severity;
+    const silence = silences.find((candidate) =>
+      candidate.quietHours
+        ? severity !== "critical"
+        : matchesSilence(candidate, transition.condition)
+    );
+    if (silence) suppressed.push({ transition, silence });
+    else notified.push(transition);
+  }
+  return { notified, suppressed };
+}
+
+/**
+ * Record held-back notifications in the alert state, under the silence
+ * that held them back
+ * @param {Object} state - Alert state
+ * @param {Array} suppressed - Held-back transitions from applySilences
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Alert state with the notifications recorded
+ */
+function recordSuppressed(state, suppressed, now) {
+  const records = { ...state.suppressed };
+
+  for (const { transition, silence } of suppressed) {
+    const { condition, type } = transition;
+    const record = records[silence.id] || { silence, items: [] };
+    records[silence.id] = {
+      silence,
+      items: [
+        ...record.items,
+        {
+          key: condition.key,
+          pool: {
+            id: condition.check.pool.id,
+            name: condition.check.pool.name,
+          },
+          type,
+          severity: transition.severity ?? condition.severity,
+          label: condition.label,
+          explanation: condition.explanation,
+          at: now,
+        },
+      ],
+    };
+  }
+  return { ...state, suppressed: records };
+}
+
+/**
+ * Take the held-back notifications of silences no longer in effect (ended,
+ * lifted or removed from the config) out of the alert state. Those still in
+ * effect keep their notifications under the silence as it now stands, e.g.
+ * a mute extended since.
+ * @param {Object} state - Alert state
+ * @param {Array} silences - Active silences from getActiveSilences
+ * @returns {{state: Object, ended: Array<{silence: Object, items: Array}>}}
+ */
+function takeEndedSilences(state, silences) {
+  const active = new Map(silences.map((silence) => [silence.id, silence]));
+  const records = Object.entries(state.suppressed || {});
+
+  return {
+    state: {
+      ...state,
+      suppressed: Object.fromEntries(
+        records
+          .filter(([id]) => active.has(id))
+          .map(([id, record]) => [id, { ...record, silence: active.get(id) }])
+      ),
+    },
+    ended: records
+      .filter(([id]) => !active.has(id))
+      .map(([, record]) => record),
+  };
+}
+
+/**
+ * Held-back recoveries whose incidents incident channels should still
+ * close. A recovery is left out when its breach was held back too, by a
+ * silence still in effect, since no incident was opened for it; data
+ * quality conditions never open one.
+ * @param {Array} suppressed - Held-back transitions from applySilences
+ * @param {Object} state - Alert state with the held-back notifications recorded
+ * @returns {Array} Recovery transitions
+ */
+function getSilencedRecoveries(suppressed, state) {
+  const unopened = new Set(
+    Object.values(state.suppressed || {}).flatMap(({ items }) =>
+      items.filter(({ type }) => type === "breach").map(({ key }) => key)
+    )
+  );
+  return suppressed
+    .map(({ transition }) => transition)
+    .filter(
+      ({ condition, type }) =>
+        type === "recovery" &&
+        !condition.dataQuality &&
+        !unopened.has(condition.key)
+    );
+}
+
+/**
+ * Conditions that silences no longer in effect held back and that are still
+ * breached, as breach transitions: incident channels have not heard of them
+ * yet. Data quality conditions never open an incident.
+ * @param {Array} ended - Ended silences from takeEndedSilences
+ * @param {Array} conditions - This run's alert conditions
+ * @param {Object} state - Alert state after this run's transitions
+ * @returns {Array} Breach transitions ({condition, type})
+ */
+function getHeldBackBreaches(ended, conditions, state) {
+  const heldBack = new Set(
+    ended.flatMap(({ items }) =>
+      items.filter(({ type }) => type !== "recovery").map(({ key }) => key)
+    )
+  );
+  return conditions
+    .filter(
+      (condition) =>
+        heldBack.has(condition.key) &&
+        !condition.dataQuality &&
+        state.pools[condition.key]?.status === ALERT_STATUS.BREACHED
+    )
+    .map((condition) => ({ condition, type: "breach" }));
+}
+
+export {
+  getConditionRule,
+  getQuietHoursWindow,
+  getActiveSilences,
+  applySilences,
+  recordSuppressed,
+  takeEndedSilences,
+  getSilencedRecoveries,
+  getHeldBackBreaches,
+};
@@ -0,0 +1,173 @@
+import { POOL_TYPES } from "./config.js";
+import { formatNumber } from "./utils.js";
+
+// ============================================================================
+// Withdrawal Simulation
+// ============================================================================
+
+/**
+ * Supply APY after a market's utilization changes, assuming its borrow rate
+ * stays the same (suppliers earn the borrow rate on the borrowed share)
+ * @param {number} apy - Current supply APY
+ * @param {number|null} before - Utilization before
+ * @param {number|null} after - Utilization after
+ * @returns {number}
+ */
+function scaleApy(apy, before, after) {
+  return before > 0 && after !== null ? (apy * after) / before : apy;
+}
+
+/**
+ * A vault's markets in the order it withdraws from them: its withdraw queue
+ * when the provider read it (the on-chain provider does), otherwise the
+ * order the provider lists them
+ * @param {Array} markets - Vault markets from calculateVaultMarkets
+ * @returns {{markets: Array, withdrawOrder: "queue"|"unknown"}}
+ */
+function orderVaultMarkets(markets) {
+  const queued = markets.every(
+    (market) =>
+      market.withdrawQueueIndex !== null &&
+      market.withdrawQueueIndex !== undefined
+  );
+  return queued
+    ? {
+        markets: [...markets].sort(
+          (a, b) => a.withdrawQueueIndex - b.withdrawQueueIndex
+        ),
+        withdrawOrder: "queue",
+      }
+    : { markets, withdrawOrder: "unknown" };
+}
+
+/**
+ * Simulate withdrawing an amount from a pool right now. Core markets pay out
+ * of their cash; vaults pay out of idle cash first, then each market in
+ * withdraw queue order, as far as each market can lend. When the provider
+ * does not give the queue, `withdrawOrder` is "unknown" and the markets are
+ * taken in the order listed.
+ * @param {Object} pool - Pool from config
+ * @param {Object} metrics - Pool metrics
+ * @param {number} amount - Withdrawal in USD
+ * @returns {Object} Withdrawable amount, the markets it comes from, their order ("queue", "unknown", or null for a core market) and the utilization and APY before and after
+ */
+function simulateWithdrawal(pool, metrics, amount) {
+  const withdrawable = Math.min(amount, metrics.availableLiquidity);
+  const steps = [];
+  let apyAfter = metrics.apy;
+  let withdrawOrder = null;
+
+  if (pool.type === POOL_TYPES.MORPHO_VAULT && metrics.markets?.length > 0) {
+    const totalSupplied = metrics.markets.reduce(
+      (sum, market) => sum + market.supplied,
+      0
+    );
+    const idleCash = Math.max(0, metrics.totalSupply - totalSupplied);
+    const ordered = orderVaultMarkets(metrics.markets);
+    withdrawOrder = ordered.withdrawOrder;
+    let remaining = withdrawable;
+    let weightedApy = 0;
+
+    if (idleCash > 0 && remaining > 0) {
+      const pulled = Math.min(remaining, idleCash);
+      steps.push({ name: "Vault idle cash", pulled });
+      remaining -= pulled;
+    }
+
+    for (const market of ordered.markets) {
+      const pulled = Math.max(0, Math.min(remaining, market.withdrawable));
+      remaining -= pulled;
+
+      // Recover the market's supply and borrows from its liquidity and
+      // utilization; borrows stay put while the supply shrinks. A market at
+      // or past full utilization has no supply to recover it from.
+      let utilizationAfter = market.utilization;
+      if (pulled > 0 && market.utilization !== null && market.utilization < 1) {
+        const supply = market.liquidity / (1 - market.utilization);
+        utilizationAfter =
+          supply > pulled ? (supply - market.liquidity) / (supply - pulled) : 0;
+      }
+      weightedApy +=
+        (market.supplied - pulled) *
+        scaleApy(market.apy, market.utilization, utilizationAfter);
+
+      if (pulled > 0) {
+        steps.push({
+          name: `${market.collateralSymbol || "Idle"} market`,
+          marketId: market.marketId,
+          pulled,
+          utilizationBefore: market.utilization,
+          utilizationAfter,
+        });
+      }
+    }
+
+    const remainingDeposits = metrics.totalSupply - withdrawable;
+    apyAfter = remainingDeposits > 0 ? weightedApy / remainingDeposits : 0;
+  } else if (withdrawable > 0) {
+    const supplyAfter = metrics.totalSupply - withdrawable;
+    const utilizationAfter =
+      supplyAfter > 0 ? metrics.totalBorrows / supplyAfter : 0;
+    steps.push({
+      name: "Market cash",
+      pulled: withdrawable,
+      utilizationBefore: metrics.utilization,
+      utilizationAfter,
+    });
+    apyAfter = scaleApy(metrics.apy, metrics.utilization, utilizationAfter);
+  }
+
+  // A vault's utilization is the share of deposits that cannot be withdrawn
+  const utilizationAfter =
+    pool.type === POOL_TYPES.MORPHO_VAULT
+      ? metrics.totalSupply - withdrawable > 0
+        ? 1 -
+          (metrics.availableLiquidity - withdrawable) /
+            (metrics.totalSupply - withdrawable)
+        : 0
+      : steps[0]?.utilizationAfter ?? metrics.utilization;
+
+  return {
+    requested: amount,
+    maxWithdrawable: metrics.availableLiquidity,
+    withdrawable,
+    fullyWithdrawable: withdrawable >= amount,
+    steps,
+    withdrawOrder,
+    utilizationBefore: metrics.utilization,
+    utilizationAfter,
+    apyBefore: metrics.apy,
+    apyAfter,
+  };
+}
+
+/**
+ * Flag pools whose configured `positionSize` could no longer be withdrawn
+ * in full right now
+ * @param {Array} checks - Pool checks ({pool, metrics, hasData})
+ * @returns {Array} Alert conditions
+ */
+function evaluatePositionWithdrawals(checks) {
+  return checks
+    .filter(({ pool }) => pool.positionSize !== undefined)
+    .map((check) => {
+      const { pool, metrics } = check;
+      const simulation = simulateWithdrawal(pool, metrics, pool.positionSize);
+
+      return {
+        key: `${pool.id}:position`,
+        check,
+        severity: "critical",
+        label: "Position not fully withdrawable",
+        hasData: check.hasData,
+        triggered: !simulation.fullyWithdrawable,
+        explanation: `Only $${formatNumber(
+          simulation.withdrawable
+        )} of the $${formatNumber(
+          pool.positionSize
+        )} position can be withdrawn right now`,
+      };
+    });
+}
+
+export { simulateWithdrawal, evaluatePositionWithdrawals };
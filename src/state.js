@@ -0,0 +1,126 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { memoryCache } from "./cache.js";
+import { ALERT_STATE_CONFIG, ALERT_STATUS, SEVERITIES } from "./config.js";
+
+// ============================================================================
+// Alert State
+// ============================================================================
+
+/**
+ * Load persisted alert state from disk
+ * @returns {Promise<{pools: Object, digests: Object, suppressed: Object, undelivered: Array}>} Alert state keyed by pool, when each digest period was last sent, the notifications each active silence held back, and the messages queued for incident channels that failed
+ */
+async function loadAlertState() {
+  if (memoryCache.alertState) return memoryCache.alertState;
+
+  try {
+    const raw = await readFile(ALERT_STATE_CONFIG.FILE_PATH, "utf8");
+    const state = JSON.parse(raw);
+    return {
+      pools: state.pools || {},
+      digests: state.digests || {},
+      suppressed: state.suppressed || {},
+      undelivered: state.undelivered || [],
+    };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        `Could not read alert state from ${ALERT_STATE_CONFIG.FILE_PATH}, starting fresh:`,
+        error.message
+      );
+    }
+    return { pools: {}, digests: {}, suppressed: {}, undelivered: [] };
+  }
+}
+
+/**
+ * Persist alert state to disk
+ * @param {{pools: Object, digests?: Object}} state - Alert state keyed by pool
+ * @returns {Promise<void>}
+ */
+async function saveAlertState(state) {
+  if (memoryCache.enabled) memoryCache.alertState = state;
+  await writeFile(
+    ALERT_STATE_CONFIG.FILE_PATH,
+    `${JSON.stringify(state, null, 2)}\n`
+  );
+}
+
+/**
+ * Work out which alert conditions changed state since the previous run.
+ * Conditions without data keep their previous state so a failed fetch
+ * never looks like a breach or a recovery. A breach that reaches a worse
+ * severity than it was notified at escalates; dropping back to a milder
+ * one is not notified, so a pool hovering around a tier does not flap.
+ * @param {{pools: Object}} state - Previous alert state
+ * @param {Array} conditions - Current alert conditions ({key, hasData, triggered, severity})
+ * @param {number} now - Current time in milliseconds
+ * @returns {{nextState: {pools: Object}, transitions: Array}}
+ */
+function evaluateAlertTransitions(state, conditions, now = Date.now()) {
+  const nextState = { ...state, pools: { ...state.pools } };
+  const transitions = [];
+
+  for (const condition of conditions) {
+    if (!condition.hasData) continue;
+
+    const { key } = condition;
+    const previous = state.pools[key] || { status: ALERT_STATUS.OK };
+    const wasBreached = previous.status === ALERT_STATUS.BREACHED;
+
+    if (condition.triggered && !wasBreached) {
+      transitions.push({ condition, type: "breach" });
+      nextState.pools[key] = {
+        status: ALERT_STATUS.BREACHED,
+        since: now,
+        lastNotifiedAt: now,
+        severity: condition.severity,
+      };
+    } else if (condition.triggered) {
+      // State written before severities were recorded counts as notified
+      // at the current severity
+      const notifiedSeverity = previous.severity ?? condition.severity;
+      const escalated =
+        SEVERITIES.indexOf(condition.severity) >
+        SEVERITIES.indexOf(notifiedSeverity);
+      const renotifyDue =
+        ALERT_STATE_CONFIG.RENOTIFY_INTERVAL_MS > 0 &&
+        now - previous.lastNotifiedAt >=
+          ALERT_STATE_CONFIG.RENOTIFY_INTERVAL_MS;
+
+      if (escalated) {
+        transitions.push({
+          condition,
+          type: "escalation",
+          previousSeverity: notifiedSeverity,
+        });
+        nextState.pools[key] = {
+          ...previous,
+          lastNotifiedAt: now,
+          severity: condition.severity,
+        };
+      } else if (renotifyDue) {
+        transitions.push({ condition, type: "reminder" });
+        nextState.pools[key] = { ...previous, lastNotifiedAt: now };
+      }
+    } else if (wasBreached) {
+      transitions.push({
+        condition,
+        type: "recovery",
+        breachedSince: previous.since,
+        severity: previous.severity ?? condition.severity,
+      });
+      nextState.pools[key] = {
+        status: ALERT_STATUS.RECOVERED,
+        since: now,
+        lastNotifiedAt: now,
+      };
+    } else if (previous.status === ALERT_STATUS.RECOVERED) {
+      nextState.pools[key] = { status: ALERT_STATUS.OK, since: now };
+    }
+  }
+
+  return { nextState, transitions };
+}
+
+export { loadAlertState, saveAlertState, evaluateAlertTransitions };
@@ -0,0 +1,124 @@
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Format a number as USD currency string
+ * @param {number} value - The value to format
+ * @param {number} decimals - Number of decimal places
+ * @returns {string} Formatted number string
+ */
+function formatNumber(value, decimals = 2) {
+  if (!value) return "0";
+  const num = parseFloat(value);
+  return num.toLocaleString("en-US", {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+}
+
+/**
+ * Format a duration in milliseconds as a short human readable string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration (e.g., "2h 15m")
+ */
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.round(ms / 60_000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Parse a short duration such as "30m", "2h", "1d" or "1w"
+ * @param {string} text - Duration
+ * @returns {number|null} Milliseconds, null when unparseable
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/i.exec(String(text).trim());
+  if (!match) return null;
+  const unitMs = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+  return Number(match[1]) * unitMs[match[2].toLowerCase()];
+}
+
+/**
+ * Format a timestamp as a short UTC date and time
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Formatted time (e.g., "2024-05-06 09:00 UTC")
+ */
+function formatTimestamp(ms) {
+  return `${new Date(ms).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+/**
+ * Format the token-denominated available liquidity as a suffix, omitted for
+ * USD stablecoins where it would just repeat the USD figure
+ * @param {Object} metrics - Pool metrics
+ * @returns {string} Suffix such as " (1,234.56 WETH)" or ""
+ */
+function formatTokenAmount(metrics) {
+  if (
+    !metrics.tokenSymbol ||
+    /^(USDC|USDbC|USDT|DAI)$/.test(metrics.tokenSymbol)
+  ) {
+    return "";
+  }
+  return ` (${formatNumber(metrics.availableLiquidityTokens, 4)} ${
+    metrics.tokenSymbol
+  })`;
+}
+
+/**
+ * Format APY percentage
+ * @param {number} apy - APY as decimal (e.g., 0.065 for 6.5%)
+ * @returns {string} Formatted APY string
+ */
+function formatApy(apy) {
+  return `${apy.toFixed(2)}%`;
+}
+
+/**
+ * Cut text down to a length, marking the cut with an ellipsis
+ * @param {string} text - Text to cut
+ * @param {number} maxLength - Longest result allowed
+ * @returns {string} The text, or its start followed by "…"
+ */
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  return maxLength > 0 ? `${text.slice(0, maxLength - 1)}…` : "";
+}
+
+/**
+ * Pools whose id is the query, or failing that contains it
+ * @param {Array} pools - Pools to search (anything with an `id`)
+ * @param {string} query - Pool id or part of it (e.g. "flagship")
+ * @returns {Array} Matching pools
+ */
+function matchPools(pools, query) {
+  const needle = query.toLowerCase();
+  const exact = pools.filter((pool) => pool.id === needle);
+  return exact.length > 0
+    ? exact
+    : pools.filter((pool) => pool.id.includes(needle));
+}
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export {
+  formatNumber,
+  formatDuration,
+  parseDuration,
+  formatTimestamp,
+  formatTokenAmount,
+  formatApy,
+  truncateText,
+  matchPools,
+  sleep,
+};
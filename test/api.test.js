@@ -0,0 +1,186 @@
+import assert from "node:assert/strict";
+import { writeFile } from "node:fs/promises";
+import { connect } from "node:net";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { createTestConfig } from "./helpers.js";
+import { describePoolStatus, startApiServer } from "../src/api.js";
+import { HISTORY_CONFIG, HOUR_MS, setConfig } from "../src/config.js";
+import { saveAlertState } from "../src/state.js";
+
+const NOW = Date.UTC(2024, 4, 6, 12);
+
+const config = createTestConfig({
+  rpcUrl: "http://127.0.0.1:1",
+  webhookUrl: "http://127.0.0.1:1",
+});
+const [corePool, vaultPool] = config.pools;
+
+// Three hourly samples of both pools, ending at NOW
+const SAMPLES = [3, 2, 1].map((hoursAgo) => ({
+  timestamp: NOW - hoursAgo * HOUR_MS,
+  resolution: "raw",
+  pools: {
+    [corePool.id]: { availableLiquidity: hoursAgo * 1e6, utilization: 0.9 },
+    [vaultPool.id]: { availableLiquidity: 2e7, utilization: 0.5 },
+  },
+}));
+
+describe("status API", () => {
+  let server;
+  let baseUrl;
+  let status = null;
+
+  /**
+   * GET a path from the API
+   * @param {string} path - Path and query
+   * @returns {Promise<{status: number, body: *}>}
+   */
+  const get = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    const isJson = /json/.test(response.headers.get("content-type"));
+    return {
+      status: response.status,
+      body: isJson ? await response.json() : await response.text(),
+    };
+  };
+
+  before(async () => {
+    setConfig(config);
+    server = await startApiServer({
+      getStatus: async () => status,
+      port: 0,
+      host: "127.0.0.1",
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+  beforeEach(async () => {
+    await writeFile(
+      HISTORY_CONFIG.FILE_PATH,
+      SAMPLES.map((sample) => JSON.stringify(sample)).join("\n") + "\n"
+    );
+    await saveAlertState({ pools: {} });
+  });
+
+  test("/api/pools is unavailable until a check completes", async () => {
+    status = null;
+    assert.deepEqual(await get("/api/pools"), {
+      status: 503,
+      body: { error: "No check has completed yet" },
+    });
+  });
+
+  test("/api/pools returns the latest status", async () => {
+    const check = {
+      pool: corePool,
+      provider: "sdk",
+      metrics: { availableLiquidity: 4e6 },
+      hasData: true,
+      dataIssues: [],
+      belowThreshold: true,
+    };
+    status = {
+      timestamp: new Date(NOW).toISOString(),
+      pools: [describePoolStatus(check)],
+      errors: [],
+    };
+
+    const { status: code, body } = await get("/api/pools");
+    assert.equal(code, 200);
+    assert.equal(body.pools[0].id, "usd-coin-core");
+    assert.equal(body.pools[0].threshold, 4_500_000);
+    assert.deepEqual(body.pools[0].metrics, { availableLiquidity: 4e6 });
+  });
+
+  test("/api/history returns one pool's samples in the range", async () => {
+    const from = new Date(NOW - 2 * HOUR_MS).toISOString();
+    const { status: code, body } = await get(
+      `/api/history?pool=usd-coin-core&from=${from}&to=${NOW - HOUR_MS}`
+    );
+
+    assert.equal(code, 200);
+    assert.deepEqual(body, {
+      pool: "usd-coin-core",
+      from: NOW - 2 * HOUR_MS,
+      to: NOW - HOUR_MS,
+      samples: [
+        {
+          timestamp: NOW - 2 * HOUR_MS,
+          resolution: "raw",
+          availableLiquidity: 2e6,
+          utilization: 0.9,
+        },
+        {
+          timestamp: NOW - HOUR_MS,
+          resolution: "raw",
+          availableLiquidity: 1e6,
+          utilization: 0.9,
+        },
+      ],
+    });
+  });
+
+  test("/api/history returns whole samples without a pool", async () => {
+    const { body } = await get(`/api/history?from=0&to=${NOW}`);
+    assert.deepEqual(body.samples, SAMPLES);
+  });
+
+  test("/api/history rejects a bad range", async () => {
+    assert.equal((await get("/api/history?from=yesterday")).status, 400);
+    assert.equal((await get(`/api/history?from=${NOW}&to=0`)).status, 400);
+  });
+
+  test("/api/alerts lists breached conditions first", async () => {
+    await saveAlertState({
+      pools: {
+        "flagship-usdc": { status: "RECOVERED", since: NOW },
+        "usd-coin-core": {
+          status: "BREACHED",
+          since: NOW - HOUR_MS,
+          lastNotifiedAt: NOW - HOUR_MS,
+          severity: "critical",
+        },
+        "usd-coin-core:rule:kink": { status: "OK", since: NOW },
+      },
+    });
+
+    const { body } = await get("/api/alerts");
+    assert.deepEqual(
+      body.alerts.map(({ key, pool, status }) => [key, pool, status]),
+      [
+        ["usd-coin-core", "usd-coin-core", "BREACHED"],
+        ["flagship-usdc", "flagship-usdc", "RECOVERED"],
+      ]
+    );
+    assert.equal(body.alerts[0].severity, "critical");
+  });
+
+  test("serves the dashboard at /", async () => {
+    const { status: code, body } = await get("/");
+    assert.equal(code, 200);
+    assert.match(body, /<title>Moonwell Liquidity<\/title>/);
+  });
+
+  test("answers unknown paths and methods with JSON errors", async () => {
+    assert.equal((await get("/api/nope")).status, 404);
+    const response = await fetch(`${baseUrl}/api/pools`, { method: "POST" });
+    assert.equal(response.status, 405);
+  });
+
+  test("answers a request line that is not a valid URL with 400", async () => {
+    // fetch normalizes paths, so send the request line over a raw socket
+    const reply = await new Promise((resolve, reject) => {
+      const socket = connect(server.address().port, "127.0.0.1", () =>
+        socket.end("GET // HTTP/1.1\r\nHost: localhost\r\n\r\n")
+      );
+      let data = "";
+      socket.on("data", (chunk) => (data += chunk));
+      socket.on("end", () => resolve(data));
+      socket.on("error", reject);
+    });
+
+    assert.match(reply, /^HTTP\/1\.1 400 /);
+    assert.match(reply, /Invalid request URL/);
+    assert.equal((await get("/api/nope")).status, 404);
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { inflateSync } from "node:zlib";
+import "./helpers.js";
+import { buildChartData, renderLiquidityChart } from "../src/charts.js";
+import { CHART_CONFIG, HOUR_MS } from "../src/config.js";
+
+const NOW = Date.UTC(2024, 4, 6, 12);
+const POOL = { id: "usd-coin-core", threshold: 4_500_000 };
+
+/**
+ * Decode the pixels of an RGB PNG written by renderLiquidityChart
+ * @param {Buffer} png - PNG image
+ * @returns {{width: number, height: number, colors: Set<string>}} Size and the colors used
+ */
+function decodePng(png) {
+  const chunks = {};
+  for (let offset = 8; offset < png.length; ) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("ascii", offset + 4, offset + 8);
+    chunks[type] = png.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+  }
+
+  const width = chunks.IHDR.readUInt32BE(0);
+  const height = chunks.IHDR.readUInt32BE(4);
+  const rows = inflateSync(chunks.IDAT);
+  const colors = new Set();
+  for (let row = 0; row < height; row++) {
+    for (let column = 0; column < width; column++) {
+      const at = row * (width * 3 + 1) + 1 + column * 3;
+      colors.add([...rows.subarray(at, at + 3)].join(","));
+    }
+  }
+  return { width, height, colors };
+}
+
+describe("buildChartData", () => {
+  const sample = (hoursAgo, availableLiquidity) => ({
+    timestamp: NOW - hoursAgo * HOUR_MS,
+    pools: { [POOL.id]: { availableLiquidity } },
+  });
+
+  test("charts the last 24 hours and the current check", () => {
+    const chart = buildChartData(
+      {
+        pool: POOL,
+        metrics: { availableLiquidity: 4_200_000 },
+        hasData: true,
+      },
+      [sample(30, 9e6), sample(12, 6e6), sample(1, 5e6)],
+      NOW
+    );
+
+    assert.equal(chart.from, NOW - CHART_CONFIG.WINDOW_MS);
+    assert.equal(chart.threshold, 4_500_000);
+    assert.deepEqual(
+      chart.points.map(([, value]) => value),
+      [6e6, 5e6, 4.2e6]
+    );
+  });
+
+  test("has nothing to chart without samples or data", () => {
+    assert.equal(
+      buildChartData({ pool: POOL, metrics: {}, hasData: false }, [], NOW),
+      null
+    );
+  });
+});
+
+describe("renderLiquidityChart", () => {
+  const chart = {
+    from: NOW - CHART_CONFIG.WINDOW_MS,
+    to: NOW,
+    unit: "usd",
+    threshold: 4_500_000,
+    points: [
+      [NOW - 20 * HOUR_MS, 6e6],
+      [NOW - 10 * HOUR_MS, 5e6],
+      [NOW, 4e6],
+    ],
+  };
+
+  test("renders a PNG of the configured size", () => {
+    const png = renderLiquidityChart(chart);
+    const { width, height } = decodePng(png);
+
+    assert.deepEqual(
+      [...png.subarray(0, 8)],
+      [137, 80, 78, 71, 13, 10, 26, 10]
+    );
+    assert.equal(width, CHART_CONFIG.WIDTH);
+    assert.equal(height, CHART_CONFIG.HEIGHT);
+  });
+
+  test("draws the threshold and liquidity below it in red", () => {
+    const { colors } = decodePng(renderLiquidityChart(chart));
+
+    for (const color of ["THRESHOLD", "LIQUIDITY", "BELOW_THRESHOLD"]) {
+      assert.ok(colors.has(CHART_CONFIG[color].join(",")), color);
+    }
+  });
+
+  test("leaves out the threshold line for pools without one", () => {
+    const { colors } = decodePng(
+      renderLiquidityChart({ ...chart, threshold: null })
+    );
+
+    assert.ok(!colors.has(CHART_CONFIG.THRESHOLD.join(",")));
+    assert.ok(!colors.has(CHART_CONFIG.BELOW_THRESHOLD.join(",")));
+  });
+});
@@ -0,0 +1,275 @@
+import assert from "node:assert/strict";
+import { writeFile } from "node:fs/promises";
+import { beforeEach, describe, test } from "node:test";
+import { discordMessageLength, useMockTracker } from "./helpers.js";
+import { DISCORD_CONFIG, HISTORY_CONFIG, HOUR_MS } from "../src/config.js";
+import {
+  findBreaches,
+  getLastScheduledAt,
+  sendDueDigests,
+  summarizePoolHistory,
+} from "../src/digest.js";
+import { formatPlainText } from "../src/formatting.js";
+import { loadAlertState, saveAlertState } from "../src/state.js";
+
+const POOL = {
+  id: "usd-coin-core",
+  name: "🏦 USD Coin Core",
+  threshold: 4_500_000,
+};
+
+// Monday 6 May 2024, 12:00 UTC
+const NOW = Date.UTC(2024, 4, 6, 12);
+
+/**
+ * History samples for the pool, one per entry, an hour apart and ending an
+ * hour before NOW
+ * @param {Array<Object>} values - Pool values of each sample
+ * @returns {Array<Object>} Samples, oldest first
+ */
+function samplesOf(values) {
+  return values.map((pool, index) => ({
+    timestamp: NOW - (values.length - index) * HOUR_MS,
+    resolution: pool.samples ? "hourly" : "raw",
+    pools: { [POOL.id]: pool },
+  }));
+}
+
+/**
+ * Raw sample values with the given available liquidity
+ * @param {number} availableLiquidity - Available liquidity in USD
+ * @param {Object} [extra] - Other values
+ * @returns {Object}
+ */
+function liquidity(availableLiquidity, extra = {}) {
+  return {
+    availableLiquidity,
+    availableLiquidityTokens: availableLiquidity,
+    utilization: 0.8,
+    apy: 5,
+    ...extra,
+  };
+}
+
+describe("summarizePoolHistory", () => {
+  test("reports the liquidity range, APY range and utilization trend", () => {
+    const summary = summarizePoolHistory(
+      POOL,
+      samplesOf([
+        liquidity(6_000_000, { utilization: 0.7, apy: 4.5 }),
+        liquidity(5_000_000, { utilization: 0.75, apy: 5.5 }),
+        liquidity(7_000_000, { utilization: 0.9, apy: 5 }),
+      ]),
+      NOW
+    );
+
+    assert.equal(summary.samples, 3);
+    assert.deepEqual(summary.liquidity, {
+      min: 5_000_000,
+      max: 7_000_000,
+      average: 6_000_000,
+    });
+    assert.deepEqual(summary.apy, { min: 4.5, max: 5.5 });
+    assert.equal(summary.utilization.first, 0.7);
+    assert.equal(summary.utilization.last, 0.9);
+    assert.deepEqual(summary.breaches, []);
+  });
+
+  test("weighs hourly aggregates by the samples they replaced", () => {
+    const summary = summarizePoolHistory(
+      POOL,
+      samplesOf([
+        liquidity(5_000_000, {
+          samples: 3,
+          minAvailableLiquidity: 4_000_000,
+          maxAvailableLiquidity: 6_000_000,
+        }),
+        liquidity(9_000_000),
+      ]),
+      NOW
+    );
+
+    assert.equal(summary.samples, 4);
+    assert.equal(summary.liquidity.min, 4_000_000);
+    assert.equal(summary.liquidity.max, 9_000_000);
+    assert.equal(summary.liquidity.average, 6_000_000);
+    // The hour dipped below the threshold, so it counts as a breach
+    assert.equal(summary.breaches.length, 1);
+  });
+
+  test("has nothing to summarize without samples", () => {
+    assert.deepEqual(summarizePoolHistory(POOL, [], NOW), {
+      pool: POOL,
+      samples: 0,
+    });
+  });
+});
+
+describe("findBreaches", () => {
+  /**
+   * Points for findBreaches, an hour apart
+   * @param {Array<number>} values - Available liquidity of each point
+   * @returns {Array<Object>}
+   */
+  const points = (values) =>
+    samplesOf(values.map((value) => liquidity(value))).map((sample) => ({
+      timestamp: sample.timestamp,
+      ...sample.pools[POOL.id],
+    }));
+
+  test("measures each breach until liquidity recovers", () => {
+    const breaches = findBreaches(
+      POOL,
+      points([5e6, 4e6, 4e6, 5e6, 3e6, 5e6, 4e6]),
+      NOW
+    );
+
+    assert.deepEqual(
+      breaches.map(({ durationMs, ongoing }) => [
+        durationMs / HOUR_MS,
+        ongoing,
+      ]),
+      [
+        [2, false],
+        [1, false],
+        [1, true],
+      ]
+    );
+  });
+
+  test("compares token thresholds with token amounts", () => {
+    const pool = { ...POOL, threshold: 20_000, thresholdUnit: "token" };
+    const breaches = findBreaches(
+      pool,
+      [
+        {
+          timestamp: NOW,
+          availableLiquidity: 4e7,
+          availableLiquidityTokens: 1.6e4,
+        },
+      ],
+      NOW
+    );
+    assert.equal(breaches.length, 1);
+  });
+
+  test("is null for a pool without a threshold", () => {
+    assert.equal(findBreaches({ ...POOL, threshold: null }, [], NOW), null);
+  });
+});
+
+describe("getLastScheduledAt", () => {
+  test("is today's hour once it has passed, yesterday's before", () => {
+    assert.equal(
+      getLastScheduledAt("daily", { hourUtc: 9 }, NOW),
+      Date.UTC(2024, 4, 6, 9)
+    );
+    assert.equal(
+      getLastScheduledAt("daily", { hourUtc: 15 }, NOW),
+      Date.UTC(2024, 4, 5, 15)
+    );
+  });
+
+  test("goes back to the configured weekday", () => {
+    assert.equal(
+      getLastScheduledAt("weekly", { weekday: "friday", hourUtc: 9 }, NOW),
+      Date.UTC(2024, 4, 3, 9)
+    );
+    assert.equal(
+      getLastScheduledAt("weekly", { weekday: "monday", hourUtc: 15 }, NOW),
+      Date.UTC(2024, 3, 29, 15)
+    );
+  });
+});
+
+describe("sendDueDigests", () => {
+  const tracker = useMockTracker({ digest: { daily: { hourUtc: 9 } } });
+  const checks = [{ pool: POOL }];
+
+  beforeEach(async () => {
+    await writeFile(
+      HISTORY_CONFIG.FILE_PATH,
+      samplesOf([liquidity(5e6), liquidity(4e6), liquidity(6e6)])
+        .map((sample) => JSON.stringify(sample))
+        .join("\n") + "\n"
+    );
+  });
+
+  test("starts the schedule on the first run without sending", async () => {
+    assert.deepEqual(await sendDueDigests(checks, { now: NOW }), []);
+    assert.equal(tracker.webhook.messages.length, 0);
+    assert.deepEqual((await loadAlertState()).digests, { daily: NOW });
+  });
+
+  test("sends once the scheduled time has passed", async () => {
+    const yesterday = NOW - 24 * HOUR_MS;
+    await saveAlertState({ pools: {}, digests: { daily: yesterday } });
+
+    const [digest] = await sendDueDigests(checks, { now: NOW });
+    await sendDueDigests(checks, { now: NOW + HOUR_MS });
+
+    assert.equal(tracker.webhook.messages.length, 1);
+    const [embed] = tracker.webhook.messages[0].embeds;
+    assert.equal(embed.title, "🗓️ Moonwell Daily Digest");
+    assert.equal(embed.color, DISCORD_CONFIG.DIGEST_COLOR);
+    assert.match(
+      embed.fields[0].value,
+      /\*\*Available Liquidity:\*\* \$4,000,000\.00 – \$6,000,000\.00 \(avg \$5,000,000\.00\)/
+    );
+    assert.match(embed.fields[0].value, /\*\*Breaches:\*\* 1, 1h 0m in total/);
+    // The pool breached, so its chart goes with the digest
+    assert.equal(embed.image.url, "attachment://liquidity-usd-coin-core.png");
+    assert.equal(tracker.webhook.files.length, 1);
+    assert.match(
+      formatPlainText(digest),
+      /Below threshold from 2024-05-06 10:00 UTC for 1h 0m/
+    );
+  });
+
+  test("fits a digest of every discovered pool in one Discord message", async () => {
+    const pools = Array.from({ length: 30 }, (_, index) => ({
+      ...POOL,
+      id: `pool-${index}`,
+      name: `🏛️ Moonwell Ethereum Vault ${index} on Optimism`,
+    }));
+    await writeFile(
+      HISTORY_CONFIG.FILE_PATH,
+      [5e6, 4e6, 6e6]
+        .map((value, index) =>
+          JSON.stringify({
+            timestamp: NOW - (3 - index) * HOUR_MS,
+            resolution: "raw",
+            pools: Object.fromEntries(
+              pools.map(({ id }) => [id, liquidity(value)])
+            ),
+          })
+        )
+        .join("\n") + "\n"
+    );
+    await saveAlertState({ pools: {}, digests: { daily: 0 } });
+
+    await sendDueDigests(
+      pools.map((pool) => ({ pool })),
+      { now: NOW }
+    );
+
+    const [message] = tracker.webhook.messages;
+    const [embed] = message.embeds;
+    assert.ok(discordMessageLength(message) <= 6000);
+    assert.equal(embed.fields[0].name, pools[0].name);
+    assert.match(
+      embed.description,
+      new RegExp(`…and ${30 - embed.fields.length} more pools$`)
+    );
+  });
+
+  test("dry runs record nothing", async () => {
+    await saveAlertState({ pools: {}, digests: { daily: 0 } });
+
+    const digests = await sendDueDigests(checks, { dryRun: true, now: NOW });
+
+    assert.equal(digests.length, 1);
+    assert.equal(tracker.webhook.messages.length, 0);
+    assert.deepEqual((await loadAlertState()).digests, { daily: 0 });
+  });
+});
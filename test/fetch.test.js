@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import {
+  createTestConfig,
+  loadFixture,
+  startMockRpc,
+  startMockWebhook,
+  useRecordedSdk,
+} from "./helpers.js";
+import { processAndAlert } from "../src/alerts.js";
+import { setConfig, validateConfig } from "../src/config.js";
+import { fetchMoonwellData } from "../src/fetch.js";
+import { saveAlertState } from "../src/state.js";
+
+const sdk = loadFixture("sdk-base.json");
+
+describe("fetchMoonwellData with recorded SDK responses", () => {
+  let rpc;
+  let webhook;
+  let config;
+
+  /**
+   * Fetch every configured pool, as a check run does
+   * @returns {Promise<{results: Array, errors: Array}>}
+   */
+  const fetchAll = () =>
+    fetchMoonwellData(config, { deadline: Date.now() + 30_000 });
+
+  before(async () => {
+    rpc = await startMockRpc();
+    webhook = await startMockWebhook();
+    config = createTestConfig({ rpcUrl: rpc.url, webhookUrl: webhook.url });
+    assert.deepEqual(validateConfig(config), []);
+    setConfig(config);
+  });
+  after(async () => {
+    await rpc.close();
+    await webhook.close();
+  });
+  beforeEach(async () => {
+    webhook.messages.length = 0;
+    await saveAlertState({ pools: {} });
+  });
+
+  test("finds every configured pool", async () => {
+    const calls = useRecordedSdk(sdk);
+    const { results, errors } = await fetchAll();
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      results.map(({ pool, data, provider }) => [
+        pool.id,
+        Boolean(data),
+        provider,
+      ]),
+      [
+        ["usd-coin-core", true, "sdk"],
+        ["flagship-usdc", true, "sdk"],
+      ]
+    );
+    assert.equal(results[0].endpoint, new URL(rpc.url).host);
+    assert.ok(calls.every(({ args }) => args.chainId === 8453));
+  });
+
+  test("adds Morpho market utilization to the vault", async () => {
+    useRecordedSdk(sdk);
+    const { results } = await fetchAll();
+
+    assert.deepEqual(
+      results[1].data.markets.map((market) => market.marketUtilization),
+      [0, 0.95, 0.9]
+    );
+  });
+
+  test("still reports the vault when market utilization fails", async () => {
+    useRecordedSdk(sdk, {
+      getMorphoMarkets: () => {
+        throw new Error("GraphQL error: internal");
+      },
+    });
+    const { results, errors } = await fetchAll();
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      results[1].data.markets.map((market) => market.marketUtilization),
+      [null, null, null]
+    );
+  });
+
+  test("alerts on the pools it has data for when one source fails", async () => {
+    useRecordedSdk(sdk, { getMorphoVaults: () => null });
+    const data = await fetchAll();
+
+    assert.equal(data.results[0].data !== null, true);
+    assert.equal(data.results[1].data, null);
+    assert.equal(data.errors.length, 1);
+    assert.equal(data.errors[0].source, "Vaults on base");
+    assert.equal(data.errors[0].attempts[0].errorClass, "schema");
+
+    const { checks, transitions } = await processAndAlert(data);
+    assert.deepEqual(
+      checks.map(({ hasData }) => hasData),
+      [true, false]
+    );
+    assert.deepEqual(
+      transitions.map(({ type, condition }) => [type, condition.key]),
+      [["breach", "usd-coin-core"]]
+    );
+
+    // A liquidity alert for the core market, not a data fetch warning
+    assert.equal(webhook.messages.length, 1);
+    const [embed] = webhook.messages[0].embeds;
+    assert.equal(embed.title, "⚠️ Moonwell Liquidity Warning");
+    assert.deepEqual(
+      embed.fields.map((field) => field.name),
+      ["🏦 USD Coin Core"]
+    );
+  });
+
+  test("sends a data fetch warning when nothing could be fetched", async () => {
+    useRecordedSdk(sdk, {
+      getMarkets: () => [],
+      getMorphoVaults: () => {
+        throw new TypeError("Cannot read properties of undefined");
+      },
+    });
+    const data = await fetchAll();
+
+    assert.deepEqual(
+      data.errors.map(({ source }) => source),
+      ["Markets on base", "Vaults on base"]
+    );
+
+    const { transitions } = await processAndAlert(data);
+    assert.deepEqual(transitions, []);
+    assert.equal(webhook.messages.length, 1);
+    assert.equal(
+      webhook.messages[0].embeds[0].title,
+      "⚠️ Moonwell Data Fetch Warning"
+    );
+  });
+});
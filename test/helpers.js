@@ -0,0 +1,292 @@
+import "./setup.js";
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { after, before, beforeEach } from "node:test";
+import { processAndAlert } from "../src/alerts.js";
+import { setMoonwellClientFactory } from "../src/client.js";
+import { setConfig } from "../src/config.js";
+import { fetchMoonwellData } from "../src/fetch.js";
+import { saveAlertState } from "../src/state.js";
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+/**
+ * Read a JSON fixture from test/fixtures
+ * @param {string} name - File name
+ * @returns {Object}
+ */
+function loadFixture(name) {
+  return JSON.parse(
+    readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8")
+  );
+}
+
+/**
+ * Serve SDK calls from a recorded fixture instead of the network. An
+ * override replaces one method, e.g. to make it fail.
+ * @param {Object} fixture - Recorded responses by SDK method name
+ * @param {Object<string, Function>} [overrides] - Replacement methods
+ * @returns {Array<{method: string, args: Object}>} Calls made, in order
+ */
+function useRecordedSdk(fixture, overrides = {}) {
+  const calls = [];
+  const method = (name) => async (args) => {
+    calls.push({ method: name, args });
+    if (overrides[name]) return overrides[name](args);
+    if (args.chainId !== fixture.chainId) return [];
+    return structuredClone(fixture[name]);
+  };
+
+  setMoonwellClientFactory(() => ({
+    getMarkets: method("getMarkets"),
+    getMorphoVaults: method("getMorphoVaults"),
+    getMorphoMarkets: method("getMorphoMarkets"),
+  }));
+  return calls;
+}
+
+/**
+ * Tracker config watching the USDC core market and the Flagship vault on
+ * Base through the SDK only, alerting to one Discord webhook
+ * @param {{rpcUrl: string, webhookUrl: string}} urls - Mock server URLs
+ * @param {Object} [overrides] - Top-level config fields to replace
+ * @returns {Object} Config
+ */
+function createTestConfig({ rpcUrl, webhookUrl }, overrides = {}) {
+  return {
+    chains: {
+      base: {
+        rpcUrls: [rpcUrl],
+        comptroller: "0xfBb21d0380beE3312B33c4353c8936a0F13EF26C",
+        morphoBlue: "0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb",
+      },
+    },
+    pools: [
+      {
+        id: "usd-coin-core",
+        name: "🏦 USD Coin Core",
+        type: "core-market",
+        chain: "base",
+        symbol: "USDC",
+        threshold: 4500000,
+      },
+      {
+        id: "flagship-usdc",
+        name: "🏛️ Moonwell Flagship USDC",
+        type: "morpho-vault",
+        chain: "base",
+        address: "0xc1256Ae5FF1cf2719D4937adb3bbCCab2E00A2Ca",
+        threshold: 15000000,
+      },
+    ],
+    channels: [{ id: "discord", type: "discord", webhookUrl }],
+    dataSources: {
+      providers: ["sdk"],
+      crossCheck: { enabled: false, tolerancePercent: 5 },
+      sanity: {
+        enabled: true,
+        maxApyPercent: 1000,
+        maxJumpPercent: 90,
+        jumpWindowMinutes: 30,
+      },
+    },
+    ...overrides,
+  };
+}
+
+/**
+ * Characters of a Discord webhook body that count against the message
+ * length limit: embed titles, descriptions, field names and values, and
+ * footers
+ * @param {Object} message - Discord webhook body
+ * @returns {number}
+ */
+function discordMessageLength(message) {
+  return message.embeds
+    .flatMap((embed) => [
+      embed.title,
+      embed.description,
+      embed.footer?.text,
+      ...(embed.fields || []).flatMap(({ name, value }) => [name, value]),
+    ])
+    .reduce((total, text) => total + (text?.length || 0), 0);
+}
+
+// ============================================================================
+// Mock Servers
+// ============================================================================
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {function(Object, Object): void} handler - Receives the request (with its parsed JSON `body`, and the uploaded `files` of a multipart request) and the response
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+async function startServer(handler) {
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      const body = Buffer.concat(chunks);
+      req.files = [];
+
+      // Discord messages with attachments: the JSON is in `payload_json`
+      if (/^multipart\/form-data/.test(req.headers["content-type"])) {
+        const form = await new Response(body, {
+          headers: { "Content-Type": req.headers["content-type"] },
+        }).formData();
+        req.body = JSON.parse(form.get("payload_json"));
+        for (const [field, file] of form) {
+          if (field === "payload_json") continue;
+          req.files.push({
+            field,
+            name: file.name,
+            type: file.type,
+            data: Buffer.from(await file.arrayBuffer()),
+          });
+        }
+      } else {
+        req.body = body.length > 0 ? JSON.parse(body) : null;
+      }
+
+      handler(req, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Stand-in for a Discord webhook that records every message posted to it,
+ * and every file uploaded with them
+ * @returns {Promise<{url: string, messages: Array, files: Array, respondWith: function(number): void, close: function(): Promise<void>}>}
+ */
+async function startMockWebhook() {
+  const messages = [];
+  const files = [];
+  let status = 204;
+
+  const server = await startServer((req, res) => {
+    messages.push(req.body);
+    files.push(...req.files);
+    res.writeHead(status);
+    res.end();
+  });
+
+  return {
+    ...server,
+    url: `${server.url}/webhook`,
+    messages,
+    files,
+    respondWith: (next) => (status = next),
+  };
+}
+
+/**
+ * Stand-in for the PagerDuty Events API v2 that records every event and
+ * keeps the open incidents, by dedup key
+ * @returns {Promise<{url: string, events: Array, incidents: Map, close: function(): Promise<void>}>}
+ */
+async function startMockEventsApi() {
+  const events = [];
+  const incidents = new Map();
+
+  const server = await startServer((req, res) => {
+    const event = req.body;
+    events.push(event);
+    if (event.event_action === "trigger") {
+      incidents.set(event.dedup_key, event.payload);
+    } else {
+      incidents.delete(event.dedup_key);
+    }
+    res.writeHead(202, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ status: "success", dedup_key: event.dedup_key }));
+  });
+
+  return { ...server, url: `${server.url}/v2/enqueue`, events, incidents };
+}
+
+/**
+ * Stand-in for a JSON-RPC node that only answers the tracker's endpoint
+ * health probe, for tests where the SDK serves the data
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+async function startMockRpc() {
+  return startServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        jsonrpc: "2.0",
+        id: req.body.id,
+        result: {
+          number: "0x1f4add0",
+          timestamp: `0x${Math.floor(Date.now() / 1000).toString(16)}`,
+        },
+      })
+    );
+  });
+}
+
+// ============================================================================
+// Tracker Harness
+// ============================================================================
+
+/**
+ * Run the tracker against mock servers in the calling suite: its hooks
+ * start a mock JSON-RPC node and webhook, point a test config at them,
+ * replay the recorded SDK responses, and give every test an empty alert
+ * state and webhook. The returned object is filled in once `before` ran.
+ * @param {Object} [overrides] - Top-level config fields to replace
+ * @returns {{rpc: Object, webhook: Object, config: Object, fetchPools: function(Object=): Promise<Object>, runCheck: function(Object=): Promise<Object>}}
+ */
+function useMockTracker(overrides = {}) {
+  const tracker = {
+    // Fetch the pools as a check run does
+    fetchPools: (current = tracker.config) =>
+      fetchMoonwellData(current, { deadline: Date.now() + 30_000 }),
+    // Fetch the pools and alert on them with a config, as a check run does
+    runCheck: async (current = tracker.config) => {
+      setConfig(current);
+      return processAndAlert(await tracker.fetchPools(current));
+    },
+  };
+
+  before(async () => {
+    tracker.rpc = await startMockRpc();
+    tracker.webhook = await startMockWebhook();
+    tracker.config = createTestConfig(
+      { rpcUrl: tracker.rpc.url, webhookUrl: tracker.webhook.url },
+      overrides
+    );
+    setConfig(tracker.config);
+    useRecordedSdk(loadFixture("sdk-base.json"));
+  });
+  after(async () => {
+    await tracker.rpc.close();
+    await tracker.webhook.close();
+  });
+  beforeEach(async () => {
+    tracker.webhook.messages.length = 0;
+    tracker.webhook.files.length = 0;
+    tracker.webhook.respondWith(204);
+    await saveAlertState({ pools: {} });
+  });
+
+  return tracker;
+}
+
+export {
+  loadFixture,
+  useRecordedSdk,
+  createTestConfig,
+  discordMessageLength,
+  startMockWebhook,
+  startMockEventsApi,
+  startMockRpc,
+  useMockTracker,
+};
@@ -0,0 +1,235 @@
+import assert from "node:assert/strict";
+import { generateKeyPairSync, sign } from "node:crypto";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { useMockTracker } from "./helpers.js";
+import { checkAlertThresholds } from "../src/alerts.js";
+import { describePoolStatus, startApiServer } from "../src/api.js";
+import { loadMutes, mutePool, unmutePool } from "../src/mutes.js";
+
+// The application's key pair; Discord signs with the private key
+const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+const PUBLIC_KEY_HEX = publicKey
+  .export({ format: "der", type: "spki" })
+  .subarray(-32)
+  .toString("hex");
+
+describe("Discord interactions", () => {
+  const tracker = useMockTracker();
+  let server;
+  let endpoint;
+  let status;
+
+  /**
+   * POST an interaction to the endpoint, signed like Discord signs it
+   * @param {Object} interaction - Interaction payload
+   * @param {{signature?: string, sentAt?: number}} [options] - Signature to send instead; when the request was signed, in milliseconds
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  const post = async (interaction, { signature, sentAt = Date.now() } = {}) => {
+    const body = JSON.stringify(interaction);
+    const timestamp = String(Math.floor(sentAt / 1000));
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Signature-Ed25519":
+          signature ??
+          sign(null, Buffer.from(timestamp + body), privateKey).toString("hex"),
+        "X-Signature-Timestamp": timestamp,
+      },
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Run a slash command
+   * @param {string} name - Command name
+   * @param {Object} [options] - Option values by name
+   * @returns {Promise<Object>} Interaction response
+   */
+  const command = async (name, options = {}) => {
+    const { body } = await post({
+      type: 2,
+      application_id: "1",
+      token: "token",
+      member: { user: { id: "42", username: "alice" } },
+      data: {
+        name,
+        options: Object.entries(options).map(([key, value]) => ({
+          name: key,
+          value,
+        })),
+      },
+    });
+    return body;
+  };
+
+  before(async () => {
+    const checks = checkAlertThresholds((await tracker.fetchPools()).results, {
+      quiet: true,
+    });
+    status = {
+      timestamp: new Date().toISOString(),
+      pools: checks.map(describePoolStatus),
+      errors: [],
+    };
+    server = await startApiServer({
+      getStatus: async () => status,
+      port: 0,
+      host: "127.0.0.1",
+      publicKey: PUBLIC_KEY_HEX,
+    });
+    endpoint = `http://127.0.0.1:${server.address().port}/discord/interactions`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+  beforeEach(() => unmutePool("usd-coin-core"));
+
+  test("rejects requests that are not signed by Discord", async () => {
+    const { status: code } = await post(
+      { type: 1 },
+      { signature: "00".repeat(64) }
+    );
+    assert.equal(code, 401);
+  });
+
+  test("rejects a signed request replayed later", async () => {
+    const { status: code } = await post(
+      { type: 1 },
+      { sentAt: Date.now() - 10 * 60 * 1000 }
+    );
+    assert.equal(code, 401);
+  });
+
+  test("answers a body over 64 KB with 413 and closes the connection", async () => {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type: 1, padding: "x".repeat(100_000) }),
+    });
+
+    assert.equal(response.status, 413);
+    assert.equal(response.headers.get("connection"), "close");
+    assert.deepEqual(await response.json(), { error: "Body too large" });
+    assert.equal((await post({ type: 1 })).status, 200);
+  });
+
+  test("answers Discord's ping", async () => {
+    assert.deepEqual(await post({ type: 1 }), {
+      status: 200,
+      body: { type: 1 },
+    });
+  });
+
+  test("/liquidity shows a pool as a report embed", async () => {
+    const { type, data } = await command("liquidity", { pool: "usd-coin" });
+
+    assert.equal(type, 4);
+    assert.deepEqual(data.allowed_mentions, { parse: [] });
+    const [embed] = data.embeds;
+    assert.equal(embed.title, "📊 Moonwell Liquidity");
+    assert.equal(embed.fields.length, 1);
+    assert.equal(embed.fields[0].name, "🏦 USD Coin Core");
+    assert.match(
+      embed.fields[0].value,
+      /\*\*Available Liquidity:\*\* \$4,200,000\.00/
+    );
+    assert.match(
+      embed.fields[0].value,
+      /⚠️ Below the \$4,500,000\.00 threshold/
+    );
+  });
+
+  test("/liquidity tells only the caller about an unknown pool", async () => {
+    const { data } = await command("liquidity", { pool: "dogecoin" });
+    assert.deepEqual(data, {
+      content: 'No pool matches "dogecoin"',
+      flags: 64,
+      allowed_mentions: { parse: [] },
+    });
+  });
+
+  test("/thresholds lists each pool's threshold", async () => {
+    const { data } = await command("thresholds");
+    const [embed] = data.embeds;
+
+    assert.equal(embed.title, "📏 Moonwell Alert Thresholds");
+    assert.deepEqual(
+      embed.fields.map(({ name }) => name),
+      ["🏦 USD Coin Core", "🏛️ Moonwell Flagship USDC"]
+    );
+    assert.match(embed.fields[0].value, /\*\*Warning:\*\* \$4,500,000\.00/);
+  });
+
+  test("/simulate shows what a withdrawal would do", async () => {
+    const { data } = await command("simulate", {
+      amount: 5_000_000,
+      pool: "usd-coin-core",
+    });
+    const [embed] = data.embeds;
+
+    assert.equal(embed.title, "💸 Withdrawing $5,000,000.00");
+    assert.match(
+      embed.fields[0].value,
+      /\*\*Withdrawable:\*\* ❌ Only \$4,200,000\.00/
+    );
+  });
+
+  test("/mute holds back a pool's alerts until it is lifted", async () => {
+    const { data } = await command("mute", {
+      pool: "usd-coin",
+      duration: "2h",
+    });
+    assert.match(data.content, /🔇 🏦 USD Coin Core alerts muted for 2h 0m/);
+    assert.equal((await loadMutes())["usd-coin-core"].by, "alice");
+
+    // The breach is recorded but not sent
+    const { transitions, alerts } = await tracker.runCheck();
+    assert.deepEqual(
+      transitions.map(({ condition }) => condition.key),
+      ["usd-coin-core"]
+    );
+    assert.deepEqual(alerts, []);
+    assert.equal(tracker.webhook.messages.length, 0);
+
+    const off = await command("mute", { pool: "usd-coin", duration: "off" });
+    assert.equal(off.data.content, "🔔 🏦 USD Coin Core alerts are back on");
+    assert.deepEqual(await loadMutes(), {});
+  });
+
+  test("/mute rejects a duration it cannot read", async () => {
+    const { data } = await command("mute", {
+      pool: "usd-coin-core",
+      duration: "a while",
+    });
+    assert.equal(data.flags, 64);
+    assert.deepEqual(await loadMutes(), {});
+  });
+
+  test("expired mutes are ignored", async () => {
+    const now = Date.now();
+    await mutePool("usd-coin-core", now - 1, "alice", now - 60_000);
+    assert.deepEqual(await loadMutes(now), {});
+  });
+
+  test("suggests pools while an option is typed", async () => {
+    const { body } = await post({
+      type: 4,
+      data: {
+        name: "liquidity",
+        options: [{ name: "pool", value: "flag", focused: true }],
+      },
+    });
+    assert.deepEqual(body, {
+      type: 8,
+      data: {
+        choices: [
+          {
+            name: "🏛️ Moonwell Flagship USDC (flagship-usdc)",
+            value: "flagship-usdc",
+          },
+        ],
+      },
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { loadFixture } from "./helpers.js";
+import {
+  calculateMarketMetrics,
+  calculateVaultMetrics,
+  emptyMetrics,
+} from "../src/metrics.js";
+import { simulateWithdrawal } from "../src/simulation.js";
+
+const sdk = loadFixture("sdk-base.json");
+const [usdcMarket, wethMarket] = sdk.getMarkets;
+const [flagship] = sdk.getMorphoVaults;
+
+/**
+ * Build a vault allocating to the given markets, with USD and token amounts
+ * equal (a $1 underlying)
+ * @param {number} totalLiquidity - Vault deposits
+ * @param {Array<{supplied: number, liquidity: number, allocation?: number, apy?: number, utilization?: number, queueIndex?: number}>} markets - Allocated markets
+ * @returns {Object} Vault in the SDK's shape
+ */
+function vaultWith(totalLiquidity, markets) {
+  return {
+    underlyingToken: { symbol: "USDC" },
+    totalLiquidity: { value: totalLiquidity },
+    totalLiquidityUsd: totalLiquidity,
+    markets: markets.map((market, index) => ({
+      marketId: `0x${index}`,
+      allocation: market.allocation ?? 0,
+      marketApy: market.apy ?? 0,
+      totalSupplied: { value: market.supplied },
+      totalSuppliedUsd: market.supplied,
+      marketLiquidity: { value: market.liquidity },
+      marketLiquidityUsd: market.liquidity,
+      marketUtilization: market.utilization,
+      withdrawQueueIndex: market.queueIndex,
+    })),
+  };
+}
+
+describe("calculateVaultMetrics", () => {
+  test("sums idle cash and what each market can give back", () => {
+    const metrics = calculateVaultMetrics(flagship);
+
+    assert.equal(metrics.totalSupply, 32_000_000);
+    assert.equal(metrics.availableLiquidity, 17_000_000);
+    assert.equal(metrics.availableLiquidityTokens, 17_000_000);
+    assert.equal(metrics.utilization, 1 - 17 / 32);
+    assert.equal(metrics.tokenSymbol, "USDC");
+    assert.deepEqual(
+      metrics.markets.map((market) => [
+        market.collateralSymbol,
+        market.withdrawable,
+      ]),
+      [
+        [null, 2_000_000],
+        ["cbBTC", 10_000_000],
+        ["wstETH", 5_000_000],
+      ]
+    );
+  });
+
+  test("weights the APY by allocation", () => {
+    const metrics = calculateVaultMetrics(flagship);
+    assert.ok(Math.abs(metrics.apy - (0.5625 * 7.6 + 0.375 * 6.16)) < 1e-9);
+  });
+
+  test("caps a market at the vault's position in it", () => {
+    const metrics = calculateVaultMetrics(
+      vaultWith(10_000_000, [{ supplied: 4_000_000, liquidity: 50_000_000 }])
+    );
+
+    assert.equal(metrics.markets[0].withdrawable, 4_000_000);
+    assert.equal(metrics.markets[0].withdrawableShare, 1);
+    // $6M idle plus the whole $4M position
+    assert.equal(metrics.availableLiquidity, 10_000_000);
+    assert.equal(metrics.utilization, 0);
+  });
+
+  test("never reports more than the vault holds", () => {
+    // Markets report more supplied than the vault's total (stale data)
+    const metrics = calculateVaultMetrics(
+      vaultWith(5_000_000, [
+        { supplied: 4_000_000, liquidity: 4_000_000 },
+        { supplied: 3_000_000, liquidity: 3_000_000 },
+      ])
+    );
+
+    assert.equal(metrics.availableLiquidity, 5_000_000);
+    assert.equal(metrics.utilization, 0);
+  });
+
+  test("treats a fully borrowed market as locked", () => {
+    const metrics = calculateVaultMetrics(
+      vaultWith(8_000_000, [
+        { supplied: 6_000_000, liquidity: 0, allocation: 0.75 },
+        { supplied: 2_000_000, liquidity: 2_000_000, allocation: 0.25 },
+      ])
+    );
+
+    assert.equal(metrics.markets[0].withdrawableShare, 0);
+    assert.equal(metrics.availableLiquidity, 2_000_000);
+    assert.equal(metrics.utilization, 0.75);
+  });
+
+  test("falls back to the vault APY without markets", () => {
+    const metrics = calculateVaultMetrics({
+      ...vaultWith(3_000_000, []),
+      totalApy: 4.2,
+    });
+
+    assert.equal(metrics.apy, 4.2);
+    assert.equal(metrics.availableLiquidity, 3_000_000);
+    assert.deepEqual(metrics.markets, []);
+  });
+
+  test("reports zeros rather than NaN for an empty vault", () => {
+    const metrics = calculateVaultMetrics({ markets: [{}] });
+
+    assert.equal(metrics.totalSupply, 0);
+    assert.equal(metrics.availableLiquidity, 0);
+    assert.equal(metrics.utilization, 0);
+    assert.equal(metrics.apy, 0);
+    assert.equal(metrics.markets[0].withdrawableShare, 1);
+    assert.equal(metrics.markets[0].utilization, null);
+  });
+
+  test("returns empty metrics without data", () => {
+    assert.deepEqual(calculateVaultMetrics(null), emptyMetrics());
+  });
+});
+
+describe("simulateWithdrawal", () => {
+  const VAULT_POOL = { id: "flagship-usdc", type: "morpho-vault" };
+
+  test("withdraws in the vault's withdraw queue order", () => {
+    const metrics = calculateVaultMetrics(
+      vaultWith(6_000_000, [
+        { supplied: 3_000_000, liquidity: 3_000_000, queueIndex: 1 },
+        { supplied: 3_000_000, liquidity: 3_000_000, queueIndex: 0 },
+      ])
+    );
+    const simulation = simulateWithdrawal(VAULT_POOL, metrics, 4_000_000);
+
+    assert.equal(simulation.withdrawOrder, "queue");
+    assert.deepEqual(
+      simulation.steps.map(({ marketId, pulled }) => [marketId, pulled]),
+      [
+        ["0x1", 3_000_000],
+        ["0x0", 1_000_000],
+      ]
+    );
+  });
+
+  test("says so when the withdraw queue is unknown", () => {
+    const metrics = calculateVaultMetrics(flagship);
+    const simulation = simulateWithdrawal(VAULT_POOL, metrics, 1_000_000);
+
+    assert.equal(simulation.withdrawOrder, "unknown");
+    assert.equal(simulation.steps[0].marketId, metrics.markets[0].marketId);
+  });
+
+  test("keeps a fully utilized market's utilization finite", () => {
+    // Stale data: liquidity left in a market reported as fully borrowed
+    const metrics = calculateVaultMetrics(
+      vaultWith(2_000_000, [
+        { supplied: 2_000_000, liquidity: 1_000_000, utilization: 1 },
+      ])
+    );
+    const [step] = simulateWithdrawal(VAULT_POOL, metrics, 500_000).steps;
+
+    assert.equal(step.pulled, 500_000);
+    assert.equal(step.utilizationAfter, 1);
+  });
+});
+
+describe("calculateMarketMetrics", () => {
+  test("values cash at the oracle price", () => {
+    const metrics = calculateMarketMetrics(wethMarket);
+
+    assert.equal(metrics.availableLiquidity, 40_000_000);
+    assert.equal(metrics.availableLiquidityTokens, 16_000);
+    assert.equal(metrics.utilization, 0.6);
+    assert.equal(metrics.tokenSymbol, "WETH");
+  });
+
+  test("falls back to the price implied by supply", () => {
+    const metrics = calculateMarketMetrics({
+      ...wethMarket,
+      underlyingPrice: undefined,
+    });
+    assert.equal(metrics.availableLiquidity, 40_000_000);
+  });
+
+  test("reads the USDC market", () => {
+    const metrics = calculateMarketMetrics(usdcMarket);
+
+    assert.equal(metrics.availableLiquidity, 4_200_000);
+    assert.equal(metrics.apy, 5);
+  });
+
+  test("returns empty metrics without data", () => {
+    assert.deepEqual(calculateMarketMetrics(null), emptyMetrics());
+  });
+});
@@ -0,0 +1,389 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import {
+  createTestConfig,
+  discordMessageLength,
+  loadFixture,
+  startMockRpc,
+  startMockWebhook,
+  useRecordedSdk,
+} from "./helpers.js";
+import { processAndAlert } from "../src/alerts.js";
+import { previewNotification, sendNotification } from "../src/channels.js";
+import {
+  formatDiscordMessage,
+  formatTelegramMessage,
+} from "../src/formatting.js";
+import { DISCORD_CONFIG, setConfig } from "../src/config.js";
+import { fetchMoonwellData } from "../src/fetch.js";
+import { createAlertMessage, createErrorAlert } from "../src/messages.js";
+import { loadAlertState, saveAlertState } from "../src/state.js";
+
+const sdk = loadFixture("sdk-base.json");
+
+describe("notifications", () => {
+  let rpc;
+  let webhook;
+  let config;
+
+  /**
+   * Fetch the pools and alert on them, as a check run does
+   * @param {Object} [current] - Config to run with
+   * @returns {Promise<Object>} Result of processAndAlert
+   */
+  const runCheck = async (current = config) => {
+    setConfig(current);
+    return processAndAlert(
+      await fetchMoonwellData(current, { deadline: Date.now() + 30_000 })
+    );
+  };
+
+  before(async () => {
+    rpc = await startMockRpc();
+    webhook = await startMockWebhook();
+    // Only the core market is below its threshold in the fixture
+    config = createTestConfig({ rpcUrl: rpc.url, webhookUrl: webhook.url });
+    useRecordedSdk(sdk);
+  });
+  after(async () => {
+    await rpc.close();
+    await webhook.close();
+  });
+  beforeEach(async () => {
+    webhook.messages.length = 0;
+    webhook.files.length = 0;
+    webhook.respondWith(204);
+    await saveAlertState({ pools: {} });
+  });
+
+  test("posts a Discord embed for a breached pool", async () => {
+    await runCheck();
+
+    assert.equal(webhook.messages.length, 1);
+    const [embed] = webhook.messages[0].embeds;
+    assert.equal(embed.color, DISCORD_CONFIG.WARNING_COLOR);
+    assert.equal(embed.fields.length, 1);
+    assert.equal(embed.fields[0].name, "🏦 USD Coin Core");
+    assert.match(
+      embed.fields[0].value,
+      /\*\*Available Liquidity:\*\* \$4,200,000\.00/
+    );
+    assert.match(embed.fields[0].value, /below the \$4,500,000\.00 threshold/);
+  });
+
+  test("attaches a chart of the breached pool's liquidity", async () => {
+    await runCheck();
+
+    const [embed] = webhook.messages[0].embeds;
+    assert.deepEqual(embed.image, {
+      url: "attachment://liquidity-usd-coin-core.png",
+    });
+    assert.equal(webhook.files.length, 1);
+    assert.equal(webhook.files[0].name, "liquidity-usd-coin-core.png");
+    assert.equal(webhook.files[0].type, "image/png");
+  });
+
+  test("sends no chart to a channel with charts turned off", async () => {
+    await runCheck({
+      ...config,
+      channels: [{ ...config.channels[0], charts: false }],
+    });
+
+    assert.equal(webhook.messages[0].embeds[0].image, undefined);
+    assert.equal(webhook.files.length, 0);
+  });
+
+  test("only notifies again once the pool recovers", async () => {
+    await runCheck();
+    await runCheck();
+    assert.equal(webhook.messages.length, 1);
+
+    await runCheck({
+      ...config,
+      pools: config.pools.map((pool) => ({ ...pool, threshold: 1_000_000 })),
+    });
+
+    assert.equal(webhook.messages.length, 2);
+    const [embed] = webhook.messages[1].embeds;
+    assert.equal(embed.title, "✅ Moonwell Liquidity Recovered");
+    assert.equal(embed.color, DISCORD_CONFIG.RECOVERED_COLOR);
+  });
+
+  test("colors, titles and pings by the tier breached", async () => {
+    const tiered = (critical) => ({
+      ...config,
+      pools: config.pools.map((pool, index) =>
+        index === 0
+          ? {
+              ...pool,
+              threshold: undefined,
+              thresholds: { warning: 4_500_000, critical },
+            }
+          : pool
+      ),
+      channels: [
+        {
+          ...config.channels[0],
+          mentions: { warning: "@here", critical: "<@&123456789>" },
+        },
+      ],
+    });
+
+    await runCheck(tiered(1_000_000));
+    const [warning] = webhook.messages;
+    assert.equal(warning.content, "@here");
+    assert.deepEqual(warning.allowed_mentions, { parse: ["everyone"] });
+    assert.equal(warning.embeds[0].title, "⚠️ Moonwell Liquidity Warning");
+    assert.equal(warning.embeds[0].color, DISCORD_CONFIG.WARNING_COLOR);
+    assert.match(
+      warning.embeds[0].fields[0].value,
+      /below the \$4,500,000\.00 warning threshold/
+    );
+
+    // Liquidity is now below the critical tier too
+    await runCheck(tiered(4_300_000));
+    const [escalation] = webhook.messages.slice(1);
+    assert.equal(escalation.content, "<@&123456789>");
+    assert.deepEqual(escalation.allowed_mentions, {
+      parse: [],
+      roles: ["123456789"],
+    });
+    assert.equal(escalation.embeds[0].title, "🚨 Moonwell Liquidity Alert");
+    assert.equal(escalation.embeds[0].color, DISCORD_CONFIG.ALERT_COLOR);
+    assert.match(
+      escalation.embeds[0].fields[0].value,
+      /⏫ .* below the \$4,300,000\.00 critical threshold \(escalated from warning\)/
+    );
+  });
+
+  test("retries on the next run when the webhook fails", async () => {
+    webhook.respondWith(500);
+    await assert.rejects(runCheck(), /Discord webhook failed: 500/);
+    assert.deepEqual((await loadAlertState()).pools, {});
+
+    webhook.respondWith(204);
+    const { transitions } = await runCheck();
+    assert.deepEqual(
+      transitions.map(({ type }) => type),
+      ["breach"]
+    );
+    assert.equal(webhook.messages.length, 2);
+  });
+
+  test("retries only the incident channel that failed", async () => {
+    const events = await startMockWebhook();
+    events.respondWith(500);
+    const withPagerDuty = {
+      ...config,
+      channels: [
+        ...config.channels,
+        {
+          id: "pagerduty",
+          type: "pagerduty",
+          routingKey: "test-routing-key",
+          eventsUrl: events.url,
+        },
+      ],
+    };
+
+    // The core market back above a lower threshold
+    const recovered = {
+      ...withPagerDuty,
+      pools: config.pools.map((pool, index) =>
+        index === 0 ? { ...pool, threshold: 1_000_000 } : pool
+      ),
+    };
+
+    try {
+      await runCheck(withPagerDuty);
+      // Discord got the alert; the page is queued for PagerDuty alone
+      assert.equal(webhook.messages.length, 1);
+      const state = await loadAlertState();
+      assert.equal(state.pools["usd-coin-core"].status, "BREACHED");
+      assert.deepEqual(
+        state.undelivered.map(({ channel, alert }) => [channel, alert.kind]),
+        [["pagerduty", "alert"]]
+      );
+
+      // Still down when the pool recovers: the resolve waits behind the
+      // trigger
+      await runCheck(recovered);
+      assert.deepEqual(
+        (await loadAlertState()).undelivered.map(({ alert }) => alert.kind),
+        ["alert", "recovery"]
+      );
+
+      events.messages.length = 0;
+      events.respondWith(202);
+      await runCheck(recovered);
+      assert.deepEqual(
+        events.messages.map(({ event_action }) => event_action),
+        ["trigger", "resolve"]
+      );
+      assert.equal(webhook.messages.length, 2);
+      assert.deepEqual((await loadAlertState()).undelivered, []);
+    } finally {
+      await events.close();
+    }
+  });
+
+  test("keeps Discord fields within the length limit", () => {
+    const line =
+      "⚠️ Available liquidity $100.00 is below the $1,000.00 threshold";
+    const alert = createAlertMessage({
+      kind: "alert",
+      pools: [
+        {
+          id: "flagship-usdc",
+          name: "🏛️ Moonwell Flagship USDC",
+          severity: "critical",
+          hasData: true,
+          fields: Array.from({ length: 30 }, (_, index) => [
+            `Market ${index}`,
+            "x".repeat(40),
+          ]),
+          lines: [line],
+          conditions: [],
+        },
+      ],
+    });
+    const [field] = formatDiscordMessage(alert).embeds[0].fields;
+
+    assert.equal(field.value.length, DISCORD_CONFIG.MAX_FIELD_LENGTH);
+    assert.ok(field.value.endsWith(`…\n${line}`));
+  });
+
+  test("keeps the reasons of an alert on many vaults within the message limit", () => {
+    const alert = createAlertMessage({
+      kind: "alert",
+      title: "🚨 Moonwell Liquidity Alert",
+      pools: Array.from({ length: 12 }, (_, index) => ({
+        id: `vault-${index}`,
+        name: `🏛️ Moonwell Vault ${index}`,
+        severity: "critical",
+        hasData: true,
+        fields: [["Markets", "• cbBTC/USDC 86%: $1,000,000.00\n".repeat(20)]],
+        lines: [
+          "⚠️ Available liquidity $100.00 is below the $1,000.00 threshold",
+          "⚠️ cbBTC/USDC is 100.0% utilized",
+        ],
+        conditions: [],
+      })),
+    });
+    const message = formatDiscordMessage(alert);
+    const [embed] = message.embeds;
+
+    assert.ok(discordMessageLength(message) <= 6000);
+    assert.equal(embed.fields.length, 12);
+    assert.match(embed.fields[0].value, /\*\*Markets:\*\*/);
+    assert.equal(
+      embed.fields[11].value,
+      alert.pools[11].lines.join("\n"),
+      "the last pools are listed by their lines alone"
+    );
+    assert.equal(embed.description, undefined);
+  });
+
+  test("shortens and leaves out the pools a report has no room for", () => {
+    // Every market and vault on three chains, each vault listing its markets
+    const report = createAlertMessage({
+      kind: "report",
+      title: "📊 Moonwell Liquidity Report",
+      description: "Current liquidity of 30 pools.",
+      pools: Array.from({ length: 30 }, (_, index) => ({
+        id: `pool-${index}`,
+        name: `🏛️ Moonwell Vault ${index}`,
+        severity: "info",
+        hasData: true,
+        fields: [["Markets", "• cbBTC/USDC 86%: $1,000,000.00\n".repeat(8)]],
+        lines: ["✓ Above the $1,000,000.00 threshold"],
+        conditions: [],
+      })),
+    });
+    const message = formatDiscordMessage(report);
+    const [embed] = message.embeds;
+
+    assert.ok(discordMessageLength(message) <= 6000);
+    assert.equal(embed.fields.length, DISCORD_CONFIG.MAX_FIELDS);
+    assert.match(embed.fields[0].value, /\*\*Markets:\*\*/);
+    assert.equal(embed.fields[24].value, "✓ Above the $1,000,000.00 threshold");
+    assert.equal(
+      embed.description,
+      "Current liquidity of 30 pools.\n…and 5 more pools"
+    );
+  });
+
+  test("cuts long Telegram messages between sections", () => {
+    const alert = createAlertMessage({
+      kind: "alert",
+      title: "🚨 Moonwell Liquidity Alert",
+      pools: Array.from({ length: 12 }, (_, index) => ({
+        id: `vault-${index}`,
+        name: `🏛️ Moonwell Vault ${index}`,
+        severity: "critical",
+        hasData: true,
+        fields: [
+          [
+            "Markets",
+            Array(8).fill("• cbBTC/USDC 86.5%: $1,000,000.00").join("\n"),
+          ],
+        ],
+        lines: ["⚠️ Available liquidity is below the threshold"],
+        conditions: [],
+      })),
+    });
+    const text = formatTelegramMessage(alert);
+    const sections = text.split("\n\n");
+
+    assert.ok(text.length <= 4096);
+    assert.match(sections.at(-1), /^…and \d+ more pools$/);
+    // Every kept pool section is whole: bold name, metrics and lines
+    for (const section of sections.slice(1, -1)) {
+      assert.match(section, /^\*🏛️ Moonwell Vault \d+\*\n/);
+      assert.match(section, /below the threshold$/);
+    }
+  });
+
+  test("lists each failed source with its retries", async () => {
+    const delivered = await sendNotification(
+      config.channels,
+      createErrorAlert([
+        {
+          source: "Vaults on base",
+          error: "sdk: fetch failed",
+          attempts: [
+            {
+              provider: "sdk",
+              attempt: 1,
+              errorClass: "network",
+              elapsedMs: 0,
+            },
+            {
+              provider: "sdk",
+              attempt: 2,
+              errorClass: "network",
+              elapsedMs: 1200,
+            },
+          ],
+        },
+      ])
+    );
+
+    assert.equal(delivered, 1);
+    const [embed] = webhook.messages[0].embeds;
+    assert.equal(embed.color, DISCORD_CONFIG.WARNING_COLOR);
+    assert.match(
+      JSON.stringify(embed.fields),
+      /sdk #1 network at 0\.0s → sdk #2 network at 1\.2s/
+    );
+  });
+
+  test("dry runs send nothing", async () => {
+    const alert = createErrorAlert([
+      { source: "Markets on base", error: "fetch failed" },
+    ]);
+
+    assert.equal(previewNotification(config.channels, alert), 1);
+    assert.equal(webhook.messages.length, 0);
+  });
+});
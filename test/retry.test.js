@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import "./helpers.js";
+import { RETRY_CONFIG, RETRY_POLICIES } from "../src/config.js";
+import { classifiedError, classifyError, withRetry } from "../src/retry.js";
+
+/**
+ * Operation failing with the given errors in turn, then succeeding
+ * @param {Array<Error>} errors - Errors to throw, one per call
+ * @returns {function(): Promise<string>} Operation, with its call count in `calls`
+ */
+function failingWith(errors) {
+  const operation = async () => {
+    operation.calls += 1;
+    if (operation.calls <= errors.length) throw errors[operation.calls - 1];
+    return "ok";
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+/**
+ * Retry options with a key of their own, so circuit breakers do not carry
+ * over between tests
+ * @param {string} circuit - Circuit breaker key
+ * @param {number} [deadline] - Run deadline
+ * @returns {Object}
+ */
+function options(circuit, deadline = Date.now() + 60_000) {
+  return { label: circuit, circuit, labels: { circuit }, deadline };
+}
+
+describe("classifyError", () => {
+  const cases = [
+    [new Error("HTTP request failed. Status: 429"), "rate-limit"],
+    [new Error("Too many requests, slow down"), "rate-limit"],
+    [Object.assign(new Error("aborted"), { name: "TimeoutError" }), "timeout"],
+    [new Error("request timed out"), "timeout"],
+    [new Error("fetch failed"), "network"],
+    [
+      Object.assign(new Error("connect failed"), {
+        cause: { code: "ECONNREFUSED" },
+      }),
+      "network",
+    ],
+    [new Error("RPC request failed: 502 Bad Gateway"), "server"],
+    [new SyntaxError("Unexpected token < in JSON"), "schema"],
+    [new TypeError("Cannot read properties of undefined"), "schema"],
+    [classifiedError("config", "no comptroller"), "config"],
+    [new Error("something else"), "unknown"],
+  ];
+
+  for (const [error, expected] of cases) {
+    test(`${error.message} → ${expected}`, () => {
+      assert.equal(classifyError(error), expected);
+    });
+  }
+});
+
+describe("withRetry", () => {
+  const baseDelays = {};
+
+  // Keep the backoff in the millisecond range
+  before(() => {
+    for (const [name, policy] of Object.entries(RETRY_POLICIES)) {
+      baseDelays[name] = policy.baseDelayMs;
+      if (policy.retry) policy.baseDelayMs = 1;
+    }
+  });
+  after(() => {
+    for (const [name, delay] of Object.entries(baseDelays)) {
+      RETRY_POLICIES[name].baseDelayMs = delay;
+    }
+  });
+
+  test("retries transient errors until the operation succeeds", async () => {
+    const operation = failingWith([
+      new Error("fetch failed"),
+      new Error("RPC request failed: 503 Service Unavailable"),
+    ]);
+
+    assert.equal(await withRetry(operation, options("transient")), "ok");
+    assert.equal(operation.calls, 3);
+  });
+
+  test("gives up after the last attempt with the attempt history", async () => {
+    const operation = failingWith(
+      Array.from({ length: 10 }, () => new Error("Too many requests"))
+    );
+
+    const error = await withRetry(operation, options("exhausted")).catch(
+      (caught) => caught
+    );
+    assert.equal(operation.calls, RETRY_CONFIG.MAX_ATTEMPTS);
+    assert.deepEqual(
+      error.attempts.map(({ attempt, errorClass }) => [attempt, errorClass]),
+      Array.from({ length: RETRY_CONFIG.MAX_ATTEMPTS }, (_, index) => [
+        index + 1,
+        "rate-limit",
+      ])
+    );
+  });
+
+  test("does not retry malformed responses", async () => {
+    const operation = failingWith([
+      classifiedError("schema", "no markets returned"),
+    ]);
+
+    await assert.rejects(withRetry(operation, options("schema")), {
+      message: "no markets returned",
+    });
+    assert.equal(operation.calls, 1);
+  });
+
+  test("opens the circuit after repeated failed fetches", async () => {
+    const failing = () =>
+      failingWith([classifiedError("schema", "bad response")]);
+
+    for (let run = 0; run < RETRY_CONFIG.BREAKER_THRESHOLD; run++) {
+      await assert.rejects(withRetry(failing(), options("breaker")));
+    }
+
+    const skipped = failingWith([]);
+    const error = await withRetry(skipped, options("breaker")).catch(
+      (caught) => caught
+    );
+    assert.equal(skipped.calls, 0);
+    assert.equal(error.attempts[0].errorClass, "circuit-open");
+  });
+
+  test("does not start once the run deadline has passed", async () => {
+    const operation = failingWith([]);
+
+    const error = await withRetry(
+      operation,
+      options("late", Date.now() - 1)
+    ).catch((caught) => caught);
+    assert.equal(operation.calls, 0);
+    assert.equal(classifyError(error), "deadline");
+  });
+
+  test("abandons an operation still running at the deadline", async () => {
+    const hanging = () => new Promise(() => {});
+
+    await assert.rejects(
+      withRetry(hanging, options("hanging", Date.now() + 50)),
+      { message: "run deadline exceeded" }
+    );
+  });
+});
@@ -0,0 +1,298 @@
+import assert from "node:assert/strict";
+import { writeFile } from "node:fs/promises";
+import { before, describe, test } from "node:test";
+import {
+  createTestConfig,
+  loadFixture,
+  startMockWebhook,
+  useMockTracker,
+  useRecordedSdk,
+} from "./helpers.js";
+import { HISTORY_CONFIG, setConfig } from "../src/config.js";
+import { loadHistory } from "../src/history.js";
+import { calculatePoolMetrics } from "../src/metrics.js";
+import { findDataIssues, findDataJumps } from "../src/sanity.js";
+import { loadAlertState } from "../src/state.js";
+
+const sdk = loadFixture("sdk-base.json");
+const [usdcMarket] = sdk.getMarkets;
+const [flagshipVault] = sdk.getMorphoVaults;
+
+const MARKET_POOL = { id: "usd-coin-core", type: "core-market" };
+const VAULT_POOL = { id: "flagship-usdc", type: "morpho-vault" };
+const NOW = Date.UTC(2024, 4, 6, 12);
+
+const config = createTestConfig({
+  rpcUrl: "http://127.0.0.1:1",
+  webhookUrl: "http://127.0.0.1:1",
+});
+
+/**
+ * Sanity check a changed copy of recorded pool data
+ * @param {Object} pool - Pool config
+ * @param {Object} data - Recorded market or vault
+ * @param {function(Object): void} [change] - Alters the copy
+ * @returns {Array<string>} Problems found
+ */
+function issuesOf(pool, data, change = () => {}) {
+  const copy = structuredClone(data);
+  change(copy);
+  return findDataIssues(pool, copy, calculatePoolMetrics(pool, copy));
+}
+
+describe("findDataIssues", () => {
+  before(() => setConfig(config));
+
+  test("accepts the recorded market and vault", () => {
+    assert.deepEqual(issuesOf(MARKET_POOL, usdcMarket), []);
+    assert.deepEqual(issuesOf(VAULT_POOL, flagshipVault), []);
+  });
+
+  test("flags missing and malformed fields", () => {
+    assert.deepEqual(
+      issuesOf(MARKET_POOL, usdcMarket, (market) => {
+        delete market.cash;
+        market.totalBorrowsUsd = "38000000";
+      }),
+      ['totalBorrowsUsd is "38000000"', "cash.value is missing"]
+    );
+    assert.deepEqual(
+      issuesOf(VAULT_POOL, flagshipVault, (vault) => {
+        vault.markets[1].marketLiquidityUsd = -1;
+      }),
+      ["markets[1].marketLiquidityUsd is -1"]
+    );
+  });
+
+  test("flags borrows above supply", () => {
+    const issues = issuesOf(MARKET_POOL, usdcMarket, (market) => {
+      market.totalBorrowsUsd = 50_000_000;
+    });
+    assert.match(
+      issues[0],
+      /Total borrow \$50,000,000\.00 exceeds total supply \$42,000,000\.00/
+    );
+  });
+
+  test("flags cash that falls short of supply less borrows", () => {
+    // The "$0 available" reading a partial response would give
+    assert.deepEqual(
+      issuesOf(MARKET_POOL, usdcMarket, (market) => {
+        market.cash.value = 0;
+      }),
+      ["Cash $0 and borrows $38,000,000.00 fall short of supply $42,000,000.00"]
+    );
+  });
+
+  test("flags vault allocations that do not add up to 100%", () => {
+    assert.deepEqual(
+      issuesOf(VAULT_POOL, flagshipVault, (vault) => {
+        vault.markets[2].allocation = 0.2;
+      }),
+      ["Market allocations add up to 82.5%"]
+    );
+  });
+
+  test("flags an implausible APY", () => {
+    assert.deepEqual(
+      issuesOf(MARKET_POOL, usdcMarket, (market) => {
+        market.totalSupplyApr = 50_000;
+      }),
+      ["APY 50000% is implausible"]
+    );
+  });
+
+  test("checks nothing when turned off", () => {
+    setConfig({
+      ...config,
+      dataSources: {
+        ...config.dataSources,
+        sanity: { ...config.dataSources.sanity, enabled: false },
+      },
+    });
+    assert.deepEqual(
+      issuesOf(MARKET_POOL, usdcMarket, (market) => delete market.cash),
+      []
+    );
+    setConfig(config);
+  });
+});
+
+describe("findDataJumps", () => {
+  before(() => setConfig(config));
+
+  /**
+   * History with one sample of the market taken `minutesAgo` before NOW
+   * @param {number} minutesAgo - Age of the sample
+   * @returns {Array<Object>}
+   */
+  const historyFrom = (minutesAgo) => [
+    {
+      timestamp: NOW - minutesAgo * 60 * 1000,
+      pools: {
+        [MARKET_POOL.id]: {
+          availableLiquidity: 4_200_000,
+          totalSupply: 42_000_000,
+        },
+      },
+    },
+  ];
+
+  test("flags liquidity vanishing since the last sample", () => {
+    assert.deepEqual(
+      findDataJumps(
+        MARKET_POOL,
+        { availableLiquidity: 100_000, totalSupply: 42_000_000 },
+        historyFrom(10),
+        NOW
+      ),
+      ["Available liquidity jumped from $4,200,000.00 to $100,000.00 in 10m"]
+    );
+  });
+
+  test("accepts ordinary moves", () => {
+    assert.deepEqual(
+      findDataJumps(
+        MARKET_POOL,
+        { availableLiquidity: 1_000_000, totalSupply: 40_000_000 },
+        historyFrom(10),
+        NOW
+      ),
+      []
+    );
+  });
+
+  test("accepts a move that outlasts the window", () => {
+    assert.deepEqual(
+      findDataJumps(
+        MARKET_POOL,
+        { availableLiquidity: 0, totalSupply: 42_000_000 },
+        historyFrom(45),
+        NOW
+      ),
+      []
+    );
+  });
+});
+
+describe("processAndAlert with a suspicious reading", () => {
+  const tracker = useMockTracker();
+  const { runCheck } = tracker;
+
+  test("warns about data quality instead of alerting on liquidity", async () => {
+    useRecordedSdk(sdk, {
+      getMarkets: () =>
+        sdk.getMarkets.map(({ cash, ...market }) => ({
+          ...market,
+          cash: { value: 0 },
+        })),
+    });
+    const { checks, transitions } = await runCheck();
+
+    assert.equal(checks[0].hasData, false);
+    assert.deepEqual(
+      transitions.map(({ type, condition }) => [type, condition.key]),
+      [["breach", "usd-coin-core:data-quality"]]
+    );
+    assert.equal(tracker.webhook.messages.length, 1);
+    const [embed] = tracker.webhook.messages[0].embeds;
+    assert.equal(embed.title, "🧐 Moonwell Data Quality Warning");
+    assert.match(embed.fields[0].value, /Ignored a suspicious reading: Cash/);
+
+    // The core market keeps its previous state and the reading is not kept
+    assert.equal((await loadAlertState()).pools["usd-coin-core"], undefined);
+    const [sample] = (await loadHistory()).slice(-1);
+    assert.deepEqual(Object.keys(sample.pools), ["flagship-usdc"]);
+  });
+
+  test("never pages an incident channel about suspicious data", async () => {
+    const events = await startMockWebhook();
+    const withPagerDuty = {
+      ...tracker.config,
+      channels: [
+        ...tracker.config.channels,
+        {
+          id: "pagerduty",
+          type: "pagerduty",
+          routingKey: "test-routing-key",
+          eventsUrl: events.url,
+        },
+      ],
+    };
+    const suspicious = () =>
+      sdk.getMarkets.map((market) => ({ ...market, cash: { value: 0 } }));
+
+    try {
+      useRecordedSdk(sdk, { getMarkets: suspicious });
+      await runCheck(withPagerDuty);
+      assert.equal(tracker.webhook.messages.length, 1);
+      assert.equal(
+        tracker.webhook.messages[0].embeds[0].title,
+        "🧐 Moonwell Data Quality Warning"
+      );
+      assert.deepEqual(events.messages, []);
+
+      // The warning recovers and the core market breaches: only the
+      // breach is paged
+      useRecordedSdk(sdk);
+      await runCheck(withPagerDuty);
+      assert.deepEqual(
+        events.messages.map(({ event_action, dedup_key }) => [
+          event_action,
+          dedup_key,
+        ]),
+        [["trigger", "moonwell-liquidity-tracker:usd-coin-core"]]
+      );
+    } finally {
+      await events.close();
+    }
+  });
+
+  test("alerts on liquidity again once the data looks right", async () => {
+    useRecordedSdk(sdk);
+    const { transitions } = await runCheck();
+
+    assert.deepEqual(
+      transitions.map(({ type, condition }) => [type, condition.key]),
+      [["breach", "usd-coin-core"]]
+    );
+    assert.equal(
+      tracker.webhook.messages[0].embeds[0].title,
+      "⚠️ Moonwell Liquidity Warning"
+    );
+  });
+
+  test("alerts on a sudden drop, unconfirmed until the next reading", async () => {
+    // Five minutes ago the core market had $100M available
+    await writeFile(
+      HISTORY_CONFIG.FILE_PATH,
+      JSON.stringify({
+        timestamp: Date.now() - 5 * 60 * 1000,
+        resolution: "raw",
+        pools: {
+          "usd-coin-core": {
+            availableLiquidity: 100_000_000,
+            totalSupply: 140_000_000,
+          },
+        },
+      }) + "\n"
+    );
+    useRecordedSdk(sdk);
+    const { checks, transitions } = await runCheck();
+
+    assert.equal(checks[0].hasData, true);
+    assert.match(checks[0].dataJumps[0], /^Available liquidity jumped/);
+    assert.deepEqual(
+      transitions.map(({ type, condition }) => [type, condition.key]),
+      [["breach", "usd-coin-core"]]
+    );
+    assert.match(
+      tracker.webhook.messages[0].embeds[0].fields[0].value,
+      /threshold \(unconfirmed reading: Available liquidity jumped from \$100,000,000\.00 to \$4,200,000\.00 in 5m/
+    );
+
+    // The reading was kept, so the next one agreeing with it confirms it
+    const { checks: next } = await runCheck();
+    assert.deepEqual(next[0].dataJumps, []);
+  });
+});
@@ -0,0 +1,20 @@
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Settings are read from the environment when the tracker's modules load,
+// so test files import this first. Alert state and history go to a scratch
+// directory instead of the working tree.
+const workDir = mkdtempSync(join(tmpdir(), "moonwell-tracker-test-"));
+
+process.env.ALERT_STATE_FILE = join(workDir, "alert-state.json");
+process.env.HISTORY_FILE = join(workDir, "history.ndjson");
+process.env.MUTES_FILE = join(workDir, "mutes.json");
+delete process.env.DATA_PROVIDERS;
+delete process.env.ALERT_RENOTIFY_MINUTES;
+
+// The test runner reads its results from stdout, where the tracker's
+// progress logs can garble them
+console.log = console.error;
+
+export { workDir };
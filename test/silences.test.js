@@ -0,0 +1,321 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { startMockEventsApi, useMockTracker } from "./helpers.js";
+import { mutePool, unmutePool } from "../src/mutes.js";
+import { applySilences, getQuietHoursWindow } from "../src/silences.js";
+import { loadAlertState } from "../src/state.js";
+
+// Saturday 2024-05-04, 23:30 UTC
+const SATURDAY_NIGHT = Date.UTC(2024, 4, 4, 23, 30);
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A transition on one of a pool's conditions
+ * @param {string} poolId - Pool id
+ * @param {string} [rule] - Key suffix, none for the pool's threshold
+ * @param {string} [severity] - Severity of the condition
+ * @returns {Object} Breach transition
+ */
+function breachOf(poolId, rule, severity = "critical") {
+  return {
+    type: "breach",
+    condition: {
+      key: rule ? `${poolId}:${rule}` : poolId,
+      check: { pool: { id: poolId } },
+      severity,
+    },
+  };
+}
+
+/**
+ * Format a time of day as quietHours takes it
+ * @param {number} time - Time in milliseconds
+ * @returns {string} "HH:MM" in UTC
+ */
+function timeOfDay(time) {
+  return new Date(time).toISOString().slice(11, 16);
+}
+
+describe("getQuietHoursWindow", () => {
+  const nightly = { startUtc: "22:00", endUtc: "07:00" };
+
+  test("covers a window that crosses midnight", () => {
+    const window = getQuietHoursWindow(nightly, SATURDAY_NIGHT + 2 * HOUR_MS);
+    assert.equal(window.from, Date.UTC(2024, 4, 4, 22));
+    assert.equal(window.until, Date.UTC(2024, 4, 5, 7));
+    assert.equal(window.quietHours, true);
+  });
+
+  test("returns null outside the window", () => {
+    assert.equal(getQuietHoursWindow(nightly, Date.UTC(2024, 4, 5, 12)), null);
+    assert.equal(getQuietHoursWindow(undefined, SATURDAY_NIGHT), null);
+  });
+
+  test("only starts on the listed weekdays", () => {
+    const weekends = { ...nightly, weekdays: ["saturday", "sunday"] };
+    // Saturday night, still quiet on Sunday morning
+    assert.notEqual(getQuietHoursWindow(weekends, SATURDAY_NIGHT), null);
+    assert.notEqual(
+      getQuietHoursWindow(weekends, Date.UTC(2024, 4, 5, 6)),
+      null
+    );
+    // Friday night is not quiet
+    assert.equal(getQuietHoursWindow(weekends, Date.UTC(2024, 4, 3, 23)), null);
+  });
+});
+
+describe("applySilences", () => {
+  test("holds back what a silence covers", () => {
+    const silence = { id: "a", pool: "flagship-usdc", rule: "threshold" };
+    const transitions = [
+      breachOf("flagship-usdc"),
+      breachOf("flagship-usdc", "data-quality"),
+      breachOf("usd-coin-core"),
+    ];
+    const { notified, suppressed } = applySilences(transitions, [silence]);
+
+    assert.deepEqual(notified, transitions.slice(1));
+    assert.deepEqual(suppressed, [{ transition: transitions[0], silence }]);
+  });
+
+  test("matches alert rules with or without their prefix", () => {
+    const { suppressed } = applySilences(
+      [breachOf("usd-coin-core", "rule:rate-kink")],
+      [{ id: "a", rule: "rate-kink" }]
+    );
+    assert.equal(suppressed.length, 1);
+  });
+
+  test("lets critical alerts through quiet hours", () => {
+    const quiet = { id: "quiet-hours:0", quietHours: true };
+    const critical = breachOf("usd-coin-core");
+    const warning = breachOf("flagship-usdc", undefined, "warning");
+    const { notified, suppressed } = applySilences(
+      [critical, warning],
+      [quiet]
+    );
+
+    assert.deepEqual(notified, [critical]);
+    assert.deepEqual(suppressed, [{ transition: warning, silence: quiet }]);
+  });
+});
+
+describe("processAndAlert with silences", () => {
+  const tracker = useMockTracker();
+
+  /**
+   * Check the pools with top-level config fields replaced
+   * @param {Object} overrides - Top-level config overrides
+   * @returns {Promise<Object>} Result of processAndAlert
+   */
+  const runCheck = (overrides) =>
+    tracker.runCheck({ ...tracker.config, ...overrides });
+
+  test("holds back a silenced breach and summarizes it when the silence ends", async () => {
+    const silence = {
+      pool: "usd-coin-core",
+      rule: "threshold",
+      reason: "Planned reallocation",
+    };
+    const { transitions, alerts } = await runCheck({
+      silences: [
+        { ...silence, until: new Date(Date.now() + HOUR_MS).toISOString() },
+      ],
+    });
+
+    assert.deepEqual(
+      transitions.map(({ condition }) => condition.key),
+      ["usd-coin-core"]
+    );
+    assert.deepEqual(alerts, []);
+    assert.equal(tracker.webhook.messages.length, 0);
+    const [record] = Object.values((await loadAlertState()).suppressed);
+    assert.equal(record.silence.reason, "Planned reallocation");
+    assert.deepEqual(
+      record.items.map(({ key, type }) => [key, type]),
+      [["usd-coin-core", "breach"]]
+    );
+
+    // The silence has ended by the next check
+    await runCheck({
+      silences: [
+        { ...silence, until: new Date(Date.now() - 1000).toISOString() },
+      ],
+    });
+    assert.equal(tracker.webhook.messages.length, 1);
+    const [embed] = tracker.webhook.messages[0].embeds;
+    assert.equal(embed.title, "🔕 Suppressed Alerts");
+    assert.match(embed.description, /Silence ended: Planned reallocation\./);
+    assert.match(
+      embed.fields.map(({ value }) => value).join("\n"),
+      /⚠️ Still breached/
+    );
+    assert.deepEqual((await loadAlertState()).suppressed, {});
+  });
+
+  test("keeps holding back a pool muted again", async () => {
+    try {
+      await mutePool("usd-coin-core", Date.now() + HOUR_MS, "alice");
+      await runCheck();
+      await mutePool("usd-coin-core", Date.now() + 2 * HOUR_MS, "bob");
+      await runCheck();
+
+      assert.equal(tracker.webhook.messages.length, 0);
+      const [record] = Object.values((await loadAlertState()).suppressed);
+      assert.equal(record.silence.reason, "Muted from Discord by bob");
+      assert.deepEqual(
+        record.items.map(({ key, type }) => [key, type]),
+        [["usd-coin-core", "breach"]]
+      );
+    } finally {
+      await unmutePool("usd-coin-core");
+    }
+  });
+
+  test("holds back warnings during quiet hours", async () => {
+    const now = Date.now();
+    const quietHours = {
+      startUtc: timeOfDay(now - HOUR_MS),
+      endUtc: timeOfDay(now + HOUR_MS),
+    };
+    const pools = tracker.config.pools.map((pool) =>
+      pool.id === "usd-coin-core"
+        ? { ...pool, thresholds: { warning: 4_500_000, critical: 1_000_000 } }
+        : pool
+    );
+    const { transitions } = await runCheck({ pools, quietHours });
+
+    assert.deepEqual(
+      transitions.map(({ condition }) => [condition.key, condition.severity]),
+      [["usd-coin-core", "warning"]]
+    );
+    assert.equal(tracker.webhook.messages.length, 0);
+  });
+
+  test("holds back a single threshold during quiet hours, not a critical tier", async () => {
+    const now = Date.now();
+    const quietHours = {
+      startUtc: timeOfDay(now - HOUR_MS),
+      endUtc: timeOfDay(now + HOUR_MS),
+    };
+    const { transitions } = await runCheck({ quietHours });
+
+    assert.deepEqual(
+      transitions.map(({ condition }) => [condition.key, condition.severity]),
+      [["usd-coin-core", "warning"]]
+    );
+    assert.equal(tracker.webhook.messages.length, 0);
+
+    const pools = tracker.config.pools.map((pool) =>
+      pool.id === "usd-coin-core"
+        ? { ...pool, thresholds: { critical: pool.threshold } }
+        : pool
+    );
+    await runCheck({ pools, quietHours });
+    assert.equal(tracker.webhook.messages.length, 1);
+  });
+});
+
+describe("incident channels with silences", () => {
+  const tracker = useMockTracker();
+  const INCIDENT = "moonwell-liquidity-tracker:usd-coin-core";
+  let eventsApi;
+
+  /**
+   * Check the pools with a PagerDuty channel and top-level config fields
+   * replaced
+   * @param {Object} [overrides] - Top-level config overrides
+   * @returns {Promise<Object>} Result of processAndAlert
+   */
+  const runCheck = (overrides = {}) =>
+    tracker.runCheck({
+      ...tracker.config,
+      channels: [
+        ...tracker.config.channels,
+        {
+          id: "pagerduty",
+          type: "pagerduty",
+          routingKey: "test-routing-key",
+          eventsUrl: eventsApi.url,
+        },
+      ],
+      ...overrides,
+    });
+
+  /**
+   * A silence of the core market's alerts
+   * @param {number} until - When it ends, in milliseconds
+   * @returns {{silences: Array}} Config override
+   */
+  const silencedUntil = (until) => ({
+    silences: [
+      {
+        pool: "usd-coin-core",
+        reason: "Planned reallocation",
+        until: new Date(until).toISOString(),
+      },
+    ],
+  });
+
+  /**
+   * The configured pools with the core market's threshold replaced
+   * @param {Object} threshold - Threshold fields of the core market
+   * @returns {{pools: Array}} Config override
+   */
+  const coreThreshold = (threshold) => ({
+    pools: tracker.config.pools.map((pool) =>
+      pool.id === "usd-coin-core" ? { ...pool, ...threshold } : pool
+    ),
+  });
+
+  before(async () => {
+    eventsApi = await startMockEventsApi();
+  });
+  after(() => eventsApi.close());
+  beforeEach(() => {
+    eventsApi.events.length = 0;
+    eventsApi.incidents.clear();
+  });
+
+  test("closes the incident of a recovery a silence holds back", async () => {
+    await runCheck();
+    assert.ok(eventsApi.incidents.has(INCIDENT));
+    tracker.webhook.messages.length = 0;
+
+    const { transitions } = await runCheck({
+      ...coreThreshold({ threshold: 1_000_000 }),
+      ...silencedUntil(Date.now() + HOUR_MS),
+    });
+
+    assert.deepEqual(
+      transitions.map(({ type }) => type),
+      ["recovery"]
+    );
+    assert.equal(tracker.webhook.messages.length, 0);
+    assert.equal(eventsApi.incidents.size, 0);
+  });
+
+  test("opens the incident of a held-back breach once the silence ends", async () => {
+    const tiers = coreThreshold({
+      thresholds: { warning: 4_500_000, critical: 1_000_000 },
+    });
+    await runCheck({ ...tiers, ...silencedUntil(Date.now() + HOUR_MS) });
+    assert.deepEqual(eventsApi.events, []);
+
+    await runCheck({ ...tiers, ...silencedUntil(Date.now() - 1000) });
+
+    assert.equal(
+      tracker.webhook.messages[0].embeds[0].title,
+      "🔕 Suppressed Alerts"
+    );
+    assert.equal(eventsApi.incidents.get(INCIDENT)?.severity, "warning");
+  });
+
+  test("sends nothing for a breach and recovery both held back", async () => {
+    const silence = silencedUntil(Date.now() + HOUR_MS);
+    await runCheck(silence);
+    await runCheck({ ...coreThreshold({ threshold: 1_000_000 }), ...silence });
+
+    assert.deepEqual(eventsApi.events, []);
+  });
+});
@@ -0,0 +1,173 @@
+import { createServer } from "node:http";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const MOCK_PORT = Number(process.env.MOCK_INCIDENT_PORT || 8787);
+const EVENTS_URL = `http://127.0.0.1:${MOCK_PORT}/v2/enqueue`;
+const ROUTING_KEY = "test-routing-key";
+
+// ============================================================================
+// Mock Events API
+// ============================================================================
+
+/**
+ * Start a local stand-in for the PagerDuty Events API v2. It validates each
+ * event the same way PagerDuty does and tracks open incidents by dedup key.
+ * @returns {Promise<{server: Object, incidents: Map, received: Array}>}
+ */
+function startMockEventsApi() {
+  const incidents = new Map();
+  const received = [];
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const event = JSON.parse(body);
+      received.push(event);
+
+      const invalid =
+        req.url !== "/v2/enqueue" ||
+        event.routing_key !== ROUTING_KEY ||
+        !event.dedup_key ||
+        !["trigger", "resolve"].includes(event.event_action) ||
+        (event.event_action === "trigger" &&
+          (!event.payload?.summary ||
+            !event.payload?.source ||
+            !event.payload?.severity));
+
+      if (invalid) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "invalid event" }));
+        return;
+      }
+
+      if (event.event_action === "trigger") {
+        incidents.set(event.dedup_key, event.payload);
+      } else {
+        incidents.delete(event.dedup_key);
+      }
+
+      res.writeHead(202, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({ status: "success", dedup_key: event.dedup_key })
+      );
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(MOCK_PORT, "127.0.0.1", () =>
+      resolve({ server, incidents, received })
+    )
+  );
+}
+
+// ============================================================================
+// Incident Events
+// ============================================================================
+
+/**
+ * Create a trigger event for a breached pool
+ * @param {string} poolId - Pool id used as the dedup key
+ * @param {string} summary - Incident summary
+ * @returns {Object} Events API v2 body
+ */
+function createTriggerEvent(poolId, summary) {
+  return {
+    routing_key: ROUTING_KEY,
+    dedup_key: `moonwell-liquidity-tracker:${poolId}`,
+    event_action: "trigger",
+    payload: {
+      summary,
+      source: "moonwell-liquidity-tracker",
+      severity: "critical",
+      timestamp: new Date().toISOString(),
+      custom_details: {
+        "Available Liquidity": "$22,000,000.00",
+      },
+    },
+  };
+}
+
+/**
+ * Create a resolve event for a recovered pool
+ * @param {string} poolId - Pool id used as the dedup key
+ * @returns {Object} Events API v2 body
+ */
+function createResolveEvent(poolId) {
+  return {
+    routing_key: ROUTING_KEY,
+    dedup_key: `moonwell-liquidity-tracker:${poolId}`,
+    event_action: "resolve",
+  };
+}
+
+/**
+ * Send an event to the Events API
+ * @param {Object} event - Events API v2 body
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendEvent(event) {
+  const response = await fetch(EVENTS_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(event),
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `PagerDuty event failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  return true;
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main() {
+  const { server, incidents, received } = await startMockEventsApi();
+
+  try {
+    console.log(`[${new Date().toISOString()}] Starting INCIDENT test...`);
+    console.log(`🧪 Mock Events API listening on ${EVENTS_URL}\n`);
+
+    const summary =
+      "🏛️ Moonwell Flagship USDC: ⚠️ Available liquidity $22,000,000.00 is below the $29,000,000.00 threshold";
+
+    console.log("🚨 Triggering incident for flagship-usdc (twice)...");
+    await sendEvent(createTriggerEvent("flagship-usdc", summary));
+    await sendEvent(createTriggerEvent("flagship-usdc", summary));
+
+    if (incidents.size !== 1) {
+      throw new Error(
+        `Expected 1 open incident after repeated triggers, found ${incidents.size}`
+      );
+    }
+    console.log("✓ Repeated triggers share one incident");
+
+    console.log("✅ Resolving incident for flagship-usdc...");
+    await sendEvent(createResolveEvent("flagship-usdc"));
+
+    if (incidents.size !== 0) {
+      throw new Error("Incident is still open after resolve");
+    }
+    console.log("✓ Incident resolved");
+
+    console.log(`\n📊 Mock received ${received.length} events`);
+    console.log(`[${new Date().toISOString()}] Test complete!\n`);
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+main();
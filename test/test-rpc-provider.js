@@ -0,0 +1,308 @@
+import { spawn } from "node:child_process";
+import { createServer } from "node:http";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const MOCK_PORT = Number(process.env.MOCK_RPC_PORT || 8545);
+const MOCK_URL = `http://127.0.0.1:${MOCK_PORT}`;
+// Two misbehaving endpoints next to the healthy one: one answers the health
+// probe but rate limits every call, the other is far behind the chain head
+const RATE_LIMITED_PORT = MOCK_PORT + 1;
+const LAGGING_PORT = MOCK_PORT + 2;
+const LAGGING_BLOCKS = 100;
+const FIXTURE_PATH = new URL("./fixtures/base-rpc.json", import.meta.url);
+const TRACKER_PATH = new URL(
+  "../moonwell-liquidity-tracker.js",
+  import.meta.url
+);
+
+// Only the RPC provider is enabled, so the SDK is never asked for data
+const TEST_CONFIG = {
+  chains: {
+    base: {
+      rpcUrls: [
+        `${MOCK_URL}/rpc`,
+        `http://127.0.0.1:${RATE_LIMITED_PORT}/rpc`,
+        `http://127.0.0.1:${LAGGING_PORT}/rpc`,
+      ],
+      comptroller: "0xfBb21d0380beE3312B33c4353c8936a0F13EF26C",
+      morphoBlue: "0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb",
+    },
+  },
+  pools: [
+    {
+      id: "usd-coin-core",
+      name: "🏦 USD Coin Core",
+      type: "core-market",
+      chain: "base",
+      symbol: "USDC",
+      threshold: 4500000,
+      minLiquidityMultiple: 2,
+    },
+    {
+      id: "flagship-usdc",
+      name: "🏛️ Moonwell Flagship USDC",
+      type: "morpho-vault",
+      chain: "base",
+      address: "0xc1256Ae5FF1cf2719D4937adb3bbCCab2E00A2Ca",
+      threshold: 29000000,
+    },
+  ],
+  channels: [
+    { id: "discord", type: "discord", webhookUrl: `${MOCK_URL}/webhook` },
+  ],
+  // Holds 10% of each pool in the fixture
+  wallets: [
+    {
+      label: "Treasury",
+      address: "0x6b7a3a6d8c4e5f2b1a9d0c3e7f8a2b4c6d9e1f03",
+    },
+  ],
+  dataSources: { providers: ["rpc"] },
+};
+
+// ============================================================================
+// Mock JSON-RPC Node
+// ============================================================================
+
+/**
+ * Start a local stand-in for a JSON-RPC node that answers `eth_call` from
+ * recorded responses, plus a webhook endpoint that captures Discord alerts.
+ * Calls missing from the fixture fail loudly instead of returning zeros.
+ * @param {Object} fixture - Recorded block number and calls ({to, data, result|error})
+ * @param {{port: number, mode: string}} options - Port, and "ok", "rate-limited" or "lagging"
+ * @returns {Promise<{server: Object, alerts: Array, unknownCalls: Array}>}
+ */
+function startMockNode(fixture, { port, mode }) {
+  const responses = new Map(
+    fixture.calls.map((call) => [
+      `${call.to.toLowerCase()}:${call.data.toLowerCase()}`,
+      call,
+    ])
+  );
+  const lag = mode === "lagging" ? LAGGING_BLOCKS : 0;
+  const alerts = [];
+  const unknownCalls = [];
+
+  const answer = (request) => {
+    // Health probe: the recorded block, mined just now
+    if (request.method === "eth_getBlockByNumber") {
+      return {
+        jsonrpc: "2.0",
+        id: request.id,
+        result: {
+          number: `0x${(Number(fixture.blockNumber) - lag).toString(16)}`,
+          timestamp: `0x${Math.floor(Date.now() / 1000).toString(16)}`,
+        },
+      };
+    }
+
+    const [call] = request.params || [];
+    const recorded =
+      request.method === "eth_call" &&
+      responses.get(`${call.to.toLowerCase()}:${call.data.toLowerCase()}`);
+
+    if (!recorded) {
+      unknownCalls.push(request);
+      return {
+        jsonrpc: "2.0",
+        id: request.id,
+        error: { code: -32601, message: "no recorded response for call" },
+      };
+    }
+    return recorded.error
+      ? { jsonrpc: "2.0", id: request.id, error: recorded.error }
+      : { jsonrpc: "2.0", id: request.id, result: recorded.result };
+  };
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      const body = Buffer.concat(chunks);
+
+      if (req.url === "/webhook") {
+        // Alerts with charts attached come as multipart, the JSON in
+        // `payload_json`
+        const contentType = req.headers["content-type"] || "";
+        const form = contentType.startsWith("multipart/form-data")
+          ? await new Response(body, {
+              headers: { "Content-Type": contentType },
+            }).formData()
+          : null;
+        alerts.push(JSON.parse(form ? form.get("payload_json") : body));
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      const payload = JSON.parse(body);
+
+      const isProbe = payload.method === "eth_getBlockByNumber";
+      if (mode === "rate-limited" && !isProbe) {
+        res.writeHead(429, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "too many requests" }));
+        return;
+      }
+      // Answer probes slowly so the rate-limited endpoint looks fastest
+      if (mode === "ok" && isProbe) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+
+      const reply = Array.isArray(payload)
+        ? payload.map(answer)
+        : answer(payload);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(port, "127.0.0.1", () =>
+      resolve({ server, alerts, unknownCalls })
+    )
+  );
+}
+
+// ============================================================================
+// Tracker Run
+// ============================================================================
+
+/**
+ * Run one tracker check against the mock node
+ * @param {string} workDir - Directory for the config, state and history files
+ * @returns {Promise<{code: number, output: string, history: Array}>}
+ */
+async function runTracker(workDir) {
+  const configPath = join(workDir, "moonwell.config.json");
+  await writeFile(configPath, JSON.stringify(TEST_CONFIG, null, 2));
+
+  const child = spawn(process.execPath, [TRACKER_PATH.pathname], {
+    env: {
+      ...process.env,
+      MOONWELL_CONFIG: configPath,
+      ALERT_STATE_FILE: join(workDir, "alert-state.json"),
+      HISTORY_FILE: join(workDir, "history.ndjson"),
+      DATA_PROVIDERS: "",
+    },
+  });
+
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  const code = await new Promise((resolve) => child.on("close", resolve));
+  const history = (
+    await readFile(join(workDir, "history.ndjson"), "utf8").catch(() => "")
+  )
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  return { code, output, history };
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main() {
+  const fixture = JSON.parse(await readFile(FIXTURE_PATH, "utf8"));
+  const { server, alerts, unknownCalls } = await startMockNode(fixture, {
+    port: MOCK_PORT,
+    mode: "ok",
+  });
+  const others = await Promise.all([
+    startMockNode(fixture, { port: RATE_LIMITED_PORT, mode: "rate-limited" }),
+    startMockNode(fixture, { port: LAGGING_PORT, mode: "lagging" }),
+  ]);
+  const workDir = await mkdtemp(join(tmpdir(), "moonwell-rpc-test-"));
+
+  try {
+    console.log(`[${new Date().toISOString()}] Starting RPC PROVIDER test...`);
+    console.log(`🧪 Mock JSON-RPC node listening on ${MOCK_URL}\n`);
+
+    const { code, output, history } = await runTracker(workDir);
+    console.log(output);
+
+    if (code !== 0) {
+      throw new Error(`Tracker exited with code ${code}`);
+    }
+    if (unknownCalls.length > 0) {
+      throw new Error(
+        `Tracker made ${unknownCalls.length} calls missing from the fixture`
+      );
+    }
+    if (!/Found 2 markets on base via rpc/.test(output)) {
+      throw new Error("Markets were not read through the RPC provider");
+    }
+    console.log("✓ Markets and vault read from the contracts");
+
+    if (!output.includes(`${LAGGING_BLOCKS} blocks behind`)) {
+      throw new Error("Lagging endpoint was not flagged as stale");
+    }
+    if (!/rate limiting, rotating to 127\.0\.0\.1:\d+/.test(output)) {
+      throw new Error("Rate-limited endpoint was not rotated away from");
+    }
+    const served = Object.values(history[0]?.pools || {}).map(
+      (sample) => sample.endpoint
+    );
+    if (
+      served.length !== 2 ||
+      served.some((endpoint) => endpoint !== `127.0.0.1:${MOCK_PORT}`)
+    ) {
+      throw new Error(`Samples served by unexpected endpoints: ${served}`);
+    }
+    console.log("✓ Stale and rate-limited endpoints skipped");
+
+    if (alerts.length !== 1) {
+      throw new Error(`Expected 1 alert, received ${alerts.length}`);
+    }
+    const fields = alerts[0].embeds[0].fields.map(
+      (field) => `${field.name}\n${field.value}`
+    );
+    const expected = [
+      ["USD Coin Core", "$4,200,000.00"],
+      ["Moonwell Flagship USDC", "$17,000,000.00"],
+    ];
+    for (const [pool, liquidity] of expected) {
+      const field = fields.find((text) => text.includes(pool));
+      if (!field?.includes(liquidity)) {
+        throw new Error(`Expected ${pool} to show ${liquidity} available`);
+      }
+    }
+    console.log("✓ Alert reports the on-chain available liquidity");
+
+    // The cbBTC market only has $10M left to lend, so the vault cannot
+    // withdraw its whole $18M position there
+    const vault = fields.find((text) => text.includes("Flagship"));
+    if (!vault.includes("cbBTC 56.3%: $10,000,000.00 of $18,000,000.00")) {
+      throw new Error("Vault alert is missing the per-market breakdown");
+    }
+    console.log("✓ Alert breaks the vault down by market");
+
+    if (!vault.includes("**Our Position:** $3,200,000.00 (10.0% of pool)")) {
+      throw new Error("Vault alert is missing our position");
+    }
+    const core = fields.find((text) => text.includes("USD Coin Core"));
+    if (!core.includes("is below 2× our $4,200,000.00 position")) {
+      throw new Error("Position multiple alert did not fire for the market");
+    }
+    console.log("✓ Alert reports our position and its coverage");
+
+    console.log(`[${new Date().toISOString()}] Test complete!\n`);
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    others.forEach((other) => other.server.close());
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+main();
@@ -0,0 +1,266 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createTestConfig, loadFixture } from "./helpers.js";
+import { checkAlertThresholds } from "../src/alerts.js";
+import {
+  ALERT_STATE_CONFIG,
+  getBreachedTier,
+  setConfig,
+  validateConfig,
+} from "../src/config.js";
+import { evaluateAlertTransitions } from "../src/state.js";
+
+const sdk = loadFixture("sdk-base.json");
+const [usdcMarket, wethMarket] = sdk.getMarkets;
+
+setConfig(
+  createTestConfig({
+    rpcUrl: "http://127.0.0.1:1",
+    webhookUrl: "http://127.0.0.1:1",
+  })
+);
+
+const USDC_POOL = {
+  id: "usd-coin-core",
+  name: "🏦 USD Coin Core",
+  type: "core-market",
+  chain: "base",
+  symbol: "USDC",
+};
+const WETH_POOL = {
+  id: "weth-core",
+  name: "WETH Core",
+  type: "core-market",
+  chain: "base",
+  symbol: "WETH",
+};
+
+/**
+ * Check one pool against its threshold
+ * @param {Object} pool - Pool config
+ * @param {Object|null} data - Market data
+ * @returns {Object} Pool check
+ */
+function checkPool(pool, data) {
+  const [check] = checkAlertThresholds([{ pool, data }], { quiet: true });
+  return check;
+}
+
+describe("checkAlertThresholds", () => {
+  test("flags liquidity below the USD threshold", () => {
+    const check = checkPool({ ...USDC_POOL, threshold: 4_500_000 }, usdcMarket);
+
+    assert.equal(check.hasData, true);
+    assert.equal(check.belowThreshold, true);
+    assert.equal(check.metrics.availableLiquidity, 4_200_000);
+  });
+
+  test("does not flag liquidity exactly at the threshold", () => {
+    const check = checkPool({ ...USDC_POOL, threshold: 4_200_000 }, usdcMarket);
+    assert.equal(check.belowThreshold, false);
+  });
+
+  test("compares token thresholds with token amounts", () => {
+    // 16,000 WETH available, worth $40M
+    const below = checkPool(
+      { ...WETH_POOL, threshold: 20_000, thresholdUnit: "token" },
+      wethMarket
+    );
+    const above = checkPool(
+      { ...WETH_POOL, threshold: 15_000, thresholdUnit: "token" },
+      wethMarket
+    );
+
+    assert.equal(below.belowThreshold, true);
+    assert.equal(above.belowThreshold, false);
+  });
+
+  test("never flags a pool without a threshold", () => {
+    const check = checkPool({ ...USDC_POOL, threshold: null }, usdcMarket);
+
+    assert.equal(check.hasData, true);
+    assert.equal(check.belowThreshold, false);
+  });
+
+  test("never flags a pool without data", () => {
+    const check = checkPool({ ...USDC_POOL, threshold: 4_500_000 }, null);
+
+    assert.equal(check.hasData, false);
+    assert.equal(check.belowThreshold, false);
+    assert.equal(check.metrics.availableLiquidity, 0);
+  });
+});
+
+describe("threshold tiers", () => {
+  const TIERED_POOL = {
+    ...USDC_POOL,
+    thresholds: { info: 6_000_000, warning: 4_500_000, critical: 1_000_000 },
+  };
+
+  test("picks the most severe tier breached", () => {
+    assert.equal(getBreachedTier(TIERED_POOL, 7_000_000), null);
+    assert.equal(getBreachedTier(TIERED_POOL, 5_000_000).severity, "info");
+    assert.deepEqual(getBreachedTier(TIERED_POOL, 500_000), {
+      severity: "critical",
+      value: 1_000_000,
+    });
+  });
+
+  test("treats a single threshold as a warning tier", () => {
+    assert.equal(
+      getBreachedTier({ ...USDC_POOL, threshold: 4_500_000 }, 4_200_000)
+        .severity,
+      "warning"
+    );
+  });
+
+  test("flags liquidity below the least severe tier", () => {
+    const check = checkPool(TIERED_POOL, usdcMarket);
+    assert.equal(check.belowThreshold, true);
+  });
+
+  test("rejects tiers that do not get lower with severity", () => {
+    const config = createTestConfig({
+      rpcUrl: "http://127.0.0.1:1",
+      webhookUrl: "http://127.0.0.1:1",
+    });
+    const [pool, ...others] = config.pools;
+    const problems = validateConfig({
+      ...config,
+      pools: [
+        {
+          ...pool,
+          threshold: undefined,
+          thresholds: { warning: 1_000_000, critical: 3_000_000 },
+        },
+        ...others,
+      ],
+    });
+
+    assert.deepEqual(problems, [
+      "pools[0] (usd-coin-core).thresholds.critical must be below the warning threshold",
+    ]);
+  });
+});
+
+describe("evaluateAlertTransitions", () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const condition = (triggered, hasData = true, severity = "critical") => ({
+    key: "usd-coin-core",
+    triggered,
+    hasData,
+    severity,
+  });
+
+  /**
+   * Run the conditions through consecutive checks an hour apart
+   * @param {Array<Object>} runs - Condition for each check
+   * @returns {Array<Array<string>>} Transition types of each check
+   */
+  function replay(runs) {
+    let state = { pools: {} };
+    return runs.map((current, index) => {
+      const { nextState, transitions } = evaluateAlertTransitions(
+        state,
+        [current],
+        index * HOUR_MS
+      );
+      state = nextState;
+      return transitions.map(({ type }) => type);
+    });
+  }
+
+  test("notifies once on breach and once on recovery", () => {
+    assert.deepEqual(
+      replay([
+        condition(false),
+        condition(true),
+        condition(true),
+        condition(false),
+        condition(false),
+      ]),
+      [[], ["breach"], [], ["recovery"], []]
+    );
+  });
+
+  test("reminds while a breach lasts", () => {
+    const hours = ALERT_STATE_CONFIG.RENOTIFY_INTERVAL_MS / HOUR_MS;
+    const runs = [condition(true)];
+    for (let hour = 1; hour <= hours; hour++) runs.push(condition(true));
+
+    const types = replay(runs);
+    assert.deepEqual(types[0], ["breach"]);
+    assert.deepEqual(types.at(-1), ["reminder"]);
+    assert.equal(types.flat().length, 2);
+  });
+
+  test("keeps the previous state while data is missing", () => {
+    assert.deepEqual(
+      replay([
+        condition(true),
+        condition(false, false),
+        condition(true),
+        condition(false, false),
+        condition(false),
+      ]),
+      [["breach"], [], [], [], ["recovery"]]
+    );
+  });
+
+  test("escalates once a breach reaches a worse tier", () => {
+    let state = { pools: {} };
+    const results = ["info", "warning", "info", "warning", "critical"].map(
+      (severity, index) => {
+        const { nextState, transitions } = evaluateAlertTransitions(
+          state,
+          [condition(true, true, severity)],
+          index * HOUR_MS
+        );
+        state = nextState;
+        return transitions.map(({ type, previousSeverity }) =>
+          [type, previousSeverity].filter(Boolean).join(" from ")
+        );
+      }
+    );
+
+    // Dropping back to info and returning to warning is not notified again
+    assert.deepEqual(results, [
+      ["breach"],
+      ["escalation from info"],
+      [],
+      [],
+      ["escalation from warning"],
+    ]);
+    assert.equal(state.pools["usd-coin-core"].severity, "critical");
+  });
+
+  test("recovers at the worst severity reached", () => {
+    const { nextState } = evaluateAlertTransitions(
+      { pools: {} },
+      [condition(true, true, "critical")],
+      0
+    );
+    const { transitions } = evaluateAlertTransitions(
+      nextState,
+      [condition(false, true, "info")],
+      HOUR_MS
+    );
+    assert.equal(transitions[0].severity, "critical");
+  });
+
+  test("records when a breach started", () => {
+    const { nextState } = evaluateAlertTransitions(
+      { pools: {} },
+      [condition(true)],
+      1000
+    );
+    const { transitions } = evaluateAlertTransitions(
+      nextState,
+      [condition(false)],
+      5000
+    );
+
+    assert.equal(transitions[0].type, "recovery");
+    assert.equal(transitions[0].breachedSince, 1000);
+  });
+});